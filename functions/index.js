@@ -0,0 +1,35 @@
+/**
+ * Cloud Functions entry point
+ */
+
+const admin = require('firebase-admin');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onRequest } = require('firebase-functions/v2/https');
+const { runRefresh } = require('./refresh-job');
+
+admin.initializeApp();
+
+/**
+ * Refresh prices and ranks every 15 minutes from Monday to Saturday morning IST
+ * The job itself skips rounds whose prices can't have moved since their last
+ * refresh: outside NSE/BSE sessions, only rounds holding a foreign stock whose
+ * market is open (US sessions end after midnight IST) or has just closed.
+ */
+exports.scheduledRefresh = onSchedule({
+  schedule: '*/15 * * * 1-6',
+  timeZone: 'Asia/Kolkata',
+  region: 'asia-south1'
+}, async () => {
+  await runRefresh({ source: 'scheduler' });
+});
+
+/**
+ * Manual trigger for the Functions emulator (scheduled functions don't fire there)
+ * Not deployed to production.
+ */
+if (process.env.FUNCTIONS_EMULATOR === 'true') {
+  exports.refreshNow = onRequest(async (req, res) => {
+    const result = await runRefresh({ source: 'scheduler', force: req.query.force === 'true' });
+    res.json(result);
+  });
+}
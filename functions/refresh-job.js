@@ -0,0 +1,369 @@
+/**
+ * Refresh Job
+ * Server-side version of the "Refresh Prices" pipeline:
+ * fetch quotes and corporate actions -> score and rank -> batch update participants,
+ * then write the refresh status document the UI shows.
+ * Covers the public challenge and every private league.
+ * Takes the same refresh lease as the browser, so it never races a client refresh.
+ *
+ * Prices, corporate actions, exchange rates, index returns, market hours,
+ * scoring and settings all come from the web app's own modules in js/, so the
+ * job fetches, scores and ranks exactly like a client refresh.
+ *
+ * Runs as a scheduled Cloud Function (index.js) or as a plain script
+ * (scripts/refresh.js). Uses the Admin SDK, so Firestore rules don't apply.
+ */
+
+const admin = require('firebase-admin');
+
+/**
+ * Load a file shared with the web app (js/)
+ * Deploys copy them into functions/shared (`npm run shared`, run by the
+ * predeploy hook in firebase.json); a checkout uses them in place.
+ */
+function requireShared(file) {
+  try {
+    return require(`./shared/${file}`);
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    return require(`../js/${file}`);
+  }
+}
+
+const { APP_CONFIG } = requireShared('config.js');
+const Scoring = requireShared('scoring.js');
+const MarketCalendar = requireShared('market-calendar.js');
+const Exchanges = requireShared('exchanges.js');
+const CorporateActions = requireShared('corporate-actions.js');
+const StockAPI = requireShared('stock-api.js');
+const FxRates = requireShared('fx-rates.js');
+const Benchmarks = requireShared('benchmarks.js');
+
+const ROUNDS_COLLECTION = 'rounds'; // Top-level and leagues/{leagueId}/rounds
+const PARTICIPANTS_COLLECTION = 'participants';
+const STATUS_DOC = APP_CONFIG.refreshStatusDoc;
+const LEASE_DOC = APP_CONFIG.refreshLeaseDoc;
+const LEASE_SECONDS = APP_CONFIG.refreshLeaseSeconds;
+
+// Scoring and ranking options, like Ranking.getOptions() in the browser
+const SCORING_OPTIONS = {
+  strategy: APP_CONFIG.scoring.strategy,
+  mode: APP_CONFIG.rankingMode,
+  tiebreakers: APP_CONFIG.rankingTiebreakers,
+  rankBy: APP_CONFIG.rankBy
+};
+
+/**
+ * Whether a refresh can change any price of a round, like the browser's
+ * "Refresh Prices" check: NSE/BSE are in a session or closed since the last
+ * refresh, or a foreign market the round holds stocks on is
+ * @param {Array} exchanges - Exchange codes of the round's stocks
+ * @param {Date|null} lastRefreshedAt - Last refresh of the round
+ */
+function needsRefresh(exchanges, lastRefreshedAt, now = new Date()) {
+  return MarketCalendar.needsRefresh(lastRefreshedAt, now) || Exchanges.needsRefresh(exchanges, lastRefreshedAt, now);
+}
+
+/**
+ * Fetch splits/bonuses and dividends since the earliest baseline of a round
+ * @returns {Promise<Map>} "SYMBOL-EXCHANGE" -> [events] or { error }
+ */
+async function fetchCorporateActions(holdings, roundId) {
+  if (holdings.length === 0) return new Map();
+
+  // Baselines can fall before the reference date (round ID) after a holiday
+  const fromDate = holdings.reduce(
+    (earliest, holding) => (holding.baselineDate && holding.baselineDate < earliest ? holding.baselineDate : earliest),
+    roundId
+  );
+  return StockAPI.fetchCorporateActions(holdings, fromDate, MarketCalendar.toDateKey(new Date()));
+}
+
+/**
+ * Current adjustment of a stock, or the previous one if its events weren't fetched
+ */
+function getAdjustment(holding, actions, previous, roundId) {
+  const events = actions.get(`${holding.symbol.toUpperCase()}-${holding.exchange}`);
+  if (!events || events.error) return previous || null;
+  return CorporateActions.adjust(events, holding.baselineDate || roundId);
+}
+
+/**
+ * Score and rank participants on fresh quotes and corporate actions
+ * (Scoring.scoreParticipants, exactly like a client refresh). Failed fetches
+ * keep their previous price and change, and are left unranked.
+ * @param {Object} data - {
+ *   quotes: StockAPI.fetchQuotes() result,
+ *   actions: StockAPI.fetchCorporateActions() result (optional),
+ *   rates: FxRates.fetchRates() result (optional),
+ *   benchmarks: Benchmarks.fetchReturns() result (optional),
+ *   mode: challenge mode of the round ('gain' or 'prediction'),
+ *   roundId: reference date of the round
+ * }
+ * @returns {Object} { updates, successCount }
+ */
+function computeRankings(participants, { quotes, actions = new Map(), rates = new Map(), benchmarks = [], mode = 'gain', roundId }) {
+  return Scoring.scoreParticipants(participants, quotes, {
+    ...SCORING_OPTIONS,
+    // Prediction rounds rank on the error of the predicted close (see js/challenge-mode.js)
+    rankBy: mode === 'prediction' ? 'error' : SCORING_OPTIONS.rankBy,
+    benchmarks,
+    refresh: holding => ({
+      ...holding,
+      adjustment: getAdjustment(holding, actions, holding.adjustment, roundId),
+      fxRate: rates.get(holding.currency) || holding.fxRate // Keeps the last rate if the new one failed
+    })
+  });
+}
+
+/**
+ * Find the rounds that are currently running, one per league
+ * Open rounds that have ended are waiting to be closed and are skipped.
+ */
+async function getCurrentRounds(db, now = new Date()) {
+  const snapshot = await db.collectionGroup(ROUNDS_COLLECTION)
+    .where('status', '==', 'open')
+    .get();
+
+  return snapshot.docs.filter(doc => {
+    const endsAt = doc.data().endsAt;
+    return !endsAt || endsAt.toDate() > now;
+  });
+}
+
+/**
+ * Status document shown next to a round's leaderboard
+ */
+function getStatusRef(db, roundDoc) {
+  const league = roundDoc.ref.parent.parent;
+  return league ? league.collection('status').doc('refresh') : db.doc(STATUS_DOC);
+}
+
+/**
+ * Refresh lease document of a round's league (or the public challenge)
+ */
+function getLeaseRef(db, roundDoc) {
+  const league = roundDoc.ref.parent.parent;
+  return league ? league.collection('status').doc('refreshLease') : db.doc(LEASE_DOC);
+}
+
+/**
+ * Take the refresh lease unless a live one is held by someone else
+ * @returns {Promise<string|null>} Lease ID, or null if another refresh is running
+ */
+async function acquireLease(db, leaseRef, roundId, source) {
+  const id = `${source}_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+
+  const acquired = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(leaseRef);
+    if (doc.exists && doc.data().expiresAt.toMillis() > Date.now()) {
+      return false;
+    }
+
+    transaction.set(leaseRef, {
+      id,
+      uid: null,
+      roundId,
+      source,
+      acquiredAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + LEASE_SECONDS * 1000)
+    });
+    return true;
+  });
+
+  return acquired ? id : null;
+}
+
+/**
+ * Extend the lease by another LEASE_SECONDS if it is still ours and live
+ * @throws {Error} If the lease expired or was taken over
+ */
+async function renewLease(db, leaseRef, leaseId) {
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(leaseRef);
+    if (!doc.exists || doc.data().id !== leaseId || doc.data().expiresAt.toMillis() <= Date.now()) {
+      throw new Error('Refresh lease was lost');
+    }
+    transaction.update(leaseRef, {
+      expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + LEASE_SECONDS * 1000)
+    });
+  });
+}
+
+/**
+ * Give up the lease if it is still ours
+ */
+async function releaseLease(db, leaseRef, leaseId) {
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(leaseRef);
+    if (doc.exists && doc.data().id === leaseId) {
+      transaction.delete(leaseRef);
+    }
+  });
+}
+
+/**
+ * Check that no entry was added, removed or edited since the snapshot
+ */
+function isSameParticipantSet(before, after) {
+  if (before.size !== after.size) return false;
+
+  const updatedAt = new Map(before.docs.map(doc => [doc.id, doc.get('updatedAt')]));
+  return after.docs.every(doc => {
+    if (!updatedAt.has(doc.id)) return false;
+    const previous = updatedAt.get(doc.id);
+    const current = doc.get('updatedAt');
+    return previous && current ? previous.isEqual(current) : previous === current;
+  });
+}
+
+/**
+ * Last refresh of a round, from its status document (null if it was never refreshed)
+ */
+async function getLastRefreshedAt(db, roundDoc) {
+  const status = await getStatusRef(db, roundDoc).get();
+  if (!status.exists || status.get('roundId') !== roundDoc.id || !status.get('lastRefreshedAt')) return null;
+  return status.get('lastRefreshedAt').toDate();
+}
+
+/**
+ * Refresh one round: prices -> change -> rank -> batch update -> status
+ * @param {boolean} force - Refresh even if no price can have moved
+ * @returns {Promise<Object>} { roundId, leagueId, updated, failed }
+ *   (skipped: true if no price can have moved or another refresh holds the lease)
+ */
+async function refreshRound(db, roundDoc, source, force = false) {
+  const leagueId = roundDoc.ref.parent.parent ? roundDoc.ref.parent.parent.id : null;
+  const label = leagueId ? `${roundDoc.id} (league ${leagueId})` : roundDoc.id;
+
+  const participantsRef = roundDoc.ref.collection(PARTICIPANTS_COLLECTION);
+  const leaseRef = getLeaseRef(db, roundDoc);
+
+  // Outside market hours only one refresh is needed, to pull the official close
+  // (foreign stocks in play keep their own hours)
+  const lastRefreshedAt = force ? null : await getLastRefreshedAt(db, roundDoc);
+  if (!force && !MarketCalendar.needsRefresh(lastRefreshedAt)) {
+    const snapshot = await participantsRef.get();
+    const exchanges = snapshot.docs.flatMap(doc => Scoring.getHoldings(doc.data())).map(holding => holding.exchange);
+    if (!needsRefresh(exchanges, lastRefreshedAt)) {
+      console.log(`💤 Prices of round ${label} are already the official close, skipping`);
+      return { roundId: roundDoc.id, leagueId, skipped: true, updated: 0, failed: 0 };
+    }
+  }
+
+  const leaseId = await acquireLease(db, leaseRef, roundDoc.id, source);
+  if (!leaseId) {
+    console.log(`⏳ Round ${label} is already being refreshed, skipping`);
+    return { roundId: roundDoc.id, leagueId, skipped: true, updated: 0, failed: 0 };
+  }
+
+  try {
+    return await refreshWithLease(db, roundDoc, source, { participantsRef, leaseRef, leaseId, leagueId, label });
+  } finally {
+    await releaseLease(db, leaseRef, leaseId).catch(error => {
+      console.error(`❌ Could not release the lease of round ${label}:`, error.message); // It expires anyway
+    });
+  }
+}
+
+/**
+ * Refresh a round while holding its lease
+ * Ranks are only written if the participant set is unchanged since it was read.
+ */
+async function refreshWithLease(db, roundDoc, source, { participantsRef, leaseRef, leaseId, leagueId, label }) {
+  const snapshot = await participantsRef.get();
+  const participants = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+  if (participants.length === 0) {
+    console.log(`💤 Round ${label} has no participants`);
+    return { roundId: roundDoc.id, leagueId, updated: 0, failed: 0 };
+  }
+
+  console.log(`🔄 Refreshing ${participants.length} participants in round ${label}...`);
+  const holdings = participants.flatMap(Scoring.getHoldings);
+  const quotes = await StockAPI.fetchQuotes(holdings);
+  const actions = await fetchCorporateActions(holdings, roundDoc.id);
+  const rates = await FxRates.fetchRates(holdings.filter(holding => holding.fxBase).map(holding => holding.currency));
+  // Prediction rounds are scored on the predicted close, not against the market
+  const mode = roundDoc.get('mode') === 'prediction' ? 'prediction' : 'gain';
+  const benchmarks = mode === 'prediction' ? [] : await Benchmarks.fetchReturns(roundDoc.id);
+  const { updates, successCount } = computeRankings(participants, {
+    quotes, actions, rates, benchmarks, mode, roundId: roundDoc.id
+  });
+  const failCount = updates.length - successCount;
+
+  // Fetching can take longer than the lease; a client may take over an expired one
+  await renewLease(db, leaseRef, leaseId);
+
+  if (successCount > 0) {
+    await db.runTransaction(async (transaction) => {
+      const lease = await transaction.get(leaseRef);
+      if (!lease.exists || lease.data().id !== leaseId || lease.data().expiresAt.toMillis() <= Date.now()) {
+        throw new Error('Refresh lease was lost');
+      }
+      if (!isSameParticipantSet(snapshot, await transaction.get(participantsRef))) {
+        throw new Error('Participants changed during the refresh');
+      }
+
+      const timestamp = admin.firestore.FieldValue.serverTimestamp();
+      updates.forEach(update => {
+        const data = {
+          cmp: update.cmp, change: update.change, alpha: update.alpha, error: update.error, rank: update.rank, updatedAt: timestamp
+        };
+        if (update.exactChange !== undefined) data.exactChange = update.exactChange;
+        if (update.score !== undefined) data.score = update.score;
+        if (update.priceSource) data.priceSource = update.priceSource;
+        if (update.holdingPrices) data.holdingPrices = update.holdingPrices;
+        if (update.adjustment !== undefined) data.adjustment = update.adjustment;
+        if (update.fxRate) data.fxRate = update.fxRate;
+        transaction.update(participantsRef.doc(update.id), data);
+      });
+    });
+  }
+
+  await getStatusRef(db, roundDoc).set({
+    roundId: roundDoc.id,
+    source,
+    lastRefreshedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updated: successCount,
+    failed: failCount,
+    benchmarks
+  });
+
+  console.log(`✅ Round ${label}: ${successCount}/${updates.length} updated (${source})`);
+  return { roundId: roundDoc.id, leagueId, updated: successCount, failed: failCount };
+}
+
+/**
+ * Run the refresh pipeline once for every running round
+ * Like the "Refresh Prices" button, a round is only refreshed while NSE/BSE or
+ * a foreign market one of its stocks trades on is open, or once after a close.
+ * @param {Object} options - { source: 'scheduler' | 'script', force: ignore market hours }
+ * @returns {Promise<Object>} Summary ({ skipped, rounds: [{ roundId, leagueId, updated, failed }] })
+ */
+async function runRefresh({ source = 'scheduler', force = false } = {}) {
+  const db = admin.firestore();
+  const rounds = await getCurrentRounds(db);
+  if (rounds.length === 0) {
+    console.log('💤 No open round, skipping refresh');
+    return { skipped: true, reason: 'no-round' };
+  }
+
+  // One league failing shouldn't stop the others
+  const results = [];
+  for (const roundDoc of rounds) {
+    try {
+      results.push(await refreshRound(db, roundDoc, source, force));
+    } catch (error) {
+      console.error(`❌ Round ${roundDoc.ref.path} failed:`, error);
+    }
+  }
+
+  return { skipped: false, rounds: results };
+}
+
+module.exports = {
+  runRefresh,
+  needsRefresh,
+  computeRankings
+};
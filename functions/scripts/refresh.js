@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+/**
+ * Run the refresh job once from the command line
+ *
+ * Usage:
+ *   GOOGLE_APPLICATION_CREDENTIALS=service-account.json npm run refresh
+ *   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 npm run refresh -- --force
+ *
+ * --force  Refresh even outside market hours
+ */
+
+const admin = require('firebase-admin');
+const { runRefresh } = require('../refresh-job');
+
+admin.initializeApp({
+  projectId: process.env.GCLOUD_PROJECT || 'stock-challenge-f11d7'
+});
+
+runRefresh({ source: 'script', force: process.argv.includes('--force') })
+  .then(result => {
+    console.log(JSON.stringify(result));
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Refresh failed:', error);
+    process.exit(1);
+  });
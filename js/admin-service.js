@@ -0,0 +1,436 @@
+/**
+ * Admin Service
+ * Admin actions for running the challenge. Every action is written to the
+ * audit log in the same transaction as the change itself, and changes to
+ * entries are recorded in their history like owner edits.
+ *
+ * Admins are listed in admins/{uid} (created by hand in the Firebase console);
+ * firestore.rules checks the same collection.
+ */
+
+const AdminService = (function() {
+  let isAdminUser = false;
+
+  /**
+   * Check whether the signed-in user has the admin role
+   * @returns {Promise<boolean>}
+   */
+  async function checkAdmin() {
+    try {
+      const user = firebase.auth().currentUser;
+      if (!user) {
+        isAdminUser = false;
+        return false;
+      }
+
+      const doc = await firebase.firestore()
+        .collection(APP_CONFIG.adminsCollection)
+        .doc(user.uid)
+        .get();
+      isAdminUser = doc.exists;
+    } catch (error) {
+      // Non-admins may not be allowed to read the doc at all
+      isAdminUser = false;
+    }
+    return isAdminUser;
+  }
+
+  /**
+   * Whether the last checkAdmin() found the admin role
+   */
+  function isAdmin() {
+    return isAdminUser;
+  }
+
+  /**
+   * Build an audit log entry for the signed-in admin
+   */
+  function auditEntry(action, details = {}) {
+    const user = firebase.auth().currentUser;
+    return {
+      action,
+      leagueId: FirebaseService.getLeagueId(),
+      roundId: FirebaseService.getRoundId(),
+      participantId: details.participantId || null,
+      participantName: details.participantName || null,
+      before: details.before || null,
+      after: details.after || null,
+      reason: details.reason || null,
+      adminUid: user.uid,
+      adminName: user.displayName || user.email || user.uid,
+      at: firebase.firestore.FieldValue.serverTimestamp()
+    };
+  }
+
+  /**
+   * Commit a change together with its audit log entry, in one transaction
+   * @param {Function} apply - Adds the change to the transaction (may read first)
+   */
+  async function commitWithAudit(action, details, apply) {
+    const db = firebase.firestore();
+
+    await db.runTransaction(async (transaction) => {
+      await apply(transaction);
+      transaction.set(db.collection(APP_CONFIG.auditLogCollection).doc(), auditEntry(action, details));
+    });
+    console.log(`🛠️ Admin action: ${action}`);
+  }
+
+  /**
+   * Read a participant inside a transaction
+   * @returns {Promise<Object>} The stored participant, with its id
+   */
+  async function getStoredParticipant(transaction, id) {
+    const doc = await transaction.get(FirebaseService.participantRef(id));
+    if (!doc.exists) throw new Error('Entry no longer exists');
+    return { id, ...doc.data() };
+  }
+
+  /**
+   * Update a participant and record the change in its history, like an owner edit
+   * @param {Object} stored - From getStoredParticipant()
+   */
+  function updateWithHistory(transaction, stored, updates) {
+    transaction.update(FirebaseService.participantRef(stored.id), updates);
+    transaction.set(FirebaseService.historyRef(stored.id).doc(),
+      FirebaseService.buildHistoryEntry('edit', stored, { ...stored, ...updates }));
+  }
+
+  /**
+   * Lock or unlock entries for the current round, regardless of the deadline
+   */
+  async function setEntriesLocked(round, locked, reason) {
+    try {
+      await commitWithAudit(locked ? 'lock-entries' : 'unlock-entries', {
+        before: { entriesLocked: !!round.entriesLocked },
+        after: { entriesLocked: locked },
+        reason
+      }, transaction => {
+        transaction.update(FirebaseService.roundRef(round.id), { entriesLocked: locked });
+      });
+    } catch (error) {
+      console.error('Error locking entries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a participant
+   */
+  async function renameParticipant(participant, name, reason) {
+    try {
+      await commitWithAudit('rename', {
+        participantId: participant.id,
+        participantName: participant.name,
+        before: { name: participant.name },
+        after: { name },
+        reason
+      }, async transaction => {
+        updateWithHistory(transaction, await getStoredParticipant(transaction, participant.id), {
+          name,
+          updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+      });
+    } catch (error) {
+      console.error('Error renaming participant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a participant (e.g. a spam entry)
+   */
+  async function deleteParticipant(participant, reason) {
+    try {
+      await commitWithAudit('delete', {
+        participantId: participant.id,
+        participantName: participant.name,
+        before: {
+          name: participant.name,
+          symbol: participant.symbol,
+          exchange: participant.exchange,
+          ownerUid: participant.ownerUid || null
+        },
+        reason
+      }, async transaction => {
+        const stored = await getStoredParticipant(transaction, participant.id);
+        transaction.delete(FirebaseService.participantRef(stored.id));
+        transaction.set(FirebaseService.deletedHistoryRef(stored), FirebaseService.buildHistoryEntry('delete', stored, null));
+        (stored.symbols || []).forEach(symbol => transaction.delete(FirebaseService.symbolClaimRef(symbol)));
+        if (stored.shortSlot) {
+          transaction.delete(FirebaseService.shortSlotRef(stored.shortSlot));
+        }
+      });
+    } catch (error) {
+      console.error('Error deleting participant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Override a participant's current price and/or baseline
+   * A current-price override sticks: refreshes keep it until it is cleared.
+   * @param {Object} prices - { cmp, lastFridayPrice } (either may be omitted)
+   */
+  async function overridePrices(participant, prices, reason) {
+    try {
+      const cmp = prices.cmp !== undefined ? prices.cmp : participant.cmp || 0;
+      const lastFridayPrice = prices.lastFridayPrice !== undefined
+        ? prices.lastFridayPrice
+        : participant.lastFridayPrice || 0;
+      // Scored like a refresh (the next one rescores it with fresh closes)
+      const exactChange = Portfolio.computeEntryChange({ ...participant, cmp, lastFridayPrice, priceOverride: null });
+      const change = +exactChange.toFixed(2);
+      // A strategy that needs the stock's closes leaves it unranked until then
+      const { score } = Scoring.scoreEntry(
+        Scoring.toEntry({ ...participant, cmp, lastFridayPrice, priceOverride: null }), {}, Ranking.getOptions().strategy);
+      const user = firebase.auth().currentUser;
+
+      const updates = {
+        cmp,
+        lastFridayPrice,
+        change,
+        exactChange,
+        score,
+        priceSource: prices.cmp !== undefined ? 'manual' : participant.priceSource || null,
+        priceOverride: {
+          ...(prices.cmp !== undefined ? { cmp } : {}),
+          ...(prices.lastFridayPrice !== undefined ? { lastFridayPrice } : {}),
+          reason,
+          by: user.uid,
+          at: firebase.firestore.Timestamp.now()
+        },
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+      };
+
+      await commitWithAudit('override-price', {
+        participantId: participant.id,
+        participantName: participant.name,
+        before: {
+          cmp: participant.cmp || 0,
+          lastFridayPrice: participant.lastFridayPrice || 0,
+          change: participant.change || 0
+        },
+        after: { cmp, lastFridayPrice, change },
+        reason
+      }, async transaction => {
+        updateWithHistory(transaction, await getStoredParticipant(transaction, participant.id), updates);
+      });
+    } catch (error) {
+      console.error('Error overriding prices:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Let refreshes update a participant's current price again
+   */
+  async function clearPriceOverride(participant, reason) {
+    try {
+      await commitWithAudit('clear-price-override', {
+        participantId: participant.id,
+        participantName: participant.name,
+        before: { priceOverride: participant.priceOverride || null },
+        reason
+      }, transaction => {
+        transaction.update(FirebaseService.participantRef(participant.id), {
+          priceOverride: firebase.firestore.FieldValue.delete(),
+          updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+      });
+    } catch (error) {
+      console.error('Error clearing price override:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recompute ranks from each participant's current prices
+   * @param {Object} options - Ranking options, e.g. { rankBy } of the round
+   */
+  async function rerunRanking(participants, reason, options) {
+    try {
+      const ranked = Ranking.rankParticipants(participants, options);
+
+      await commitWithAudit('rerun-ranking', {
+        after: { ranks: ranked.map(p => ({ id: p.id, rank: p.rank })) },
+        reason
+      }, transaction => {
+        ranked.forEach(p => {
+          transaction.update(FirebaseService.participantRef(p.id), { rank: p.rank });
+        });
+      });
+    } catch (error) {
+      console.error('Error re-running ranking:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close the current round now and freeze its results and winners
+   */
+  async function closeRound(round, reason) {
+    try {
+      const { results, benchmarks } = await RoundManager.computeFinalResults(round);
+      const winners = Ranking.getWinners(results);
+      const db = firebase.firestore();
+      const roundRef = FirebaseService.roundRef(round.id);
+
+      await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(roundRef);
+        if (!doc.exists || doc.data().status !== 'open') {
+          throw new Error('Round is already closed');
+        }
+
+        transaction.update(roundRef, {
+          status: 'closed',
+          results,
+          winner: winners[0] || null,
+          winners,
+          benchmarks,
+          closedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        transaction.set(db.collection(APP_CONFIG.auditLogCollection).doc(), auditEntry('close-round', {
+          after: { winners: winners.map(winner => ({ name: winner.name, symbol: winner.symbol, change: winner.change })) },
+          reason
+        }));
+      });
+
+      console.log('🏁 Round closed by admin:', round.id);
+    } catch (error) {
+      console.error('Error closing round:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Work out what a JSON import would do to the current round (writes nothing)
+   * Entries whose id exists are replaced (keeping their owner and, if still
+   * short, their short slot), the rest are added; entries that are not in the
+   * file are left alone. Admin imports are not held to the short cap.
+   * @param {Array} entries - From ExportService.parseImport()
+   * @returns {Promise<Object>} { creates, replaces, releasedSlots, untouched, errors }
+   */
+  async function planImport(entries) {
+    try {
+      const existing = await FirebaseService.getAllParticipants();
+      const byId = new Map(existing.map(p => [p.id, p]));
+      const importedIds = new Set(entries.map(entry => entry.id).filter(Boolean));
+
+      // Stocks (symbol on an exchange) stay unique across the round
+      const keptSymbols = new Map();
+      existing
+        .filter(p => !importedIds.has(p.id))
+        .forEach(p => Portfolio.symbolKeys(p).forEach(key => keptSymbols.set(key, p.name)));
+
+      const errors = [];
+      entries.forEach(entry => {
+        const taken = entry.symbols.find(key => keptSymbols.has(key));
+        if (taken) {
+          errors.push(`${entry.name}: ${taken} is already picked by ${keptSymbols.get(taken)}`);
+        }
+      });
+
+      const replaced = entries.filter(entry => entry.id && byId.has(entry.id));
+      const replaces = replaced.map(entry => {
+        const { ownerUid, shortSlot } = byId.get(entry.id);
+        const keepSlot = shortSlot && entry.direction === 'short';
+        return { ...entry, ownerUid: ownerUid || null, ...(keepSlot ? { shortSlot } : {}) };
+      });
+      const releasedSlots = replaced
+        .filter(entry => byId.get(entry.id).shortSlot && entry.direction !== 'short')
+        .map(entry => byId.get(entry.id).shortSlot);
+      const creates = entries.filter(entry => !entry.id || !byId.has(entry.id));
+
+      return {
+        creates,
+        replaces,
+        releasedSlots,
+        untouched: existing.length - replaces.length,
+        errors
+      };
+    } catch (error) {
+      console.error('Error planning import:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write a planned import into the current round
+   * @param {Object} plan - From planImport(), without errors
+   */
+  async function importParticipants(plan, reason, source) {
+    try {
+      if (plan.errors.length > 0) {
+        throw new Error('Fix the import errors first');
+      }
+
+      await commitWithAudit('import', {
+        after: { source, created: plan.creates.length, replaced: plan.replaces.length },
+        reason
+      }, async transaction => {
+        const entries = [...plan.creates, ...plan.replaces]
+          .map(({ id, ...entry }) => ({ id: id || FirebaseService.generateId(), ...entry }));
+        // Replaced entries are recorded as edits of what is stored now
+        const existing = await Promise.all(entries.map(entry =>
+          transaction.get(FirebaseService.participantRef(entry.id))));
+
+        entries.forEach(({ id, createdAt, ...entry }, i) => {
+          const history = FirebaseService.historyRef(id).doc();
+          const data = {
+            ...entry,
+            historyId: history.id,
+            createdAt: createdAt
+              ? firebase.firestore.Timestamp.fromDate(createdAt)
+              : firebase.firestore.FieldValue.serverTimestamp(),
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+          };
+          const before = existing[i].exists ? existing[i].data() : null;
+
+          transaction.set(FirebaseService.participantRef(id), data);
+          transaction.set(history, FirebaseService.buildHistoryEntry(before ? 'edit' : 'create', before, data));
+        });
+        plan.releasedSlots.forEach(slot => transaction.delete(FirebaseService.shortSlotRef(slot)));
+      });
+    } catch (error) {
+      console.error('Error importing participants:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the latest audit log entries
+   * @param {number} limit - Maximum entries
+   * @returns {Promise<Array>} Newest first
+   */
+  async function getAuditLog(limit = 50) {
+    try {
+      const snapshot = await firebase.firestore()
+        .collection(APP_CONFIG.auditLogCollection)
+        .orderBy('at', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+      throw error;
+    }
+  }
+
+  // Public API
+  return {
+    checkAdmin,
+    isAdmin,
+    setEntriesLocked,
+    renameParticipant,
+    deleteParticipant,
+    overridePrices,
+    clearPriceOverride,
+    rerunRanking,
+    closeRound,
+    planImport,
+    importParticipants,
+    getAuditLog
+  };
+})();
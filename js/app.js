@@ -4,25 +4,41 @@
  */
 
 (function() {
+  const LEAGUE_STORAGE_KEY = 'stockChallengeLeague'; // Last league played on this device
+  const REFRESH_ATTEMPTS = 2; // Re-rank once if entries change mid-refresh
+  const LAST_SYNC_STORAGE_KEY = 'stockChallengeLastSync'; // Last time the leaderboard came from the server
+  const PENDING_ENTRY_STORAGE_KEY = 'stockChallengePendingEntry'; // Entry submitted while offline
+
   // Application state
   let participants = [];
-  let myEntry = null; // Stored in localStorage: { id, name, symbol }
+  let myEntry = null; // Signed-in user's entry in the current round: { id, name, symbol }
   let isEditing = false;
   let unsubscribe = null;
-  
-
-  /**
- * Setup stock autocomplete with live API search
- * 
- * INSTRUCTIONS: Replace the setupStockAutocomplete() function in your js/app.js
- * with this complete version
- */
+  let unsubscribeStatus = null;
+  let unsubscribeRound = null;
+  let windowTimer = null;
+  let currentRound = null;
+  let rounds = [];
+  let viewingRoundId = null; // Round shown in the leaderboard (current or archived)
+  let archivedRound = null; // Round document and entries shown when viewing an older round
+  let archivedParticipants = [];
+  let isRollingOver = false; // Also guards league switches
+  let leaderboardTab = 'weekly'; // 'weekly' or 'season'
+  let viewingSeason = null; // Season shown in the standings
+  let leagues = []; // Leagues the user is a member of
+  let currentLeague = null; // League being played (null = everyone)
+  let suggestions = []; // Current symbol suggestions
+  let activeSuggestion = -1;
+  let suggestionTimer = null;
+  let unlistedSymbolConfirmed = null; // Symbol the user chose to submit despite a close match
+  let openedOffline = false; // Current round came from the cache and still needs opening
+  let isSyncingPendingEntry = false; // Guards against submitting the offline entry twice
+  let unreadNotifications = 0;
+  let lastRefreshedAt = null; // From the refresh status document
+  let benchmarks = []; // Index returns of the current round's last refresh
 
-  
   /**
    * Initialize the application
-   * This function should be added to js/app.js after the setupStockAutocomplete() function
-   * and before the window.addEventListener('beforeunload') line
    */
   async function init() {
     try {
@@ -30,6 +46,8 @@
 
       // 1. Initialize UI elements
       UIManager.initElements();
+      registerServiceWorker();
+      renderConnection();
       console.log('✅ UI elements initialized');
 
       // 2. Initialize Firebase
@@ -39,24 +57,52 @@
         return;
       }
 
-      // 3. Load user's entry from localStorage
-      loadMyEntry();
+      // 3. Sign in (anonymously unless already signed in)
+      const user = await AuthService.init();
+      UIManager.renderAccount(user);
+      UIManager.setAdminVisible(await AdminService.checkAdmin());
+      await loadNotificationPrefs();
+      console.log('✅ Signed in');
+
+      // 4. Load leagues, accepting an invite link if there is one
+      await loadLeagues();
+      const joinedLeague = await acceptInviteFromUrl();
+      applyLeague(joinedLeague || leagues.find(league => league.id === localStorage.getItem(LEAGUE_STORAGE_KEY)) || null);
+      console.log('✅ Leagues loaded');
+
+      // 5. Open the current round (closes finished ones)
+      currentRound = await RoundManager.openCurrentRound();
+      openedOffline = !navigator.onLine;
+      viewingRoundId = currentRound.id;
+      applyChallengeMode();
+      subscribeToCurrentRound();
+      await loadRounds();
+      console.log('✅ Round opened:', currentRound.id);
+
+      // 6. Load user's entry by UID
+      await loadMyEntry();
       console.log('✅ User entry loaded');
 
-      // 4. Set up event listeners
+      // 7. Set up event listeners
       setupEventListeners();
       console.log('✅ Event listeners set up');
 
-      
+      // 8. Start entry window countdown
+      startEntryWindowTicker();
+      console.log('✅ Entry window countdown started');
 
-      // 6. Load participants from Firebase
+      // 9. Load participants from Firebase
       await loadParticipants();
       console.log('✅ Participants loaded');
 
-      // 7. Subscribe to real-time updates
+      // 10. Subscribe to real-time updates
       subscribeToUpdates();
+      unsubscribeStatus = FirebaseService.subscribeToRefreshStatus(handleRefreshStatus);
       console.log('✅ Real-time updates subscribed');
 
+      // 11. Submit an entry saved while offline
+      await syncPendingEntry();
+
       console.log('✅ Stock Challenge App initialized successfully!');
 
     } catch (error) {
@@ -65,17 +111,19 @@
     }
   }
 
-  
-
   /**
-   * Load user's entry from localStorage
+   * Load the signed-in user's entry for the current round
+   * Entries are looked up by UID, so they follow the user across devices
    */
-  function loadMyEntry() {
+  async function loadMyEntry() {
     try {
-      const stored = localStorage.getItem('stockChallengeEntry');
-      if (stored) {
-        myEntry = JSON.parse(stored);
-        UIManager.updateHeaderButton(true);
+      const user = AuthService.getCurrentUser();
+      const entry = user ? await FirebaseService.getParticipantByOwner(user.uid) : null;
+
+      if (entry) {
+        saveMyEntry({ id: entry.id, name: entry.name, symbol: entry.symbol });
+      } else {
+        clearMyEntry();
       }
     } catch (error) {
       console.error('Error loading user entry:', error);
@@ -83,20 +131,33 @@
   }
 
   /**
-   * Save user's entry to localStorage
+   * Keep the user's entry in sync with a participants snapshot
+   */
+  function syncMyEntry() {
+    const user = AuthService.getCurrentUser();
+    if (!user) return;
+
+    const entry = participants.find(p => p.ownerUid === user.uid);
+    if (entry) {
+      saveMyEntry({ id: entry.id, name: entry.name, symbol: entry.symbol });
+    } else if (myEntry) {
+      clearMyEntry();
+    }
+  }
+
+  /**
+   * Remember the user's entry
    */
   function saveMyEntry(entry) {
     myEntry = entry;
-    localStorage.setItem('stockChallengeEntry', JSON.stringify(entry));
     UIManager.updateHeaderButton(true);
   }
 
   /**
-   * Clear user's entry from localStorage
+   * Forget the user's entry
    */
   function clearMyEntry() {
     myEntry = null;
-    localStorage.removeItem('stockChallengeEntry');
     UIManager.updateHeaderButton(false);
   }
 
@@ -107,7 +168,7 @@
     try {
       UIManager.showLoading();
       participants = await FirebaseService.getAllParticipants();
-      UIManager.renderLeaderboard(participants);
+      UIManager.renderLeaderboard(participants, getLeaderboardOptions());
     } catch (error) {
       console.error('Error loading participants:', error);
       UIManager.showError('Failed to load participants. Please refresh the page.');
@@ -119,9 +180,22 @@
    */
   function subscribeToUpdates() {
     try {
-      unsubscribe = FirebaseService.subscribeToParticipants((updatedParticipants) => {
+      unsubscribe = FirebaseService.subscribeToParticipants((updatedParticipants, { fromCache }) => {
+        if (!fromCache) {
+          recordSync();
+        }
         participants = updatedParticipants;
-        UIManager.renderLeaderboard(participants);
+        syncMyEntry();
+        if (!fromCache) {
+          const scope = `${FirebaseService.getLeagueId() || 'public'}/${currentRound.id}`;
+          Notifications.check(participants, myEntry ? myEntry.id : null, scope);
+        }
+        if (UIManager.isAdminPanelVisible()) {
+          UIManager.renderAdminPanel(currentRound, participants);
+        }
+        if (viewingRoundId === currentRound.id) {
+          UIManager.renderLeaderboard(participants, getLeaderboardOptions());
+        }
       });
     } catch (error) {
       console.error('Error subscribing to updates:', error);
@@ -129,326 +203,1784 @@
   }
 
   /**
-   * Get last Friday's date
+   * Keep the current round (status, admin entry lock) up to date
    */
-  function getLastFriday() {
-    const today = new Date();
-    const day = today.getDay();
-    const diff = day >= 5 ? day - 5 : day + 2;
-    const friday = new Date(today);
-    friday.setDate(today.getDate() - diff);
-    friday.setHours(0, 0, 0, 0);
-    return friday;
+  function subscribeToCurrentRound() {
+    if (unsubscribeRound) {
+      unsubscribeRound();
+    }
+
+    try {
+      unsubscribeRound = FirebaseService.subscribeToRound(currentRound.id, (round) => {
+        if (!round || round.id !== currentRound.id) return;
+        currentRound = round;
+        if (UIManager.isAdminPanelVisible()) {
+          UIManager.renderAdminPanel(currentRound, participants);
+        }
+      });
+    } catch (error) {
+      console.error('Error subscribing to round:', error);
+    }
   }
 
   /**
-   * Check if deadline has passed (Sunday 12:00 AM)
+   * Set up the entry form for the current round's challenge mode
+   * Prediction rounds take one long pick and its predicted close.
    */
-  function isDeadlinePassed() {
-  return false; // Temporarily disabled for testing
+  function applyChallengeMode() {
+    const isPrediction = ChallengeMode.isPrediction(currentRound);
+    UIManager.setPredictionMode(isPrediction, currentRound.endDate);
+    UIManager.setPortfolioMode(APP_CONFIG.portfolioMode && !isPrediction, APP_CONFIG.maxHoldings);
+    UIManager.setShortsAllowed(APP_CONFIG.maxShortsPerRound > 0 && !isPrediction);
   }
 
   /**
-  * Fetch stock price using real API
-  */
-  async function fetchStockPrice(symbol, exchange) {
-    return await StockAPI.fetchStockPrice(symbol, exchange);
+   * Leaderboard options of the current round
+   */
+  function getLeaderboardOptions() {
+    return { benchmarks, mode: ChallengeMode.getRoundMode(currentRound) };
   }
 
   /**
-   * Handle form submission (new entry or update)
+   * Check if an admin locked entries or closed the current round early
    */
-  /**
- * Handle form submission (new entry or update)
- * UPDATED: Accepts stock symbols in any case (lowercase, uppercase, mixed)
- */
-  async function handleFormSubmit(event) {
-    event.preventDefault();
-    UIManager.hideError();
-
-    // Get form values and normalize symbol to UPPERCASE
-    const formValues = UIManager.getFormValues();
-    const name = formValues.name;
-    const symbol = formValues.symbol.toUpperCase().trim(); // Convert to uppercase
-    const exchange = formValues.exchange;
+  function isRoundLocked() {
+    return !!currentRound && (currentRound.entriesLocked === true || currentRound.status === 'closed');
+  }
 
-    // Validation
-    if (!name || !symbol) {
-      UIManager.showError('Please fill all fields');
-      return;
+  /**
+   * Load round list for the round selector
+   */
+  async function loadRounds() {
+    try {
+      rounds = await FirebaseService.getRounds();
+      UIManager.renderRoundOptions(rounds, currentRound.id, viewingRoundId);
+    } catch (error) {
+      console.error('Error loading rounds:', error);
     }
+  }
 
-    // Validate symbol format (letters, numbers, & and - only)
-    const symbolRegex = /^[A-Z0-9&\-]+$/;
-    if (!symbolRegex.test(symbol)) {
-      UIManager.showError('Stock symbol can only contain letters, numbers, & and -');
-      return;
-    }
+  /**
+   * Switch the leaderboard to another round
+   */
+  async function handleRoundSelect(event) {
+    viewingRoundId = event.target.value;
+    UIManager.hideError();
 
-    if (isDeadlinePassed()) {
-      UIManager.showError('Deadline has passed! Cannot submit entries after Sunday 11:59 PM');
+    if (viewingRoundId === currentRound.id) {
+      UIManager.setArchiveView(null);
+      UIManager.renderLeaderboard(participants, getLeaderboardOptions());
       return;
     }
 
     try {
-      UIManager.setButtonLoading(UIManager.elements.submitBtn, true);
-
-      // Check if symbol is already taken (case-insensitive comparison)
-      const symbolTaken = await FirebaseService.isSymbolTaken(symbol, myEntry?.id);
-      if (symbolTaken) {
-        UIManager.showError(`Stock symbol ${symbol} is already taken by another participant`);
-        return;
-      }
-
-      // Fetch REAL stock price
-      let price;
-      try {
-        UIManager.showSuccess(`Fetching price for ${symbol}...`);
-        price = await fetchStockPrice(symbol, exchange);
-        console.log(`✅ Successfully fetched price: ₹${price}`);
-      } catch (error) {
-        UIManager.showError(
-          `Failed to fetch price for ${symbol} on ${exchange}. ` +
-          `Please verify: 1) Symbol is correct (e.g., RELIANCE, TCS, INFY) ` +
-          `2) Stock is listed on ${exchange} ` +
-          `3) Market might be closed`
-        );
-        return;
-      }
-
-      // Validate price
-      if (!price || price <= 0) {
-        UIManager.showError(`Invalid price returned for ${symbol}. Please try a different stock.`);
+      UIManager.showLoading();
+      const round = await FirebaseService.getRound(viewingRoundId);
+      if (!round) {
+        UIManager.showError('Round not found.');
         return;
       }
 
-      if (isEditing && myEntry) {
-        // Update existing entry
-        await FirebaseService.updateParticipant(myEntry.id, {
-          name,
-          symbol, // Already uppercase
-          exchange,
-          lastFridayPrice: price,
-          cmp: price,
-          change: 0
-        });
-
-        saveMyEntry({ id: myEntry.id, name, symbol });
-        UIManager.showSuccess(`Entry updated! ${symbol} @ ₹${price}`);
-      } else {
-        // Create new entry
-        const newParticipant = await FirebaseService.addParticipant({
-          name,
-          symbol, // Already uppercase
-          exchange,
-          lastFridayPrice: price,
-          cmp: price,
-          change: 0,
-          rank: 0
-        });
-
-        saveMyEntry({ id: newParticipant.id, name, symbol });
-        UIManager.showSuccess(`Entry submitted! ${symbol} @ ₹${price}`);
-      }
-
-      // Reset form and close
-      UIManager.hideEntryForm();
-      isEditing = false;
+      // Closed rounds show frozen results; unclosed old rounds show raw entries
+      const roundParticipants = round.status === 'closed'
+        ? round.results || []
+        : await FirebaseService.getAllParticipants(round.id);
 
+      archivedRound = round;
+      archivedParticipants = roundParticipants;
+      UIManager.setArchiveView(round);
+      UIManager.renderLeaderboard(roundParticipants, {
+        benchmarks: round.benchmarks || [],
+        mode: ChallengeMode.getRoundMode(round)
+      });
     } catch (error) {
-      console.error('Error submitting entry:', error);
-      UIManager.showError('Failed to submit entry. Please try again.');
-    } finally {
-      UIManager.setButtonLoading(UIManager.elements.submitBtn, false);
+      console.error('Error loading round:', error);
+      UIManager.showError('Failed to load round. Please try again.');
     }
   }
 
   /**
-   * Handle delete entry
+   * Download the round shown in the leaderboard
    */
-  async function handleDeleteEntry() {
-    if (!myEntry) {
-      UIManager.showError('No entry to delete');
-      return;
-    }
-    
-    if (isDeadlinePassed()) {
-      UIManager.showError('Deadline has passed! Cannot delete entries after Sunday 12:00 AM');
+  async function handleExport(event) {
+    const format = event.target.value;
+    event.target.value = '';
+    if (!format) return;
+
+    const isCurrent = viewingRoundId === currentRound.id;
+    const round = isCurrent ? currentRound : archivedRound;
+    const list = isCurrent ? participants : archivedParticipants;
+    if (!round || list.length === 0) {
+      UIManager.showError('Nothing to export for this round yet.');
       return;
     }
-    
-    if (!confirm('Are you sure you want to delete your entry?')) {
-      return;
+
+    try {
+      await ExportService.exportRound(format, round, list);
+    } catch (error) {
+      console.error('Error exporting round:', error);
+      UIManager.showError(`Export failed: ${error.message}`);
     }
-    
+  }
+
+  /**
+   * Show the recorded changes of a leaderboard entry
+   * @param {Element} anchor - The "edited" marker that was clicked
+   */
+  async function showEntryHistory(anchor) {
+    const id = anchor.dataset.historyId;
+    const roundId = viewingRoundId;
+    const list = roundId === currentRound.id ? participants : archivedParticipants;
+    const entry = list.find(p => p.id === id);
+    const name = entry ? entry.name : 'Entry';
+
+    UIManager.showHistoryPopover(anchor, name, null);
     try {
-      UIManager.setButtonLoading(UIManager.elements.deleteBtn, true, 'Deleting...');
-      
-      await FirebaseService.deleteParticipant(myEntry.id);
-      
-      clearMyEntry();
-      UIManager.hideEntryForm();
-      isEditing = false;
-      UIManager.showSuccess('Entry deleted successfully!');
-      
+      const history = await FirebaseService.getParticipantHistory(id, roundId);
+      if (viewingRoundId === roundId) {
+        UIManager.showHistoryPopover(anchor, name, history);
+      }
     } catch (error) {
-      console.error('Error deleting entry:', error);
-      UIManager.showError('Failed to delete entry. Please try again.');
-    } finally {
-      UIManager.setButtonLoading(UIManager.elements.deleteBtn, false);
+      UIManager.hideHistoryPopover();
+      UIManager.showError('Failed to load the entry history. Please try again.');
     }
   }
 
   /**
- * Handle refresh prices
- */
-  async function handleRefreshPrices() {
-    if (participants.length === 0) {
-      UIManager.showError('No participants to refresh');
-      return;
+   * Switch the leaderboard card between the weekly and season tabs
+   */
+  async function handleTabSelect(tab) {
+    leaderboardTab = tab;
+    UIManager.setLeaderboardTab(tab);
+    if (tab === 'season') {
+      await loadSeasonStandings();
     }
+  }
 
+  /**
+   * Compute and render standings for the selected season
+   */
+  async function loadSeasonStandings() {
     try {
-      UIManager.setRefreshLoading(true);
-      UIManager.hideError();
+      const seasons = Season.getSeasons(rounds);
+      if (!viewingSeason || !seasons.includes(viewingSeason)) {
+        viewingSeason = Season.getSeasonId(currentRound.id);
+      }
+      if (!seasons.includes(viewingSeason)) {
+        seasons.unshift(viewingSeason);
+      }
+      UIManager.renderSeasonOptions(seasons, viewingSeason);
 
-      console.log('🔄 Refreshing prices for all participants...');
+      const aliases = await FirebaseService.getPlayerAliases();
+      const seasonRounds = rounds.filter(round => Season.getSeasonId(round.id) === viewingSeason);
+      const standings = Season.computeStandings(seasonRounds, aliases);
+      const user = AuthService.getCurrentUser();
 
-      // Fetch new prices for all participants
-      const updatePromises = participants.map(async (p) => {
-        try {
-          const newPrice = await fetchStockPrice(p.symbol, p.exchange);
-          const change = p.lastFridayPrice
-            ? ((newPrice - p.lastFridayPrice) / p.lastFridayPrice) * 100
-            : 0;
-
-          console.log(`✅ ${p.symbol}: ₹${newPrice} (${change.toFixed(2)}%)`);
-
-          return {
-            id: p.id,
-            cmp: newPrice,
-            change: +change.toFixed(2),
-            success: true
-          };
-        } catch (error) {
-          console.error(`❌ Failed to fetch price for ${p.symbol}:`, error);
-          // Keep existing price if fetch fails
-          return {
-            id: p.id,
-            cmp: p.cmp || 0,
-            change: p.change || 0,
-            success: false
-          };
-        }
+      UIManager.renderSeasonStandings(standings, {
+        roundsCount: seasonRounds.filter(round => round.status === 'closed').length,
+        scheme: APP_CONFIG.seasonPoints,
+        myPlayerId: user ? Season.resolvePlayer(user.uid, aliases) : null
       });
+    } catch (error) {
+      console.error('Error loading season standings:', error);
+      UIManager.showError('Failed to load season standings. Please try again.');
+    }
+  }
 
-      const updates = await Promise.all(updatePromises);
+  /**
+   * Link devices so their season points add up
+   * Leave the prompt empty on the main device to get a code, then enter it on the others.
+   */
+  async function handleLinkDevice() {
+    const input = prompt(
+      'Combine season points from several devices:\n' +
+      '• On your main device, leave this empty to get a link code.\n' +
+      '• On your other devices, enter that code.'
+    );
+    if (input === null) return;
 
-      // Check if any prices were successfully fetched
-      const successCount = updates.filter(u => u.success).length;
-      if (successCount === 0) {
-        UIManager.showError('Failed to fetch prices for any stocks. Please check your internet connection.');
+    try {
+      if (!input.trim()) {
+        const code = await FirebaseService.createLinkCode();
+        alert(`Your link code is ${code}. Enter it on your other devices within ${APP_CONFIG.linkCodeTtlMinutes} minutes.`);
         return;
       }
 
-      // Sort by change (descending) and assign ranks
-      updates.sort((a, b) => b.change - a.change);
-      const rankedUpdates = updates.map((update, index) => ({
-        ...update,
-        rank: index + 1
-      }));
-
-      // Batch update in Firebase
-      await FirebaseService.batchUpdateParticipants(rankedUpdates);
-
-      const failCount = updates.length - successCount;
-      if (failCount > 0) {
-        UIManager.showSuccess(`Prices refreshed! (${successCount} succeeded, ${failCount} failed)`);
-      } else {
-        UIManager.showSuccess('All prices refreshed successfully!');
+      await FirebaseService.linkPlayer(input);
+      UIManager.showSuccess('Device linked! Its season points now count towards your main device.');
+      if (leaderboardTab === 'season') {
+        await loadSeasonStandings();
       }
+    } catch (error) {
+      UIManager.showError(`Failed to link device: ${error.message}`);
+    }
+  }
 
-      console.log(`✅ Refresh complete: ${successCount}/${updates.length} stocks updated`);
+  /**
+   * Open the current round of the active league and load everything for it
+   */
+  async function enterCurrentRound() {
+    currentRound = await RoundManager.openCurrentRound();
+    openedOffline = !navigator.onLine;
+    viewingRoundId = currentRound.id;
+    applyChallengeMode();
+    subscribeToCurrentRound();
+    await loadMyEntry();
+    UIManager.hideEntryForm();
+    isEditing = false;
+    UIManager.setArchiveView(null);
+
+    await loadRounds();
+    await loadParticipants();
+    subscribeToUpdates();
+    if (leaderboardTab === 'season') {
+      await loadSeasonStandings();
+    }
+  }
 
+  /**
+   * Load the leagues the user is a member of
+   */
+  async function loadLeagues() {
+    try {
+      leagues = await FirebaseService.getMyLeagues();
     } catch (error) {
-      console.error('Error refreshing prices:', error);
-      UIManager.showError('Failed to refresh prices. Please try again.');
-    } finally {
-      UIManager.setRefreshLoading(false);
+      console.error('Error loading leagues:', error);
+      leagues = [];
     }
   }
 
   /**
-   * Handle toggle entry button (Join/Edit)
+   * Scope rounds, deadlines and the league bar to a league
+   * @param {Object|null} league - League to play, or null for everyone
    */
-  function handleToggleEntry() {
-    UIManager.hideError();
-    
-    if (!myEntry) {
-      // Show new entry form
-      isEditing = false;
-      UIManager.showEntryForm(false);
+  function applyLeague(league) {
+    currentLeague = league;
+    FirebaseService.setLeague(league ? league.id : null);
+    EntryWindow.useSettings(league ? league.settings : {});
+    ChallengeMode.useSettings(league ? league.settings : null);
+
+    if (league) {
+      localStorage.setItem(LEAGUE_STORAGE_KEY, league.id);
     } else {
-      // Show edit form
-      if (isDeadlinePassed()) {
-        UIManager.showError('Deadline has passed! Cannot edit entries after Sunday 12:00 AM');
-        return;
+      localStorage.removeItem(LEAGUE_STORAGE_KEY);
+    }
+
+    const user = AuthService.getCurrentUser();
+    UIManager.renderLeagues(leagues, currentLeague, user ? user.uid : null);
+  }
+
+  /**
+   * Switch to another league and reload its current round
+   * @param {Object|null} league - League to play, or null for everyone
+   */
+  async function switchLeague(league) {
+    if (isRollingOver) return;
+    isRollingOver = true;
+
+    try {
+      if (unsubscribe) {
+        unsubscribe();
       }
-      
-      const myParticipant = participants.find(p => p.id === myEntry.id);
-      if (!myParticipant) {
-        UIManager.showError('Your entry was not found. Please try again.');
-        clearMyEntry();
-        return;
+      if (unsubscribeStatus) {
+        unsubscribeStatus();
       }
-      
-      isEditing = true;
-      UIManager.showEntryForm(true, myParticipant);
+
+      applyLeague(league);
+      viewingSeason = null;
+      await enterCurrentRound();
+      unsubscribeStatus = FirebaseService.subscribeToRefreshStatus(handleRefreshStatus);
+    } catch (error) {
+      console.error('Error switching league:', error);
+      UIManager.showError('Failed to load league. Please try again.');
+    } finally {
+      isRollingOver = false;
     }
   }
 
   /**
-   * Set up all event listeners
+   * Join the league from an invite link (?join=CODE)
+   * @returns {Promise<Object|null>} Joined league, or null
    */
-  function setupEventListeners() {
-    // Toggle entry button
-    UIManager.elements.toggleEntryBtn.addEventListener('click', handleToggleEntry);
-    
-    // Close form button
-    UIManager.elements.closeForm.addEventListener('click', () => {
-      UIManager.hideEntryForm();
-      isEditing = false;
-    });
-    
-    // Form submission
-    UIManager.elements.entryForm.addEventListener('submit', handleFormSubmit);
-    
-    // Delete button
-    UIManager.elements.deleteBtn.addEventListener('click', handleDeleteEntry);
-    
-    // Refresh prices button
-    UIManager.elements.refreshBtn.addEventListener('click', handleRefreshPrices);
-    
-    // Clear error button
-    UIManager.elements.clearError.addEventListener('click', UIManager.hideError);
-    
-    // Clear success button
-    UIManager.elements.clearSuccess.addEventListener('click', UIManager.hideSuccess);
-    
-    // Listen for storage changes (from other tabs)
-    window.addEventListener('storage', (event) => {
-      if (event.key === 'stockChallengeEntry') {
-        loadMyEntry();
+  async function acceptInviteFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get('join');
+    if (!code) return null;
+
+    // Drop the code from the address bar so a reload doesn't ask again
+    params.delete('join');
+    const query = params.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+
+    try {
+      const invite = await FirebaseService.getLeagueInvite(code);
+      if (!invite) {
+        UIManager.showError('This invite link is not valid.');
+        return null;
       }
-    });
+
+      const existing = leagues.find(league => league.id === invite.leagueId);
+      if (existing) return existing;
+
+      if (!confirm(`Join the league "${invite.name}"?`)) return null;
+
+      await FirebaseService.joinLeague(code);
+      await loadLeagues();
+      UIManager.showSuccess(`Welcome to ${invite.name}!`);
+      return leagues.find(league => league.id === invite.leagueId) || null;
+    } catch (error) {
+      console.error('Error accepting invite:', error);
+      UIManager.showError('Failed to join the league. Please try again.');
+      return null;
+    }
   }
 
   /**
-   * Cleanup on page unload
+   * Ask for a deadline like "Sun 23:59"
+   * @returns {Object|null} Deadline settings, or null if cancelled/invalid
    */
-  window.addEventListener('beforeunload', () => {
-    if (unsubscribe) {
-      unsubscribe();
+  function promptDeadline(current) {
+    const input = prompt('Entry deadline in IST (day and 24h time), e.g. "Sun 23:59" or "Sat 18:00"', current);
+    if (input === null) return null;
+
+    const settings = EntryWindow.parseDeadline(input);
+    if (!settings) {
+      UIManager.showError('Please enter a deadline like "Sun 23:59".');
+      return null;
+    }
+
+    // Entries open after the next session starts could use its prices
+    const entryWindow = EntryWindow.getWindow(new Date(), settings);
+    const marketOpens = MarketCalendar.nextOpenAfter(entryWindow.referenceDate);
+    if (entryWindow.closesAt > marketOpens &&
+        !confirm(`With this deadline, entries stay open after the market opens (${EntryWindow.formatIST(marketOpens)}), ` +
+          'so players could pick stocks that already moved. Use it anyway?')) {
+      return null;
+    }
+    return settings;
+  }
+
+  /**
+   * Ask how rounds are scored
+   * @returns {string|null} 'gain' or 'prediction', or null if cancelled/invalid
+   */
+  function promptMode(current) {
+    const input = prompt('Challenge mode: "gain" (biggest % return wins) or ' +
+      '"prediction" (closest predicted closing price wins)', current);
+    if (input === null) return null;
+
+    const mode = input.trim().toLowerCase();
+    if (!ChallengeMode.MODES.includes(mode)) {
+      UIManager.showError('Please enter "gain" or "prediction".');
+      return null;
+    }
+    return mode;
+  }
+
+  /**
+   * Create a league and switch to it
+   */
+  async function handleCreateLeague() {
+    const name = (prompt('League name (e.g. Office, College, Family)') || '').trim();
+    if (!name) return;
+
+    const defaultDeadline = EntryWindow.formatDeadline({
+      deadlineDay: APP_CONFIG.deadlineDay,
+      deadlineHour: APP_CONFIG.deadlineHour,
+      deadlineMinute: APP_CONFIG.deadlineMinute
+    });
+    const deadline = promptDeadline(defaultDeadline);
+    if (!deadline) return;
+    const mode = promptMode('gain');
+    if (!mode) return;
+
+    try {
+      const league = await FirebaseService.createLeague(name.slice(0, APP_CONFIG.maxNameLength), { ...deadline, mode });
+      await loadLeagues();
+      await switchLeague(leagues.find(l => l.id === league.id) || league);
+      handleInviteLeague();
+    } catch (error) {
+      UIManager.showError('Failed to create league. Please try again.');
+    }
+  }
+
+  /**
+   * Join a league with an invite code
+   */
+  async function handleJoinLeague() {
+    const code = (prompt('Invite code') || '').trim();
+    if (!code) return;
+
+    try {
+      const invite = await FirebaseService.joinLeague(code);
+      await loadLeagues();
+      await switchLeague(leagues.find(league => league.id === invite.leagueId) || null);
+      UIManager.showSuccess(`Welcome to ${invite.name}!`);
+    } catch (error) {
+      UIManager.showError(`Failed to join league: ${error.message}`);
+    }
+  }
+
+  /**
+   * Show the active league's invite code and link
+   */
+  function handleInviteLeague() {
+    if (!currentLeague) return;
+
+    const link = `${window.location.origin}${window.location.pathname}?join=${currentLeague.inviteCode}`;
+    prompt(`Invite code: ${currentLeague.inviteCode}\nShare this link to invite people to ${currentLeague.name}:`, link);
+  }
+
+  /**
+   * Move the active league's deadline or change its mode (owner only)
+   * A new mode applies from the next round; the current one keeps its own.
+   */
+  async function handleLeagueSettings() {
+    if (!currentLeague) return;
+
+    const deadline = promptDeadline(EntryWindow.formatDeadline());
+    if (!deadline) return;
+    const mode = promptMode(ChallengeMode.getActiveMode());
+    if (!mode) return;
+
+    const settings = { ...deadline, mode };
+    const modeChanged = mode !== ChallengeMode.getActiveMode();
+
+    try {
+      await FirebaseService.updateLeagueSettings(currentLeague.id, settings);
+      currentLeague.settings = settings;
+      applyLeague(currentLeague);
+      UIManager.showSuccess(`Deadline moved to ${EntryWindow.describeDeadline()}` +
+        (modeChanged ? ` · ${mode} mode starts next round` : ''));
+    } catch (error) {
+      UIManager.showError('Failed to update the league settings. Please try again.');
+    }
+  }
+
+  /**
+   * Leave the active league and go back to everyone
+   */
+  async function handleLeaveLeague() {
+    if (!currentLeague || !confirm(`Leave ${currentLeague.name}? You can rejoin with its invite code.`)) {
+      return;
+    }
+
+    try {
+      await FirebaseService.leaveLeague(currentLeague.id);
+      await loadLeagues();
+      await switchLeague(null);
+      UIManager.showSuccess('You left the league.');
+    } catch (error) {
+      UIManager.showError('Failed to leave the league. Please try again.');
+    }
+  }
+
+  /**
+   * Close the finished round and switch everything to the new one
+   */
+  async function handleRoundRollover() {
+    if (isRollingOver) return;
+    isRollingOver = true;
+
+    try {
+      console.log('🔁 Round ended, opening next round...');
+      if (unsubscribe) {
+        unsubscribe();
+      }
+
+      await enterCurrentRound();
+      UIManager.showSuccess('A new round has started!');
+    } catch (error) {
+      console.error('Error rolling over round:', error);
+    } finally {
+      isRollingOver = false;
+    }
+  }
+
+  /**
+   * Show suggestions for the current symbol input
+   */
+  async function updateSuggestions(input) {
+    const query = input.value;
+    if (!query.trim()) {
+      suggestions = [];
+      UIManager.hideSuggestions();
+      return;
+    }
+
+    try {
+      await SymbolMaster.load();
+    } catch (error) {
+      return; // Autocomplete is optional; typing symbols still works
+    }
+
+    suggestions = SymbolMaster.search(query);
+    activeSuggestion = suggestions.length > 0 ? 0 : -1;
+    UIManager.renderSuggestions(suggestions, activeSuggestion);
+  }
+
+  /**
+   * Fill the form from a suggestion
+   */
+  function selectSuggestion(input, index) {
+    const security = suggestions[index];
+    if (!security) return;
+
+    input.value = security.symbol;
+    input.closest('.holding-row').querySelector('.holding-exchange').value = security.exchange;
+    suggestions = [];
+    activeSuggestion = -1;
+    UIManager.hideSuggestions();
+  }
+
+  /**
+   * Setup fuzzy, keyboard-navigable stock autocomplete
+   * Works for every holding's symbol input; the symbol master is downloaded on first focus.
+   */
+  function setupStockAutocomplete() {
+    const form = UIManager.elements.entryForm;
+    const list = UIManager.elements.stockSuggestions;
+    const isSymbolInput = (target) => target.classList.contains('holding-symbol');
+
+    form.addEventListener('focusin', (event) => {
+      if (!isSymbolInput(event.target)) return;
+      UIManager.attachSuggestions(event.target);
+      SymbolMaster.load().catch(() => {});
+    });
+
+    form.addEventListener('input', (event) => {
+      if (!isSymbolInput(event.target)) return;
+      const input = event.target;
+      unlistedSymbolConfirmed = null;
+      clearTimeout(suggestionTimer);
+      suggestionTimer = setTimeout(() => updateSuggestions(input), 120);
+    });
+
+    form.addEventListener('keydown', (event) => {
+      if (!isSymbolInput(event.target) || suggestions.length === 0) return;
+
+      if (event.key === 'ArrowDown') {
+        event.preventDefault();
+        activeSuggestion = (activeSuggestion + 1) % suggestions.length;
+        UIManager.renderSuggestions(suggestions, activeSuggestion);
+      } else if (event.key === 'ArrowUp') {
+        event.preventDefault();
+        activeSuggestion = (activeSuggestion - 1 + suggestions.length) % suggestions.length;
+        UIManager.renderSuggestions(suggestions, activeSuggestion);
+      } else if (event.key === 'Enter' && activeSuggestion >= 0) {
+        event.preventDefault();
+        selectSuggestion(event.target, activeSuggestion);
+      } else if (event.key === 'Escape') {
+        suggestions = [];
+        UIManager.hideSuggestions();
+      }
+    });
+
+    // mousedown fires before the input's blur, so the click isn't lost
+    list.addEventListener('mousedown', (event) => {
+      const item = event.target.closest('.stock-suggestion-item');
+      if (item) {
+        event.preventDefault();
+        const input = list.parentElement.querySelector('.holding-symbol');
+        selectSuggestion(input, Number(item.dataset.index));
+      }
+    });
+
+    form.addEventListener('focusout', (event) => {
+      if (!isSymbolInput(event.target)) return;
+      suggestions = [];
+      UIManager.hideSuggestions();
+    });
+  }
+
+  /**
+   * Setup add/remove holding rows and the live weight total
+   */
+  function setupPortfolioForm() {
+    const form = UIManager.elements.entryForm;
+
+    UIManager.elements.addHoldingBtn.addEventListener('click', () => {
+      UIManager.addHoldingRow();
+    });
+
+    form.addEventListener('click', (event) => {
+      const removeBtn = event.target.closest('.remove-holding');
+      if (removeBtn) {
+        UIManager.removeHoldingRow(removeBtn.closest('.holding-row'));
+      }
+    });
+
+    form.addEventListener('input', (event) => {
+      if (event.target.classList.contains('holding-weight')) {
+        UIManager.updateWeightTotal();
+      }
+    });
+  }
+
+  /**
+   * Check if the entry deadline has passed (evaluated in IST)
+   */
+  function isDeadlinePassed() {
+    return EntryWindow.isDeadlinePassed() || isRoundLocked();
+  }
+
+  /**
+   * Error message shown when the entry window is closed
+   */
+  function getDeadlineMessage(action) {
+    if (isRoundLocked()) {
+      return `Entries are locked by the organisers. Cannot ${action} entries right now.`;
+    }
+
+    const entryWindow = EntryWindow.getWindow();
+    const opensIn = EntryWindow.formatDuration(entryWindow.nextOpensAt.getTime() - Date.now());
+    return `Deadline has passed! Cannot ${action} entries after ${EntryWindow.describeDeadline()}. ` +
+      `Next window opens in ${opensIn}.`;
+  }
+
+  /**
+   * Update countdown and lock state every second
+   */
+  function startEntryWindowTicker() {
+    const tick = () => {
+      UIManager.renderEntryWindow({ ...EntryWindow.getWindow(), isLocked: isRoundLocked() });
+      UIManager.renderMarketStatus(MarketCalendar.getStatus());
+      if (currentRound && RoundManager.hasRoundChanged(currentRound.id)) {
+        handleRoundRollover();
+      }
+    };
+    tick();
+    windowTimer = setInterval(tick, 1000);
+  }
+
+  /**
+  * Fetch current quote ({ price, provider }) using real API
+  */
+  async function fetchQuote(symbol, exchange) {
+    return await StockAPI.fetchQuote(symbol, exchange);
+  }
+
+  /**
+   * Handle form submission (new entry or update)
+   */
+  /**
+ * Handle form submission (new entry or update)
+ * UPDATED: Accepts stock symbols in any case (lowercase, uppercase, mixed)
+ */
+  async function handleFormSubmit(event) {
+    event.preventDefault();
+    UIManager.hideError();
+
+    // Get form values and normalize symbols to UPPERCASE
+    await submitEntry(UIManager.getFormValues(), { isEdit: isEditing });
+  }
+
+  /**
+   * Validate and save an entry (also replays an entry queued while offline)
+   * @param {Object} formValues - Values from UIManager.getFormValues()
+   * @param {Object} options - { isEdit, queued: replaying an offline entry }
+   * @returns {Promise<boolean>} True once the entry is saved
+   */
+  async function submitEntry(formValues, { isEdit = false, queued = false } = {}) {
+    const name = formValues.name;
+    // Prediction rounds take a single long pick plus its predicted close
+    const isPrediction = ChallengeMode.isPrediction(currentRound);
+    const portfolioMode = APP_CONFIG.portfolioMode && !isPrediction;
+    const holdings = portfolioMode
+      ? formValues.holdings
+      : [{ symbol: formValues.symbol, exchange: formValues.exchange, weight: 100 }];
+    const symbols = holdings.map(holding => holding.symbol);
+    const symbol = symbols[0];
+    const direction = formValues.direction === 'short' && !isPrediction ? 'short' : 'long';
+    const prediction = isPrediction ? formValues.prediction : null;
+
+    // Validation
+    if (!name || symbols.some(s => !s)) {
+      UIManager.showError('Please fill all fields');
+      return;
+    }
+
+    if (isPrediction && !(prediction > 0)) {
+      UIManager.showError('Please enter your predicted closing price');
+      return;
+    }
+
+    // Validate symbol format (letters, numbers, & and - only)
+    const symbolRegex = /^[A-Z0-9&\-]+$/;
+    const badSymbol = symbols.find(s => !symbolRegex.test(s));
+    if (badSymbol) {
+      UIManager.showError(`Stock symbol ${badSymbol} can only contain letters, numbers, & and -`);
+      return;
+    }
+
+    if (portfolioMode) {
+      const holdingsError = Portfolio.validateHoldings(holdings, APP_CONFIG.maxHoldings);
+      if (holdingsError) {
+        UIManager.showError(holdingsError);
+        return;
+      }
+    }
+
+    if (isDeadlinePassed()) {
+      UIManager.showError(getDeadlineMessage('submit'));
+      return;
+    }
+
+    // Shorts are capped per round (firestore.rules enforces it too)
+    const wasShort = isEdit && myEntry && participants.some(p => p.id === myEntry.id && p.direction === 'short');
+    if (direction === 'short' && !wasShort) {
+      const shorts = participants.filter(p => p.direction === 'short').length;
+      if (shorts >= APP_CONFIG.maxShortsPerRound) {
+        UIManager.showError(APP_CONFIG.maxShortsPerRound > 0
+          ? `All ${APP_CONFIG.maxShortsPerRound} short slots of this round are taken. Go long instead?`
+          : 'Short picks are not allowed in this challenge.');
+        return;
+      }
+    }
+
+    // Catch typos before a slow failed price fetch (already confirmed for queued entries).
+    // The symbol list only covers NSE/BSE.
+    const unlisted = SymbolMaster.isLoaded() && !queued
+      ? holdings
+        .filter(holding => Exchanges.get(holding.exchange)?.symbolList)
+        .map(holding => holding.symbol)
+        .find(s => !SymbolMaster.find(s) && unlistedSymbolConfirmed !== s)
+      : null;
+    if (unlisted) {
+      const [closest] = SymbolMaster.search(unlisted, 1);
+      if (closest) {
+        unlistedSymbolConfirmed = unlisted;
+        UIManager.showError(
+          `${unlisted} is not in the symbol list. Did you mean ${closest.symbol} (${closest.name})? ` +
+          `Submit again to use ${unlisted} anyway.`
+        );
+        return;
+      }
+    }
+
+    // Prices can't be fetched offline: keep the entry on this device until we're back
+    if (!navigator.onLine) {
+      queuePendingEntry(formValues, isEdit);
+      return;
+    }
+
+    try {
+      UIManager.setButtonLoading(UIManager.elements.submitBtn, true);
+
+      // Check if any stock (symbol on its exchange) is already taken by another entry
+      const taken = await FirebaseService.isSymbolTaken(holdings, myEntry?.id);
+      if (taken) {
+        UIManager.showError(`${taken.symbol} on ${taken.exchange} is already taken by another participant`);
+        return;
+      }
+
+      // Fetch the official reference-day close (baseline) and the current price of every holding
+      const referenceDate = EntryWindow.getWindow().referenceDate;
+      let priced;
+      try {
+        UIManager.showSuccess(`Fetching price for ${symbols.join(', ')}...`);
+        priced = await Promise.all(holdings.map(holding => fetchHoldingPrices(holding, referenceDate)));
+      } catch (error) {
+        const failed = error.holding || holdings[0];
+        const market = MarketCalendar.getStatus();
+        UIManager.showError(
+          `Failed to fetch price for ${failed.symbol} on ${failed.exchange}. ` +
+          `Please verify: 1) Symbol is correct (e.g., RELIANCE, TCS, INFY) ` +
+          `2) Stock is listed on ${failed.exchange}` +
+          (market.session === 'closed'
+            ? ` 3) The price service may be down while the market is closed (${MarketCalendar.describeStatus(market)})`
+            : '')
+        );
+        return;
+      }
+
+      // Validate prices
+      const invalid = priced.find(({ baseline, quote }) =>
+        !quote.price || quote.price <= 0 || !baseline.close || baseline.close <= 0);
+      if (invalid) {
+        UIManager.showError(`Invalid price returned for ${invalid.symbol}. Please try a different stock.`);
+        return;
+      }
+
+      const { baseline, quote, currency, fx } = priced[0];
+
+      // Predictions far from the current price are most likely typos
+      const predictionError = isPrediction ? ChallengeMode.validatePrediction(prediction, quote.price, currency) : null;
+      if (predictionError) {
+        UIManager.showError(predictionError);
+        return;
+      }
+
+      const entryData = portfolioMode
+        ? buildPortfolioEntry(name, priced, referenceDate, direction)
+        : {
+          name,
+          symbol, // Already uppercase
+          exchange: holdings[0].exchange,
+          currency,
+          direction,
+          symbols: holdings.map(Portfolio.holdingKey),
+          baselineDate: baseline.date,
+          lastFridayPrice: baseline.close,
+          baselineSource: baseline.provider,
+          cmp: quote.price,
+          priceSource: quote.provider,
+          adjustment: null, // Set by the next refresh if the stock goes ex during the round
+          fxBase: fx ? fx.base : null,
+          fxRate: fx ? fx.rate : null,
+          ...(isPrediction ? { prediction } : {})
+        };
+      if (!portfolioMode) {
+        const scored = scoreNewEntry(entryData, priced);
+        entryData.change = scored.change;
+        entryData.exactChange = scored.exactChange;
+        entryData.score = scored.score;
+      }
+      let summary;
+      if (isPrediction) {
+        summary = `${symbol} to close at ${Exchanges.formatPrice(prediction, currency)} on ${currentRound.endDate} ` +
+          `(now ${Exchanges.formatPrice(quote.price, currency)})`;
+      } else {
+        summary = (direction === 'short' ? 'SHORT ' : '') + (portfolioMode
+          ? `${Portfolio.describe(entryData)} (${entryData.change > 0 ? '+' : ''}${entryData.change}%)`
+          : `${symbol} base ${Exchanges.formatPrice(baseline.close, currency)} (${baseline.date})`);
+      }
+
+      if (isEdit && myEntry) {
+        // Update existing entry
+        await FirebaseService.updateParticipant(myEntry.id, entryData);
+
+        saveMyEntry({ id: myEntry.id, name, symbol });
+        UIManager.showSuccess(`Entry updated! ${summary}`);
+      } else {
+        // Create new entry
+        const newParticipant = await FirebaseService.addParticipant({
+          ...entryData,
+          rank: 0
+        });
+
+        saveMyEntry({ id: newParticipant.id, name, symbol });
+        UIManager.showSuccess(`Entry submitted! ${summary}`);
+      }
+
+      // Reset form and close
+      UIManager.hideEntryForm();
+      isEditing = false;
+      return true;
+
+    } catch (error) {
+      console.error('Error submitting entry:', error);
+      if (error.shortsFull) {
+        UIManager.showError(`${error.message}. Go long instead?`);
+      } else if (error.symbolTaken) {
+        UIManager.showError(error.message); // Claimed by someone else since the check above
+      } else if (queued) {
+        UIManager.showError('Failed to submit the entry you saved offline. It is still saved on this device and will be tried again.');
+      } else {
+        UIManager.showError('Failed to submit entry. Please try again.');
+      }
+    } finally {
+      UIManager.setButtonLoading(UIManager.elements.submitBtn, false);
+    }
+  }
+
+  /**
+   * Fetch a holding's baseline close and current quote, plus the exchange
+   * rates at both when foreign prices are converted (see FxRates)
+   * Errors carry the holding so the form can say which stock failed.
+   * @returns {Promise<Object>} { ...holding, currency, baseline, quote, fx }
+   */
+  async function fetchHoldingPrices(holding, referenceDate) {
+    try {
+      // The reference day itself may be an exchange holiday
+      const currency = Exchanges.getCurrency(holding.exchange);
+      const [baseline, quote] = await Promise.all([
+        StockAPI.fetchHistoricalClose(holding.symbol, holding.exchange,
+          Exchanges.getBaselineDate(holding.exchange, referenceDate)),
+        fetchQuote(holding.symbol, holding.exchange)
+      ]);
+      const [fxBase, fxRate] = await Promise.all([
+        FxRates.fetchHistoricalRate(currency, baseline.date),
+        FxRates.fetchRate(currency)
+      ]);
+      console.log(`✅ ${holding.symbol} baseline: ${baseline.close} (${baseline.date}), current: ${quote.price} ${currency}`);
+      return { ...holding, currency, baseline, quote, fx: Portfolio.toFx(fxBase, fxRate) };
+    } catch (error) {
+      error.holding = holding;
+      throw error;
+    }
+  }
+
+  /**
+   * Score a new entry on the quotes it was entered with, like a refresh would
+   * @returns {Object} See Scoring.scoreEntry()
+   */
+  function scoreNewEntry(entryData, priced) {
+    const quotes = new Map(priced.map(({ symbol, exchange, quote }) => [`${symbol.toUpperCase()}-${exchange}`, quote]));
+    return Scoring.scoreEntry(Scoring.toEntry(entryData), quotes, Ranking.getOptions().strategy);
+  }
+
+  /**
+   * Build a portfolio entry from priced holdings
+   * The first holding doubles as `symbol`/`exchange` for older readers.
+   * @param {string} direction - 'long' or 'short' (applies to the whole portfolio)
+   */
+  function buildPortfolioEntry(name, priced, referenceDate, direction) {
+    const holdingPrices = {};
+    const holdings = priced.map(({ symbol, exchange, currency, weight, baseline, quote, fx }) => {
+      const holding = {
+        symbol,
+        exchange,
+        currency,
+        weight,
+        basePrice: baseline.close,
+        baselineDate: baseline.date,
+        baselineSource: baseline.provider,
+        fxBase: fx ? fx.base : null
+      };
+      holdingPrices[Portfolio.holdingKey(holding)] = {
+        cmp: quote.price,
+        priceSource: quote.provider,
+        fxRate: fx ? fx.rate : null
+      };
+      return holding;
+    });
+
+    const entry = {
+      name,
+      symbol: holdings[0].symbol,
+      exchange: holdings[0].exchange,
+      direction,
+      symbols: holdings.map(Portfolio.holdingKey),
+      holdings,
+      holdingPrices,
+      baselineDate: referenceDate,
+      lastFridayPrice: 0,
+      cmp: 0
+    };
+
+    const scored = scoreNewEntry(entry, priced);
+    scored.holdings.forEach(holding => {
+      holdingPrices[Portfolio.holdingKey(holding)].change = holding.change;
+    });
+    return { ...entry, change: scored.change, exactChange: scored.exactChange, score: scored.score };
+  }
+
+  /**
+   * Handle delete entry
+   */
+  async function handleDeleteEntry() {
+    if (!myEntry) {
+      UIManager.showError('No entry to delete');
+      return;
+    }
+    
+    if (isDeadlinePassed()) {
+      UIManager.showError(getDeadlineMessage('delete'));
+      return;
+    }
+    
+    if (!confirm('Are you sure you want to delete your entry?')) {
+      return;
+    }
+    
+    try {
+      UIManager.setButtonLoading(UIManager.elements.deleteBtn, true, 'Deleting...');
+      
+      await FirebaseService.deleteParticipant(myEntry.id);
+      
+      clearMyEntry();
+      UIManager.hideEntryForm();
+      isEditing = false;
+      UIManager.showSuccess('Entry deleted successfully!');
+      
+    } catch (error) {
+      console.error('Error deleting entry:', error);
+      UIManager.showError('Failed to delete entry. Please try again.');
+    } finally {
+      UIManager.setButtonLoading(UIManager.elements.deleteBtn, false);
+    }
+  }
+
+  /**
+ * Handle refresh prices
+ * Only the holder of the refresh lease refreshes; everyone else gets the
+ * new prices through the live participants snapshot.
+ */
+  async function handleRefreshPrices() {
+    if (participants.length === 0) {
+      UIManager.showError('No participants to refresh');
+      return;
+    }
+
+    if (!navigator.onLine) {
+      UIManager.showError("You're offline. Prices can be refreshed once you're back online.");
+      return;
+    }
+
+    // Outside market hours only one refresh is needed, to pull the official close
+    // (foreign stocks in play keep their own hours)
+    const exchanges = participants.flatMap(p => Portfolio.getHoldings(p)).map(holding => holding.exchange);
+    if (!MarketCalendar.needsRefresh(lastRefreshedAt) && !Exchanges.needsRefresh(exchanges, lastRefreshedAt)) {
+      const market = MarketCalendar.getStatus();
+      UIManager.showSuccess(`Prices are already the official close of ${market.lastCloseDate}. ` +
+        `${market.label} · next session ${EntryWindow.formatIST(market.opensAt)}.`);
+      return;
+    }
+
+    let lease = null;
+    try {
+      UIManager.setRefreshLoading(true);
+      UIManager.hideError();
+
+      lease = await FirebaseService.acquireRefreshLease();
+      if (!lease) {
+        UIManager.showSuccess('Another refresh is already running - the leaderboard will update when it finishes.');
+        return;
+      }
+
+      console.log('🔄 Refreshing prices for all participants...');
+
+      let result;
+      for (let attempt = 1; ; attempt++) {
+        // Rank a fresh read of the entries, not this tab's copy
+        const snapshot = await FirebaseService.getAllParticipants();
+        result = await computePriceUpdates(snapshot);
+        if (result.successCount === 0) break;
+
+        try {
+          // Fetching can outlast the lease; the rules only accept writes from its live holder
+          await FirebaseService.renewRefreshLease(lease);
+          await FirebaseService.commitPriceRefresh(lease, snapshot, result.updates, {
+            updated: result.successCount,
+            failed: result.updates.length - result.successCount,
+            benchmarks: result.benchmarks
+          });
+          break;
+        } catch (error) {
+          // Entries changed while prices were fetched: re-rank (quotes are cached)
+          if (!error.participantsChanged || attempt >= REFRESH_ATTEMPTS) throw error;
+          console.warn('🔁 Entries changed during the refresh, re-ranking...');
+        }
+      }
+
+      // Check if any prices were successfully fetched
+      const { successCount, updates } = result;
+      if (successCount === 0) {
+        UIManager.showError('Failed to fetch prices for any stocks. Please check your internet connection.');
+        return;
+      }
+
+      const failCount = updates.length - successCount;
+      if (failCount > 0) {
+        UIManager.showSuccess(`Prices refreshed! (${successCount} succeeded, ${failCount} failed)`);
+      } else {
+        UIManager.showSuccess('All prices refreshed successfully!');
+      }
+
+      console.log(`✅ Refresh complete: ${successCount}/${updates.length} stocks updated`);
+
+    } catch (error) {
+      console.error('Error refreshing prices:', error);
+      if (error.participantsChanged) {
+        UIManager.showError('Entries changed during the refresh. Please try again.');
+      } else if (error.leaseLost) {
+        UIManager.showError('The refresh took too long and another one took over. Prices will update shortly.');
+      } else {
+        UIManager.showError('Failed to refresh prices. Please try again.');
+      }
+    } finally {
+      if (lease) {
+        FirebaseService.releaseRefreshLease(lease).catch(() => {}); // Expires on its own anyway
+      }
+      UIManager.setRefreshLoading(false);
+    }
+  }
+
+  /**
+   * Fetch prices for a snapshot of the participants and rank them
+   * Scoring and ranking are shared with round closes and the refresh job
+   * (see Scoring.scoreParticipants).
+   * @param {Array} snapshot - Participants to refresh
+   * @returns {Promise<Object>} { updates (ranked), successCount, benchmarks }
+   */
+  async function computePriceUpdates(snapshot) {
+    // Fetch new prices for every holding in rate-limited batches (stocks with
+    // an admin price override too: the volatilityAdjusted strategy needs their closes)
+    const quotes = await StockAPI.fetchQuotes(snapshot.flatMap(p => Portfolio.getHoldings(p)), {
+      onProgress: (done, total) => UIManager.setRefreshProgress(done, total)
+    });
+    const actions = await fetchCorporateActions(snapshot);
+    const rates = await fetchFxRates(snapshot);
+    const isPrediction = ChallengeMode.isPrediction(currentRound);
+    const roundBenchmarks = isPrediction ? [] : await Benchmarks.fetchReturns(FirebaseService.getRoundId());
+
+    quotes.forEach((quote, key) => {
+      if (quote.error) console.error(`❌ Failed to fetch price for ${key}:`, quote.error.message);
+    });
+
+    const { updates, successCount } = Scoring.scoreParticipants(snapshot, quotes, {
+      ...Ranking.getOptions({ rankBy: ChallengeMode.getRankBy(currentRound) }),
+      benchmarks: roundBenchmarks,
+      refresh: holding => ({
+        ...holding,
+        adjustment: getAdjustment(holding, actions, holding.adjustment),
+        fxRate: rates.get(holding.currency) || holding.fxRate // Keeps the last rate if the new one failed
+      })
+    });
+
+    return { updates, successCount, benchmarks: roundBenchmarks };
+  }
+
+  /**
+   * Fetch splits, bonuses and dividends that went ex since the round's baseline
+   * @returns {Promise<Map>} "SYMBOL-EXCHANGE" -> events or { error }
+   */
+  async function fetchCorporateActions(list) {
+    const holdings = list.flatMap(p => Portfolio.getHoldings(p));
+    if (holdings.length === 0) return new Map();
+
+    // Baselines can fall before the reference date after a holiday
+    const fromDate = holdings.reduce(
+      (earliest, holding) => (holding.baselineDate && holding.baselineDate < earliest ? holding.baselineDate : earliest),
+      FirebaseService.getRoundId()
+    );
+    return StockAPI.fetchCorporateActions(holdings, fromDate, EntryWindow.toDateKey(new Date()));
+  }
+
+  /**
+   * Corporate-action adjustment for a stock since its baseline close
+   * Keeps the previous adjustment when the events could not be fetched.
+   * @param {Object} holding - { symbol, exchange, baselineDate }
+   */
+  function getAdjustment(holding, actions, previous) {
+    const events = actions.get(`${holding.symbol.toUpperCase()}-${holding.exchange}`);
+    if (!events || events.error) return previous || null;
+    return CorporateActions.adjust(events, holding.baselineDate || FirebaseService.getRoundId());
+  }
+
+  /**
+   * Fetch the latest exchange rates for converted foreign stocks
+   * @returns {Promise<Map>} currency -> rate
+   */
+  async function fetchFxRates(list) {
+    const currencies = list.flatMap(p => Portfolio.getHoldings(p))
+      .filter(holding => holding.fxBase)
+      .map(holding => holding.currency);
+    return FxRates.fetchRates(currencies);
+  }
+
+  /**
+   * Handle toggle entry button (Join/Edit)
+   */
+  function handleToggleEntry() {
+    UIManager.hideError();
+    
+    if (isDeadlinePassed()) {
+      UIManager.showError(getDeadlineMessage(myEntry ? 'edit' : 'submit'));
+      return;
+    }
+
+    if (!myEntry) {
+      // Show new entry form
+      isEditing = false;
+      UIManager.showEntryForm(false);
+    } else {
+      // Show edit form
+
+      const myParticipant = participants.find(p => p.id === myEntry.id);
+      if (!myParticipant) {
+        UIManager.showError('Your entry was not found. Please try again.');
+        clearMyEntry();
+        return;
+      }
+      
+      isEditing = true;
+      UIManager.showEntryForm(true, myParticipant);
+    }
+  }
+
+  /**
+   * Handle Google sign-in (upgrades the anonymous account)
+   */
+  async function handleGoogleSignIn() {
+    try {
+      await AuthService.signInWithGoogle();
+      UIManager.showSuccess('Signed in with Google');
+    } catch (error) {
+      if (error.code !== 'auth/popup-closed-by-user') {
+        UIManager.showError('Google sign-in failed. Please try again.');
+      }
+    }
+  }
+
+  /**
+   * Handle email link sign-in
+   */
+  async function handleEmailSignIn() {
+    const email = prompt('Enter your email to receive a sign-in link');
+    if (!email) return;
+
+    try {
+      await AuthService.sendEmailLink(email.trim());
+      UIManager.showSuccess(`Sign-in link sent to ${email.trim()}. Open it on this device.`);
+    } catch (error) {
+      UIManager.showError('Failed to send sign-in link. Please check the email address.');
+    }
+  }
+
+  /**
+   * Handle sign out
+   */
+  async function handleSignOut() {
+    if (!confirm('Sign out? You will need to sign in again to edit your entry.')) {
+      return;
+    }
+
+    try {
+      await AuthService.signOut();
+      UIManager.hideEntryForm();
+      isEditing = false;
+    } catch (error) {
+      console.error('Error signing out:', error);
+      UIManager.showError('Failed to sign out. Please try again.');
+    }
+  }
+
+  /**
+   * Re-render the admin console and its audit log
+   */
+  async function refreshAdminPanel() {
+    UIManager.renderAdminPanel(currentRound, participants);
+    try {
+      UIManager.renderAuditLog(await AdminService.getAuditLog());
+    } catch (error) {
+      UIManager.showError('Failed to load the audit log.');
+    }
+  }
+
+  /**
+   * Ask an admin why they are making a change
+   * @returns {string|null} Reason, or null if cancelled
+   */
+  function promptReason(action) {
+    const reason = prompt(`Reason for ${action} (saved in the audit log)`);
+    if (reason === null) return null;
+    if (!reason.trim()) {
+      UIManager.showError('Please give a reason.');
+      return null;
+    }
+    return reason.trim();
+  }
+
+  /**
+   * Ask for a price (in the stock's currency); blank keeps the current one
+   * @returns {number|undefined|null} Price, undefined to keep, or null if invalid/cancelled
+   */
+  function promptPrice(label, current, currency) {
+    const input = prompt(`${label} (blank keeps ${Exchanges.formatPrice(current || 0, currency)})`, '');
+    if (input === null) return null;
+    if (!input.trim()) return undefined;
+
+    const price = parseFloat(input);
+    if (!(price > 0)) {
+      UIManager.showError('Prices must be positive numbers.');
+      return null;
+    }
+    return +price.toFixed(2);
+  }
+
+  /**
+   * Run an admin action and report the outcome
+   */
+  async function runAdminAction(action, successMessage) {
+    try {
+      await action();
+      UIManager.showSuccess(successMessage);
+      await refreshAdminPanel();
+    } catch (error) {
+      UIManager.showError(`Admin action failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle rename / fix price / delete buttons in the admin console
+   */
+  async function handleAdminParticipantAction(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button) return;
+
+    const id = button.closest('.admin-row-actions').dataset.id;
+    const participant = participants.find(p => p.id === id);
+    if (!participant) return;
+
+    switch (button.dataset.action) {
+      case 'rename': {
+        const name = (prompt(`New name for ${participant.name}`, participant.name) || '').trim();
+        if (!name || name === participant.name) return;
+        const reason = promptReason('renaming');
+        if (!reason) return;
+        await runAdminAction(
+          () => AdminService.renameParticipant(participant, name.slice(0, APP_CONFIG.maxNameLength), reason),
+          `Renamed ${participant.name} to ${name}`
+        );
+        break;
+      }
+      case 'override': {
+        const currency = participant.currency || Exchanges.getCurrency(participant.exchange);
+        const cmp = promptPrice(`Current price for ${participant.symbol}`, participant.cmp, currency);
+        if (cmp === null) return;
+        const lastFridayPrice = promptPrice(`Base (Friday close) price for ${participant.symbol}`, participant.lastFridayPrice, currency);
+        if (lastFridayPrice === null) return;
+        if (cmp === undefined && lastFridayPrice === undefined) return;
+        const reason = promptReason('the price fix');
+        if (!reason) return;
+        await runAdminAction(
+          () => AdminService.overridePrices(participant, { cmp, lastFridayPrice }, reason),
+          `Prices fixed for ${participant.name}`
+        );
+        break;
+      }
+      case 'clear-override': {
+        const reason = promptReason('clearing the price fix');
+        if (!reason) return;
+        await runAdminAction(
+          () => AdminService.clearPriceOverride(participant, reason),
+          `${participant.symbol} will follow live prices again`
+        );
+        break;
+      }
+      case 'delete': {
+        if (!confirm(`Delete ${participant.name}'s entry (${participant.symbol})?`)) return;
+        const reason = promptReason('deleting');
+        if (!reason) return;
+        await runAdminAction(
+          () => AdminService.deleteParticipant(participant, reason),
+          `Deleted ${participant.name}'s entry`
+        );
+        break;
+      }
+    }
+  }
+
+  /**
+   * Lock or unlock entries for the current round
+   */
+  async function handleAdminLock() {
+    const locked = !currentRound.entriesLocked;
+    const reason = promptReason(locked ? 'locking entries' : 'unlocking entries');
+    if (!reason) return;
+
+    await runAdminAction(
+      () => AdminService.setEntriesLocked(currentRound, locked, reason),
+      locked ? 'Entries locked' : 'Entries unlocked'
+    );
+  }
+
+  /**
+   * Recompute ranks from the current prices
+   */
+  async function handleAdminRerank() {
+    const reason = promptReason('re-running the ranking');
+    if (!reason) return;
+
+    await runAdminAction(
+      () => AdminService.rerunRanking(Benchmarks.withAlpha(participants, benchmarks), reason, {
+        rankBy: ChallengeMode.getRankBy(currentRound)
+      }),
+      'Ranking recomputed'
+    );
+  }
+
+  /**
+   * Close the current round now and declare the winner
+   */
+  async function handleAdminClose() {
+    if (!confirm('Close this round now? Final prices and the winner will be frozen.')) return;
+    const reason = promptReason('closing the round');
+    if (!reason) return;
+
+    await runAdminAction(async () => {
+      await AdminService.closeRound(currentRound, reason);
+      await loadRounds();
+    }, 'Round closed');
+  }
+
+  /**
+   * Import entries into the current round from a JSON export
+   * Shows a dry-run preview and only writes after it is confirmed.
+   */
+  async function handleAdminImportFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const parsed = ExportService.parseImport(await file.text());
+      const plan = parsed.errors.length === 0
+        ? await AdminService.planImport(parsed.entries)
+        : null;
+      const errors = plan ? plan.errors : parsed.errors;
+      if (errors.length > 0) {
+        const more = errors.length > 3 ? ` (+${errors.length - 3} more)` : '';
+        UIManager.showError(`Nothing imported - ${errors.slice(0, 3).join('; ')}${more}`);
+        return;
+      }
+
+      const lines = [
+        `Dry run for ${file.name}:`,
+        `• ${plan.creates.length} new ${plan.creates.length === 1 ? 'entry' : 'entries'}`,
+        `• ${plan.replaces.length} replaced`,
+        `• ${plan.untouched} existing left as they are`
+      ];
+      if (parsed.roundId && parsed.roundId !== currentRound.id) {
+        lines.push(`The file is from the week of ${parsed.roundId}; entries go into the current week (${currentRound.id}).`);
+      }
+      if (parsed.leagueId !== FirebaseService.getLeagueId()) {
+        lines.push(`The file is from ${parsed.leagueId ? `league ${parsed.leagueId}` : 'the public challenge'}.`);
+      }
+      lines.push('', 'Import these entries?');
+      if (!confirm(lines.join('\n'))) return;
+
+      const reason = promptReason('the import');
+      if (!reason) return;
+
+      await runAdminAction(
+        () => AdminService.importParticipants(plan, reason, file.name),
+        `Imported ${plan.creates.length + plan.replaces.length} entries from ${file.name}`
+      );
+    } catch (error) {
+      console.error('Error importing file:', error);
+      UIManager.showError(`Import failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Show the last refresh and remember when it happened
+   */
+  function handleRefreshStatus(status) {
+    lastRefreshedAt = status && status.lastRefreshedAt ? status.lastRefreshedAt.toDate() : null;
+    UIManager.renderRefreshStatus(status);
+
+    // Benchmark rows show the index returns the ranks were computed with
+    const roundBenchmarks = status && currentRound && status.roundId === currentRound.id && Array.isArray(status.benchmarks)
+      ? status.benchmarks
+      : [];
+    if (JSON.stringify(roundBenchmarks) === JSON.stringify(benchmarks)) return;
+    benchmarks = roundBenchmarks;
+    if (currentRound && viewingRoundId === currentRound.id) {
+      UIManager.renderLeaderboard(participants, getLeaderboardOptions());
+    }
+  }
+
+  /**
+   * Load the signed-in user's notification preferences into the form
+   */
+  async function loadNotificationPrefs() {
+    await Notifications.loadPrefs();
+    UIManager.renderNotificationPrefs(Notifications.getPrefs(), Notifications.getPermission());
+  }
+
+  /**
+   * Show a new notification as a toast and in the history
+   */
+  function handleNotification(event, history) {
+    UIManager.showToast(event);
+    if (!UIManager.isNotificationsVisible()) {
+      unreadNotifications++;
+    }
+    UIManager.renderNotificationHistory(history, unreadNotifications);
+  }
+
+  /**
+   * Open or close the notifications card (opening marks everything read)
+   */
+  function toggleNotifications() {
+    const visible = !UIManager.isNotificationsVisible();
+    UIManager.setNotificationsVisible(visible);
+    if (visible) {
+      unreadNotifications = 0;
+      UIManager.renderNotificationHistory(Notifications.getHistory(), 0);
+    }
+  }
+
+  /**
+   * Save notification preferences whenever the form changes
+   */
+  async function handleNotificationPrefsChange() {
+    try {
+      await Notifications.savePrefs(UIManager.getNotificationPrefs());
+    } catch (error) {
+      UIManager.showError(error.permissionDenied
+        ? error.message
+        : 'Failed to save notification preferences. Please try again.');
+    }
+    UIManager.renderNotificationPrefs(Notifications.getPrefs(), Notifications.getPermission());
+  }
+
+  /**
+   * Register the service worker that caches the app shell
+   */
+  function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('sw.js')
+      .then(() => console.log('📦 Service worker registered'))
+      .catch(error => console.warn('⚠️ Service worker registration failed:', error.message));
+  }
+
+  /**
+   * Remember that the leaderboard was just confirmed by the server
+   */
+  function recordSync() {
+    localStorage.setItem(LAST_SYNC_STORAGE_KEY, String(Date.now()));
+    renderConnection();
+  }
+
+  /**
+   * Show or hide the offline banner
+   */
+  function renderConnection() {
+    const lastSync = Number(localStorage.getItem(LAST_SYNC_STORAGE_KEY)) || null;
+    UIManager.renderConnectionStatus({
+      isOnline: navigator.onLine,
+      lastSyncAt: lastSync ? new Date(lastSync) : null,
+      hasPendingEntry: !!getPendingEntry()
+    });
+  }
+
+  /**
+   * Entry saved while offline, if any
+   */
+  function getPendingEntry() {
+    try {
+      return JSON.parse(localStorage.getItem(PENDING_ENTRY_STORAGE_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Keep an entry on this device until the connection returns
+   */
+  function queuePendingEntry(formValues, isEdit) {
+    localStorage.setItem(PENDING_ENTRY_STORAGE_KEY, JSON.stringify({
+      formValues,
+      isEdit,
+      roundId: currentRound.id,
+      leagueId: currentLeague ? currentLeague.id : null,
+      queuedAt: Date.now()
+    }));
+    console.log('📴 Entry queued until back online');
+
+    UIManager.hideEntryForm();
+    isEditing = false;
+    renderConnection();
+    UIManager.showSuccess("You're offline - your entry is saved on this device and will be submitted when you're back online.");
+  }
+
+  /**
+   * Submit the entry saved while offline (same round and league only)
+   * It stays on this device until it is saved, so a failed submit is retried
+   * the next time the app starts or comes back online.
+   */
+  async function syncPendingEntry() {
+    const pending = getPendingEntry();
+    if (!pending || !navigator.onLine || isSyncingPendingEntry) return;
+
+    const leagueId = currentLeague ? currentLeague.id : null;
+    if (pending.roundId !== currentRound.id || pending.leagueId !== leagueId) {
+      clearPendingEntry();
+      UIManager.showError('The entry you saved offline was for another round or league, so it was not submitted.');
+      return;
+    }
+
+    console.log('🔄 Submitting entry saved while offline...');
+    isSyncingPendingEntry = true;
+    try {
+      if (await submitEntry(pending.formValues, { isEdit: pending.isEdit, queued: true })) {
+        clearPendingEntry();
+      }
+    } finally {
+      isSyncingPendingEntry = false;
+    }
+  }
+
+  /**
+   * Forget the entry saved while offline
+   */
+  function clearPendingEntry() {
+    localStorage.removeItem(PENDING_ENTRY_STORAGE_KEY);
+    renderConnection();
+  }
+
+  /**
+   * Back online: open the round if we started offline, then sync the saved entry
+   */
+  async function handleOnline() {
+    renderConnection();
+
+    try {
+      if (openedOffline) {
+        currentRound = await RoundManager.openCurrentRound();
+        openedOffline = false;
+        applyChallengeMode();
+        subscribeToCurrentRound();
+      }
+      await syncPendingEntry();
+    } catch (error) {
+      console.error('Error syncing after reconnecting:', error);
+    }
+  }
+
+  /**
+   * Set up all event listeners
+   */
+  function setupEventListeners() {
+    // Toggle entry button
+    UIManager.elements.toggleEntryBtn.addEventListener('click', handleToggleEntry);
+    
+    // Close form button
+    UIManager.elements.closeForm.addEventListener('click', () => {
+      UIManager.hideEntryForm();
+      isEditing = false;
+    });
+    
+    // Form submission
+    UIManager.elements.entryForm.addEventListener('submit', handleFormSubmit);
+    
+    // Symbol autocomplete
+    setupStockAutocomplete();
+
+    // Portfolio holding rows
+    setupPortfolioForm();
+    
+    // Delete button
+    UIManager.elements.deleteBtn.addEventListener('click', handleDeleteEntry);
+
+    // Prediction label follows the exchange's currency
+    UIManager.elements.exchangeInput.addEventListener('change', UIManager.updatePredictionLabel);
+    
+    // Refresh prices button
+    UIManager.elements.refreshBtn.addEventListener('click', handleRefreshPrices);
+    
+    // Round selector
+    UIManager.elements.roundSelect.addEventListener('change', handleRoundSelect);
+    UIManager.elements.exportSelect.addEventListener('change', handleExport);
+
+    // Weekly / season tabs
+    UIManager.elements.tabWeekly.addEventListener('click', () => handleTabSelect('weekly'));
+    UIManager.elements.tabSeason.addEventListener('click', () => handleTabSelect('season'));
+    UIManager.elements.seasonSelect.addEventListener('change', (event) => {
+      viewingSeason = event.target.value;
+      loadSeasonStandings();
+    });
+
+    // Expand portfolio holdings and show entry history in the leaderboard
+    [UIManager.elements.tableBody, UIManager.elements.mobileList].forEach(container => {
+      container.addEventListener('click', (event) => {
+        const toggle = event.target.closest('.expand-toggle');
+        if (toggle) {
+          UIManager.toggleHoldings(toggle.dataset.id);
+        }
+        const edited = event.target.closest('.edited-badge');
+        if (edited) {
+          event.stopPropagation();
+          showEntryHistory(edited);
+        }
+      });
+    });
+
+    // Close the history popover on ×, a click elsewhere or Escape
+    document.addEventListener('click', (event) => {
+      if (event.target.closest('[data-close-history]') || !event.target.closest('#history-popover')) {
+        UIManager.hideHistoryPopover();
+      }
+    });
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') UIManager.hideHistoryPopover();
+    });
+    
+    // Clear error button
+    UIManager.elements.clearError.addEventListener('click', UIManager.hideError);
+    
+    // Clear success button
+    UIManager.elements.clearSuccess.addEventListener('click', UIManager.hideSuccess);
+    
+    // Account buttons
+    UIManager.elements.googleSignInBtn.addEventListener('click', handleGoogleSignIn);
+    UIManager.elements.emailSignInBtn.addEventListener('click', handleEmailSignIn);
+    UIManager.elements.signOutBtn.addEventListener('click', handleSignOut);
+    UIManager.elements.linkDeviceBtn.addEventListener('click', handleLinkDevice);
+
+    // Admin console
+    UIManager.elements.adminToggle.addEventListener('click', () => {
+      if (UIManager.toggleAdminPanel()) {
+        refreshAdminPanel();
+      }
+    });
+    UIManager.elements.adminParticipants.addEventListener('click', handleAdminParticipantAction);
+    UIManager.elements.adminLockBtn.addEventListener('click', handleAdminLock);
+    UIManager.elements.adminRerankBtn.addEventListener('click', handleAdminRerank);
+    UIManager.elements.adminCloseBtn.addEventListener('click', handleAdminClose);
+    UIManager.elements.adminImportBtn.addEventListener('click', () => UIManager.elements.adminImportFile.click());
+    UIManager.elements.adminImportFile.addEventListener('change', handleAdminImportFile);
+
+    // Leagues
+    UIManager.elements.leagueSelect.addEventListener('change', (event) => {
+      switchLeague(leagues.find(league => league.id === event.target.value) || null);
+    });
+    UIManager.elements.createLeagueBtn.addEventListener('click', handleCreateLeague);
+    UIManager.elements.joinLeagueBtn.addEventListener('click', handleJoinLeague);
+    UIManager.elements.inviteLeagueBtn.addEventListener('click', handleInviteLeague);
+    UIManager.elements.leagueSettingsBtn.addEventListener('click', handleLeagueSettings);
+    UIManager.elements.leaveLeagueBtn.addEventListener('click', handleLeaveLeague);
+
+    // Notifications
+    Notifications.onNotify(handleNotification);
+    UIManager.elements.notifyToggle.addEventListener('click', toggleNotifications);
+    UIManager.elements.closeNotifyBtn.addEventListener('click', toggleNotifications);
+    UIManager.elements.notifyForm.addEventListener('change', handleNotificationPrefsChange);
+    UIManager.elements.notifyForm.addEventListener('submit', (event) => event.preventDefault());
+
+    // Offline banner and queued entries
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', renderConnection);
+
+    // Reload the user's entry whenever the signed-in account changes
+    AuthService.onAuthChanged((user) => {
+      UIManager.renderAccount(user);
+      AdminService.checkAdmin().then(UIManager.setAdminVisible);
+      if (user) {
+        loadNotificationPrefs();
+        loadMyEntry();
+        loadLeagues().then(() => {
+          const league = currentLeague && leagues.find(l => l.id === currentLeague.id);
+          if (currentLeague && !league) {
+            switchLeague(null);
+          } else {
+            applyLeague(league || null);
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Cleanup on page unload
+   */
+  window.addEventListener('beforeunload', () => {
+    if (unsubscribe) {
+      unsubscribe();
+    }
+    if (unsubscribeStatus) {
+      unsubscribeStatus();
+    }
+    if (unsubscribeRound) {
+      unsubscribeRound();
+    }
+    if (windowTimer) {
+      clearInterval(windowTimer);
     }
   });
 
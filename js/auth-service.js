@@ -0,0 +1,169 @@
+/**
+ * Auth Service
+ * Firebase Authentication: anonymous sign-in, upgradeable to Google or email link
+ */
+
+const AuthService = (function() {
+  const EMAIL_STORAGE_KEY = 'stockChallengeEmailForSignIn';
+
+  let auth = null;
+  let currentUser = null;
+  const listeners = [];
+
+  /**
+   * Initialize auth and sign in anonymously if nobody is signed in
+   * Must be called after FirebaseService.init()
+   * @returns {Promise<Object>} Signed-in Firebase user
+   */
+  async function init() {
+    auth = firebase.auth();
+
+    auth.onAuthStateChanged(user => {
+      currentUser = user;
+      listeners.forEach(callback => callback(user));
+    });
+
+    // Wait for the persisted session to be restored
+    await new Promise(resolve => {
+      const unsubscribe = auth.onAuthStateChanged(() => {
+        unsubscribe();
+        resolve();
+      });
+    });
+
+    // Finish an email link sign-in if we were opened from one
+    await completeEmailLinkSignIn();
+
+    if (auth.currentUser) {
+      currentUser = auth.currentUser;
+      console.log('🔑 Signed in as', currentUser.uid, currentUser.isAnonymous ? '(anonymous)' : '');
+      return currentUser;
+    }
+
+    const credential = await auth.signInAnonymously();
+    currentUser = credential.user;
+    console.log('🔑 Signed in anonymously as', currentUser.uid);
+    return currentUser;
+  }
+
+  /**
+   * Get the signed-in user
+   */
+  function getCurrentUser() {
+    return currentUser;
+  }
+
+  /**
+   * Listen to sign-in changes
+   * @param {Function} callback - Called with the new user (or null)
+   */
+  function onAuthChanged(callback) {
+    listeners.push(callback);
+  }
+
+  /**
+   * Upgrade the anonymous account to Google, or sign in with Google
+   * If the Google account is already linked to another user, that user is
+   * signed in instead (its entries follow it across devices).
+   */
+  async function signInWithGoogle() {
+    const provider = new firebase.auth.GoogleAuthProvider();
+
+    try {
+      if (currentUser && currentUser.isAnonymous) {
+        await currentUser.linkWithPopup(provider);
+        await currentUser.reload();
+        currentUser = auth.currentUser;
+        listeners.forEach(callback => callback(currentUser));
+        console.log('🔗 Anonymous account upgraded to Google');
+      } else {
+        await auth.signInWithPopup(provider);
+      }
+    } catch (error) {
+      if (error.code === 'auth/credential-already-in-use' && error.credential) {
+        await auth.signInWithCredential(error.credential);
+        console.log('🔑 Signed in to existing Google account');
+        return;
+      }
+      console.error('Error signing in with Google:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a passwordless sign-in link to an email address
+   */
+  async function sendEmailLink(email) {
+    try {
+      await auth.sendSignInLinkToEmail(email, {
+        url: window.location.origin + window.location.pathname,
+        handleCodeInApp: true
+      });
+      localStorage.setItem(EMAIL_STORAGE_KEY, email);
+      console.log('📧 Sign-in link sent to', email);
+    } catch (error) {
+      console.error('Error sending sign-in link:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Complete sign-in when the page was opened from an email link
+   * Anonymous users are upgraded so their entry is kept.
+   */
+  async function completeEmailLinkSignIn() {
+    const href = window.location.href;
+    if (!auth.isSignInWithEmailLink(href)) return;
+
+    const email = localStorage.getItem(EMAIL_STORAGE_KEY) ||
+      window.prompt('Confirm your email to finish signing in');
+    if (!email) return;
+
+    try {
+      const anonymousUser = auth.currentUser;
+      if (anonymousUser && anonymousUser.isAnonymous) {
+        const credential = firebase.auth.EmailAuthProvider.credentialWithLink(email, href);
+        try {
+          await anonymousUser.linkWithCredential(credential);
+          await anonymousUser.reload();
+          currentUser = auth.currentUser;
+          listeners.forEach(callback => callback(currentUser));
+        } catch (error) {
+          // Email already belongs to an existing account - sign in to it instead
+          if (error.code !== 'auth/email-already-in-use' && error.code !== 'auth/credential-already-in-use') {
+            throw error;
+          }
+          await auth.signInWithEmailLink(email, href);
+        }
+      } else {
+        await auth.signInWithEmailLink(email, href);
+      }
+      localStorage.removeItem(EMAIL_STORAGE_KEY);
+      console.log('🔗 Signed in with email link');
+    } catch (error) {
+      console.error('Error completing email link sign-in:', error);
+    } finally {
+      // Drop the one-time sign-in parameters from the address bar
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+  }
+
+  /**
+   * Sign out and continue as a new anonymous user
+   */
+  async function signOut() {
+    await auth.signOut();
+    const credential = await auth.signInAnonymously();
+    currentUser = credential.user;
+  }
+
+  // Public API
+  return {
+    init,
+    getCurrentUser,
+    onAuthChanged,
+    signInWithGoogle,
+    sendEmailLink,
+    signOut
+  };
+})();
@@ -0,0 +1,119 @@
+/**
+ * Benchmarks
+ * Market indices (APP_CONFIG.benchmarks) shown as pinned leaderboard rows,
+ * and each entry's alpha: its return minus the return of the index of its
+ * exchange (NSE stocks vs NIFTY 50, BSE stocks vs SENSEX). Portfolios are
+ * compared with the same weights applied to the indices, and shorts with a
+ * short position in the index. Entries with a stock on an exchange without
+ * an index here (e.g. NASDAQ) have no alpha.
+ *
+ * Index baselines use the same trading day as entries (the close on or
+ * before the round's reference date), and index returns are simple % returns
+ * like every entry's `change` (see Scoring). Refreshes store the index returns on
+ * the refresh status document and closed rounds on the round document, so
+ * everyone sees the values the ranks were computed with. Runs in the browser
+ * (global `Benchmarks`) and in Node (functions/refresh-job.js).
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config.js').APP_CONFIG, require('./stock-api.js'),
+      require('./market-calendar.js'), require('./scoring.js'));
+  } else {
+    root.Benchmarks = factory(APP_CONFIG, StockAPI, MarketCalendar, Scoring);
+  }
+})(typeof self !== 'undefined' ? self : this, function(APP_CONFIG, StockAPI, MarketCalendar, Scoring) {
+
+  /**
+   * Fetch index returns for a round
+   * @param {string} referenceDate - Round reference date (YYYY-MM-DD, IST)
+   * @param {string} [endDate] - Use the official close of this day instead of a live quote
+   * @returns {Promise<Array>} [{ id, name, symbol, exchange, basePrice, baselineDate, cmp, change }]
+   *   (change is null when a price could not be fetched or scored)
+   */
+  async function fetchReturns(referenceDate, endDate) {
+    const benchmarks = APP_CONFIG.benchmarks || [];
+    if (benchmarks.length === 0) return [];
+
+    const quotes = endDate ? new Map() : await StockAPI.fetchQuotes(benchmarks);
+
+    return Promise.all(benchmarks.map(async (benchmark) => {
+      const result = { ...benchmark, basePrice: null, baselineDate: null, cmp: null, change: null };
+      try {
+        const baseline = await StockAPI.fetchHistoricalClose(
+          benchmark.symbol, benchmark.exchange, MarketCalendar.lastTradingDay(referenceDate));
+        result.basePrice = baseline.close;
+        result.baselineDate = baseline.date;
+
+        const key = `${benchmark.symbol.toUpperCase()}-${benchmark.exchange}`;
+        let quote;
+        if (endDate) {
+          const close = await StockAPI.fetchHistoricalClose(benchmark.symbol, benchmark.exchange, endDate);
+          quote = { price: close.close, closes: close.closes };
+        } else {
+          quote = quotes.get(key);
+          if (!quote || quote.error) throw quote ? quote.error : new Error('No quote');
+        }
+        result.cmp = quote.price;
+
+        const scored = Scoring.scoreEntry({
+          holdings: [{ symbol: benchmark.symbol, exchange: benchmark.exchange, weight: 100, basePrice: result.basePrice }]
+        }, new Map([[key, quote]]));
+        result.change = scored.valid ? scored.change : null;
+      } catch (error) {
+        console.warn(`⚠️ Benchmark ${benchmark.name} unavailable:`, error.message);
+      }
+      return result;
+    }));
+  }
+
+  /**
+   * Scoring input of an entry's holdings and direction
+   */
+  function toScoringEntry(entry) {
+    return { change: entry.change, direction: entry.direction === 'short' ? 'short' : 'long', holdings: Scoring.getHoldings(entry) };
+  }
+
+  /**
+   * Benchmark return for an entry, weighted like its holdings and in its direction
+   * @returns {number|null} null if an index return is missing
+   */
+  function getEntryBenchmark(entry, benchmarks) {
+    return Scoring.benchmarkReturn(toScoringEntry(entry), benchmarks);
+  }
+
+  /**
+   * Alpha of an entry: its change minus its benchmark, 2 decimals
+   * @returns {number|null} null if the benchmark is unavailable
+   */
+  function computeAlpha(entry, benchmarks) {
+    return Scoring.computeAlpha(toScoringEntry(entry), benchmarks);
+  }
+
+  /**
+   * Copies of entries with `alpha` set
+   * Without benchmarks, a stored alpha (round results) is kept.
+   */
+  function withAlpha(entries, benchmarks) {
+    if (!benchmarks || benchmarks.length === 0) {
+      return entries.map(entry => ({ ...entry, alpha: typeof entry.alpha === 'number' ? entry.alpha : null }));
+    }
+    return entries.map(entry => ({ ...entry, alpha: computeAlpha(entry, benchmarks) }));
+  }
+
+  /**
+   * Number of ranked entries that beat their benchmark
+   */
+  function countBeatingMarket(entries) {
+    return entries.filter(entry => entry.rank > 0 && entry.alpha > 0).length;
+  }
+
+  // Public API
+  return {
+    fetchReturns,
+    getEntryBenchmark,
+    computeAlpha,
+    withAlpha,
+    countBeatingMarket
+  };
+});
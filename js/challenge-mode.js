@@ -0,0 +1,104 @@
+/**
+ * Challenge Mode
+ * How a round is scored:
+ *   gain       - biggest % return wins (default)
+ *   prediction - each player predicts a stock's closing price on the round's
+ *                end date; lowest absolute percentage error wins
+ *
+ * The public challenge uses APP_CONFIG.challengeMode and leagues their
+ * settings.mode. A round keeps the mode it was opened with (round.mode), so a
+ * switch takes effect from the next round.
+ * While the round runs, the error is measured against the current price; a
+ * closed round uses the official close of its end date. Splits and bonuses
+ * during the round scale the prediction like the baseline.
+ * firestore.rules checks predictions too - keep it in sync. The error itself
+ * is computed by Scoring.computeError (shared with functions/refresh-job.js).
+ */
+
+const ChallengeMode = (function() {
+  const MODES = ['gain', 'prediction'];
+
+  let leagueSettings = null; // Settings of the active league, null for everyone
+
+  /**
+   * Use a league's settings (null for the public challenge)
+   */
+  function useSettings(settings) {
+    leagueSettings = settings || null;
+  }
+
+  function normalize(mode) {
+    return MODES.includes(mode) ? mode : 'gain';
+  }
+
+  /**
+   * Mode new rounds of the active challenge open with
+   */
+  function getActiveMode() {
+    return normalize(leagueSettings ? leagueSettings.mode : APP_CONFIG.challengeMode);
+  }
+
+  /**
+   * Mode of a round document (rounds from before modes existed are 'gain')
+   */
+  function getRoundMode(round) {
+    return normalize(round && round.mode);
+  }
+
+  function isPrediction(round) {
+    return getRoundMode(round) === 'prediction';
+  }
+
+  /**
+   * Metric a round is ranked on (see Ranking)
+   */
+  function getRankBy(round) {
+    return isPrediction(round) ? 'error' : (APP_CONFIG.rankBy || 'change');
+  }
+
+  /**
+   * Absolute percentage error of an entry's prediction, 2 decimals
+   * @param {Object} entry - { prediction, cmp, adjustment? }
+   * @returns {number|null} null without a prediction or a price
+   */
+  function computeError(entry) {
+    return Scoring.computeError(entry);
+  }
+
+  /**
+   * Copies of entries with `error` set
+   */
+  function withError(entries) {
+    return entries.map(entry => ({ ...entry, error: computeError(entry) }));
+  }
+
+  /**
+   * Check a prediction against the current price
+   * @param {string} currency - Currency of the stock's prices
+   * @returns {string|null} Error message, or null if valid
+   */
+  function validatePrediction(prediction, price, currency = APP_CONFIG.baseCurrency) {
+    if (!(prediction > 0)) {
+      return 'Please enter your predicted closing price';
+    }
+    const move = Math.abs(prediction - price) / price * 100;
+    if (move > APP_CONFIG.maxPredictionMove) {
+      return `Your prediction is ${move.toFixed(0)}% away from the current price of ${Exchanges.formatPrice(price, currency)}. ` +
+        `Predictions must be within ${APP_CONFIG.maxPredictionMove}% - check for a typo.`;
+    }
+    return null;
+  }
+
+  // Public API
+  return {
+    MODES,
+    useSettings,
+    getActiveMode,
+    getRoundMode,
+    isPrediction,
+    getRankBy,
+    computeError,
+    withError,
+    validatePrediction
+  };
+})();
@@ -39,23 +39,133 @@ const MOCK_PRICES = {
   'KOTAKBANK': 1720.90,
   'LT': 3150.20,
   'AXISBANK': 1045.70,
-  'MARUTI': 9850.40
+  'MARUTI': 9850.40,
+  'AAPL': 232.15, // NASDAQ (USD)
+  'MSFT': 415.80,
+  'JPM': 228.40, // NYSE (USD)
+  'HSBA': 712.30, // LSE (pence)
+  '^NSEI': 24850.00, // NIFTY 50
+  '^BSESN': 81200.00, // SENSEX
+  'USDINR': 83.95, // Currency pairs (FX)
+  'GBPINR': 110.20,
+  'EURINR': 91.40,
+  'JPYINR': 0.5612,
+  'HKDINR': 10.78
 };
 
 // Application constants
 const APP_CONFIG = {
-  collectionName: 'participants',
+  roundsCollection: 'rounds', // One document per weekly round
+  participantsCollection: 'participants', // Subcollection of each round
+  refreshStatusDoc: 'status/refresh', // Last price refresh (client or scheduler)
+  refreshLeaseDoc: 'status/refreshLease', // Held by whoever is refreshing prices right now
+  refreshLeaseSeconds: 120, // Lease length; firestore.rules allows at most 180s (clock skew margin)
+  playersCollection: 'players', // Device links for season standings
+  linkCodesCollection: 'linkCodes', // Short-lived codes for linking devices
+  leaguesCollection: 'leagues', // Private leagues, each with its own rounds
+  leagueInvitesCollection: 'leagueInvites', // Invite code -> league
+  adminsCollection: 'admins', // admins/{uid} grants the admin role (created by hand)
+  auditLogCollection: 'auditLog', // Every admin action
+  userSettingsCollection: 'userSettings', // Per-user preferences (notifications)
+  timezone: 'Asia/Kolkata', // All challenge times are IST, regardless of browser timezone
+  timezoneOffsetMinutes: 330, // UTC+05:30 (IST has no DST)
   deadlineDay: 0, // Sunday (0 = Sunday, 1 = Monday, etc.)
   deadlineHour: 23, // 11:00 PM (23 in 24-hour format)
   deadlineMinute: 59,
   referenceDay: 5, // Friday (for last Friday price)
+  entryOpenHour: 15, // Entries open on referenceDay after market close (15:30 IST)
+  entryOpenMinute: 30,
+  // NSE/BSE trading sessions (IST), see js/market-calendar.js
+  marketSessions: {
+    preOpen: '09:00',
+    open: '09:15', // Normal session
+    close: '15:30',
+    closingEnd: '16:00' // Closing session; the official close is final after this
+  },
+  // Exchange holidays on weekdays. Festival holidays move every year: add them
+  // from the NSE holiday circular (functions/refresh-job.js reads them from here).
+  marketHolidays: [
+    { date: '2026-01-26', name: 'Republic Day' },
+    { date: '2026-04-14', name: 'Dr. Baba Saheb Ambedkar Jayanti' },
+    { date: '2026-05-01', name: 'Maharashtra Day' },
+    { date: '2026-10-02', name: 'Mahatma Gandhi Jayanti' },
+    { date: '2026-12-25', name: 'Christmas' }
+  ],
+  portfolioMode: false, // true = each entry is a weighted portfolio of stocks
+  // 'gain' (biggest % return) or 'prediction' (closest predicted close) for the public challenge;
+  // leagues pick their own. Keep in sync with firestore.rules
+  challengeMode: 'gain',
+  maxPredictionMove: 50, // Predictions may be at most this % away from the price at entry
+  maxShortsPerRound: 5, // Short picks allowed per round (0 = long only). Must match shortSlotIds() in firestore.rules
+  maxHoldings: 5, // Maximum stocks per portfolio entry. Keep in sync with firestore.rules (holdsSymbols)
+  seasonPoints: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1], // Season points for 1st, 2nd, 3rd... each week
+  rankingMode: 'competition', // Ties share a rank: 'competition' (1, 1, 3) or 'dense' (1, 1, 2)
+  rankingTiebreakers: ['exactReturn'], // Applied in order when scores tie: 'exactReturn', 'entryTime'
+  rankBy: 'change', // 'change' or 'alpha' (return minus the index of the stock's exchange)
+  // How a stock's return is scored (see js/scoring.js): 'simple', 'log' or
+  // 'volatilityAdjusted' (return per % of daily volatility over the last month)
+  scoring: {
+    strategy: 'simple'
+  },
+  // Indices shown as pinned leaderboard rows; each exchange is measured against its own.
+  // firestore.rules accepts at most 2 on the refresh status - keep in sync
+  benchmarks: [
+    { id: 'nifty50', name: 'NIFTY 50', symbol: '^NSEI', exchange: 'NSE' },
+    { id: 'sensex', name: 'SENSEX', symbol: '^BSESN', exchange: 'BSE' }
+  ],
+  // Exchanges players can pick (see js/exchanges.js): Yahoo symbol suffix, quote
+  // currency, local timezone and regular session (local time). NSE/BSE sessions
+  // and holidays come from marketSessions/marketHolidays above. GBX is pence.
+  // FX is only used for currency pairs.
+  exchanges: {
+    NSE: { name: 'NSE', country: 'India', yahooSuffix: '.NS', currency: 'INR', timezone: 'Asia/Kolkata', symbolList: true },
+    BSE: { name: 'BSE', country: 'India', yahooSuffix: '.BO', currency: 'INR', timezone: 'Asia/Kolkata', symbolList: true },
+    NASDAQ: { name: 'NASDAQ', country: 'US', yahooSuffix: '', currency: 'USD', timezone: 'America/New_York', open: '09:30', close: '16:00' },
+    NYSE: { name: 'NYSE', country: 'US', yahooSuffix: '', currency: 'USD', timezone: 'America/New_York', open: '09:30', close: '16:00' },
+    LSE: { name: 'LSE', country: 'UK', yahooSuffix: '.L', currency: 'GBX', timezone: 'Europe/London', open: '08:00', close: '16:30' },
+    XETRA: { name: 'XETRA', country: 'Germany', yahooSuffix: '.DE', currency: 'EUR', timezone: 'Europe/Berlin', open: '09:00', close: '17:30' },
+    TSE: { name: 'TSE', country: 'Japan', yahooSuffix: '.T', currency: 'JPY', timezone: 'Asia/Tokyo', open: '09:00', close: '15:30' },
+    HKEX: { name: 'HKEX', country: 'Hong Kong', yahooSuffix: '.HK', currency: 'HKD', timezone: 'Asia/Hong_Kong', open: '09:30', close: '16:00' },
+    FX: { name: 'FX', yahooSuffix: '=X', currency: null, timezone: 'Europe/London', decimals: 4, internal: true }
+  },
+  baseCurrency: 'INR',
+  convertToBaseCurrency: false, // true = foreign returns include the currency's move against baseCurrency
+  linkCodeTtlMinutes: 60, // Keep in sync with firestore.rules
   maxNameLength: 50,
   maxSymbolLength: 20,
   mockPriceVariation: 0.1, // +/- 10% variation for mock prices
-  refreshDelay: 700 // ms delay for simulated API calls
+  refreshDelay: 700, // ms delay for simulated API calls
+  // Price providers tried in order (see js/price-providers.js)
+  // Add 'mock' to play with MOCK_PRICES offline - never in production
+  priceProviders: ['yahoo', 'http'],
+  quoteBatchSize: 20, // Symbols per batch quote request
+  quoteConcurrency: 2, // Batch requests in flight at once
+  quoteRetries: 3, // Retries per batch, with exponential backoff and jitter
+  quoteRetryBaseDelay: 500, // ms before the first retry
+  // Generic HTTP/JSON provider, enabled when quoteUrl is set
+  // quoteUrl placeholders: {symbol}, {exchange}; pricePath is a dotted path into the JSON response,
+  // closesPath (optional) one to an array of recent daily closes, oldest first
+  httpPriceProvider: {
+    name: 'Custom API',
+    quoteUrl: '',
+    pricePath: 'price',
+    closesPath: '',
+    headers: {},
+    useProxy: false
+  }
+};
+
+// Local Firebase emulators (firebase emulators:start)
+// Opt in with ?emulator in the URL, or set enabled: true in config.local.js
+const EMULATOR_CONFIG = {
+  enabled: typeof window !== 'undefined' &&
+    new URLSearchParams(window.location.search).has('emulator'),
+  authUrl: 'http://127.0.0.1:9099',
+  firestoreHost: '127.0.0.1',
+  firestorePort: 8080
 };
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { firebaseConfig, MOCK_PRICES, APP_CONFIG };
+  module.exports = { firebaseConfig, MOCK_PRICES, APP_CONFIG, EMULATOR_CONFIG };
 }
\ No newline at end of file
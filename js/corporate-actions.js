@@ -0,0 +1,105 @@
+/**
+ * Corporate Actions
+ * Keeps splits, bonuses and dividends from showing up as fake moves.
+ *
+ * Events that go ex after an entry's baseline date are stored on the entry
+ * (or on its holdingPrices for portfolios) as
+ *   adjustment: { splitFactor, dividends, events }
+ * Splits and bonuses divide the baseline by splitFactor (Yahoo reports a
+ * 1:1 bonus as a 2:1 split). Dividends are per current share and are added
+ * back to the price, so `change` becomes a total return.
+ * See Portfolio.computeChange() for the maths. Runs in the browser (global
+ * `CorporateActions`) and in Node (functions/refresh-job.js).
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config.js').APP_CONFIG, require('./exchanges.js'));
+  } else {
+    root.CorporateActions = factory(APP_CONFIG, Exchanges);
+  }
+})(typeof self !== 'undefined' ? self : this, function(APP_CONFIG, Exchanges) {
+
+  /**
+   * Build the adjustment for events that went ex after the baseline date
+   * @param {Array} events - [{ type: 'split', date, numerator, denominator } | { type: 'dividend', date, amount }]
+   * @param {string} baselineDate - IST date (YYYY-MM-DD) of the baseline close
+   * @returns {Object|null} { splitFactor, dividends, events }, or null if nothing applies
+   */
+  function adjust(events, baselineDate) {
+    const relevant = (events || [])
+      .filter(event => event.date > baselineDate && isValid(event))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    if (relevant.length === 0) return null;
+
+    // Shares held per original share, and dividend cash per original share
+    let splitFactor = 1;
+    let dividendCash = 0;
+    relevant.forEach(event => {
+      if (event.type === 'split') {
+        splitFactor *= event.numerator / event.denominator;
+      } else {
+        dividendCash += splitFactor * event.amount;
+      }
+    });
+
+    return {
+      splitFactor,
+      dividends: +(dividendCash / splitFactor).toFixed(4),
+      events: relevant
+    };
+  }
+
+  /**
+   * Skip malformed events rather than corrupting the baseline
+   */
+  function isValid(event) {
+    if (event.type === 'split') {
+      return event.numerator > 0 && event.denominator > 0;
+    }
+    return event.type === 'dividend' && event.amount > 0;
+  }
+
+  /**
+   * Baseline price in today's shares
+   */
+  function adjustedBase(basePrice, adjustment) {
+    return adjustment ? basePrice / adjustment.splitFactor : basePrice;
+  }
+
+  /**
+   * Badge text and tooltip for an adjusted entry
+   * @param {string} currency - Currency of the stock's prices (see Exchanges.formatPrice)
+   * @returns {Object|null} { label, title }
+   */
+  function describe(basePrice, adjustment, currency = APP_CONFIG.baseCurrency) {
+    if (!adjustment) return null;
+
+    const splits = adjustment.events.filter(event => event.type === 'split');
+    const dividends = adjustment.events.filter(event => event.type === 'dividend');
+    const parts = [];
+
+    if (splits.length > 0) {
+      const ratios = splits.map(split => `${split.numerator}:${split.denominator} split/bonus (ex ${split.date})`);
+      parts.push(`Baseline adjusted from ${Exchanges.formatPrice(basePrice, currency)} to ${Exchanges.formatPrice(adjustedBase(basePrice, adjustment), currency)} for ${ratios.join(', ')}.`);
+    }
+    if (dividends.length > 0) {
+      const amounts = dividends.map(dividend => `${Exchanges.formatPrice(dividend.amount, currency)} (ex ${dividend.date})`);
+      parts.push(`Dividend ${amounts.join(', ')} added back - change is a total return.`);
+    }
+
+    const labels = [];
+    if (splits.length > 0) labels.push(`✂️ ${splits.map(split => `${split.numerator}:${split.denominator}`).join(', ')}`);
+    if (dividends.length > 0) labels.push('💰 Div');
+
+    return { label: labels.join(' · '), title: parts.join(' ') };
+  }
+
+  // Public API
+  return {
+    adjust,
+    adjustedBase,
+    describe
+  };
+});
@@ -0,0 +1,183 @@
+/**
+ * Entry Window
+ * Computes the weekly entry window in IST, independent of the browser's timezone.
+ *
+ * The window opens on APP_CONFIG.referenceDay at entryOpenHour:entryOpenMinute
+ * and closes at the end of deadlineDay deadlineHour:deadlineMinute.
+ * firestore.rules enforces the same window server-side - keep them in sync.
+ * Leagues can move the deadline; see useSettings().
+ */
+
+const EntryWindow = (function() {
+  const MINUTE_MS = 60 * 1000;
+  const DAY_MINUTES = 24 * 60;
+  const WEEK_MINUTES = 7 * DAY_MINUTES;
+  const WEEK_MS = WEEK_MINUTES * MINUTE_MS;
+  const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  // Settings of the active league, applied on top of APP_CONFIG
+  let activeSettings = {};
+
+  /**
+   * Apply a league's window settings to every calculation (empty to reset)
+   * @param {Object} settings - e.g. { deadlineDay, deadlineHour, deadlineMinute }
+   */
+  function useSettings(settings = {}) {
+    activeSettings = { ...settings };
+  }
+
+  /**
+   * Resolve window settings, falling back to the active league, then APP_CONFIG
+   */
+  function getSettings(overrides = {}) {
+    return {
+      timezoneOffsetMinutes: APP_CONFIG.timezoneOffsetMinutes,
+      referenceDay: APP_CONFIG.referenceDay,
+      entryOpenHour: APP_CONFIG.entryOpenHour,
+      entryOpenMinute: APP_CONFIG.entryOpenMinute,
+      deadlineDay: APP_CONFIG.deadlineDay,
+      deadlineHour: APP_CONFIG.deadlineHour,
+      deadlineMinute: APP_CONFIG.deadlineMinute,
+      ...activeSettings,
+      ...overrides
+    };
+  }
+
+  /**
+   * Shift a Date so its UTC fields read as IST wall-clock fields
+   */
+  function toZoned(date, settings) {
+    return new Date(date.getTime() + settings.timezoneOffsetMinutes * MINUTE_MS);
+  }
+
+  /**
+   * Get the IST calendar date (YYYY-MM-DD) of an instant
+   */
+  function toDateKey(date, overrides) {
+    return toZoned(date, getSettings(overrides)).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Compute the entry window that applies at a given instant
+   * @param {Date} now - Instant to evaluate (defaults to current time)
+   * @param {Object} overrides - Optional settings overriding APP_CONFIG
+   * @returns {Object} { isOpen, opensAt, closesAt, nextOpensAt, referenceDate }
+   */
+  function getWindow(now = new Date(), overrides) {
+    const settings = getSettings(overrides);
+    const zoned = toZoned(now, settings);
+
+    // Start of the current IST week (Sunday 00:00), as a real instant
+    const weekStart = Date.UTC(
+      zoned.getUTCFullYear(),
+      zoned.getUTCMonth(),
+      zoned.getUTCDate() - zoned.getUTCDay()
+    ) - settings.timezoneOffsetMinutes * MINUTE_MS;
+
+    const openMinute = settings.referenceDay * DAY_MINUTES +
+      settings.entryOpenHour * 60 + settings.entryOpenMinute;
+    const closeMinute = settings.deadlineDay * DAY_MINUTES +
+      settings.deadlineHour * 60 + settings.deadlineMinute;
+
+    // Most recent opening at or before now
+    let opensAt = weekStart + openMinute * MINUTE_MS;
+    if (opensAt > now.getTime()) {
+      opensAt -= WEEK_MS;
+    }
+
+    // Deadline minute is inclusive, so the window closes when it ends
+    const openMinutes = (closeMinute - openMinute + WEEK_MINUTES) % WEEK_MINUTES + 1;
+    const closesAt = opensAt + openMinutes * MINUTE_MS;
+
+    return {
+      isOpen: now.getTime() < closesAt,
+      opensAt: new Date(opensAt),
+      closesAt: new Date(closesAt),
+      nextOpensAt: new Date(opensAt + WEEK_MS),
+      referenceDate: toDateKey(new Date(opensAt), settings)
+    };
+  }
+
+  /**
+   * Check if the entry deadline has passed
+   */
+  function isDeadlinePassed(now = new Date(), overrides) {
+    return !getWindow(now, overrides).isOpen;
+  }
+
+  /**
+   * Format a duration as "2d 4h 05m 09s"
+   */
+  function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = n => String(n).padStart(2, '0');
+
+    if (days > 0) return `${days}d ${hours}h ${pad(minutes)}m`;
+    if (hours > 0) return `${hours}h ${pad(minutes)}m ${pad(seconds)}s`;
+    return `${minutes}m ${pad(seconds)}s`;
+  }
+
+  /**
+   * Format an instant as IST wall-clock time, e.g. "Sun 23:59 IST"
+   */
+  function formatIST(date, overrides) {
+    const zoned = toZoned(date, getSettings(overrides));
+    const hh = String(zoned.getUTCHours()).padStart(2, '0');
+    const mm = String(zoned.getUTCMinutes()).padStart(2, '0');
+    return `${DAY_NAMES[zoned.getUTCDay()]} ${hh}:${mm} IST`;
+  }
+
+  /**
+   * Parse a deadline like "Sun 23:59" (IST)
+   * @returns {Object|null} { deadlineDay, deadlineHour, deadlineMinute }, or null if invalid
+   */
+  function parseDeadline(text) {
+    const match = /^\s*([a-z]{3})[a-z]*\s+(\d{1,2}):(\d{2})\s*$/i.exec(text || '');
+    if (!match) return null;
+
+    const day = DAY_NAMES.findIndex(name => name.toLowerCase() === match[1].toLowerCase());
+    const hour = Number(match[2]);
+    const minute = Number(match[3]);
+    if (day < 0 || hour > 23 || minute > 59) return null;
+
+    return { deadlineDay: day, deadlineHour: hour, deadlineMinute: minute };
+  }
+
+  /**
+   * Format deadline settings the way parseDeadline() reads them, e.g. "Sun 23:59"
+   */
+  function formatDeadline(overrides) {
+    const settings = getSettings(overrides);
+    const hh = String(settings.deadlineHour).padStart(2, '0');
+    const mm = String(settings.deadlineMinute).padStart(2, '0');
+    return `${DAY_NAMES[settings.deadlineDay]} ${hh}:${mm}`;
+  }
+
+  /**
+   * Human-readable deadline, e.g. "Sun 11:59 PM IST"
+   */
+  function describeDeadline(overrides) {
+    const settings = getSettings(overrides);
+    const hour12 = settings.deadlineHour % 12 || 12;
+    const suffix = settings.deadlineHour < 12 ? 'AM' : 'PM';
+    const mm = String(settings.deadlineMinute).padStart(2, '0');
+    return `${DAY_NAMES[settings.deadlineDay]} ${hour12}:${mm} ${suffix} IST`;
+  }
+
+  // Public API
+  return {
+    useSettings,
+    parseDeadline,
+    formatDeadline,
+    getWindow,
+    isDeadlinePassed,
+    toDateKey,
+    formatDuration,
+    formatIST,
+    describeDeadline
+  };
+})();
@@ -0,0 +1,225 @@
+/**
+ * Exchanges
+ * Registry of the exchanges players can pick (APP_CONFIG.exchanges): the
+ * Yahoo symbol suffix, quote currency, local timezone and regular session of
+ * each, plus price formatting in the exchange's currency.
+ *
+ * NSE/BSE use the IST calendar in js/market-calendar.js (with holidays);
+ * other exchanges only know weekends and their regular session in local time.
+ * Runs in the browser (global `Exchanges`) and in Node (functions/refresh-job.js).
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config.js').APP_CONFIG, require('./market-calendar.js'));
+  } else {
+    root.Exchanges = factory(APP_CONFIG, MarketCalendar);
+  }
+})(typeof self !== 'undefined' ? self : this, function(APP_CONFIG, MarketCalendar) {
+  const DEFAULT_EXCHANGE = 'NSE';
+  const MINUTE_MS = 60 * 1000;
+  const MAX_LOOKBACK_DAYS = 7;
+
+  // Currencies quoted in a minor unit: display code and Intl currency
+  const MINOR_UNITS = { GBX: { currency: 'GBP', factor: 0.01, symbol: 'p' } };
+
+  const formatters = new Map();
+  const localFormatters = new Map();
+
+  /**
+   * Registry entry of an exchange (null if unknown)
+   * @returns {Object|null} { code, name, country, yahooSuffix, currency, timezone, open?, close?, ... }
+   */
+  function get(code) {
+    const exchange = APP_CONFIG.exchanges[code];
+    return exchange ? { code, ...exchange } : null;
+  }
+
+  /**
+   * Exchanges shown in the entry form, in registry order
+   */
+  function list() {
+    return Object.keys(APP_CONFIG.exchanges).map(get).filter(exchange => !exchange.internal);
+  }
+
+  function isKnown(code) {
+    return list().some(exchange => exchange.code === code);
+  }
+
+  /**
+   * Check whether an exchange trades on the NSE/BSE calendar
+   */
+  function isIndian(code) {
+    const exchange = get(code);
+    return !!exchange && exchange.timezone === APP_CONFIG.timezone;
+  }
+
+  /**
+   * Quote currency of an exchange ('INR' if unknown)
+   */
+  function getCurrency(code) {
+    const exchange = get(code);
+    return exchange && exchange.currency ? exchange.currency : APP_CONFIG.baseCurrency;
+  }
+
+  /**
+   * Yahoo Finance symbol, e.g. RELIANCE.NS, AAPL, HSBA.L, USDINR=X
+   */
+  function toYahooSymbol(symbol, code) {
+    if (symbol.startsWith('^')) return symbol; // Indices (e.g. ^NSEI) have no exchange suffix
+    const exchange = get(code);
+    return symbol + (exchange ? exchange.yahooSuffix : get(DEFAULT_EXCHANGE).yahooSuffix);
+  }
+
+  /**
+   * Decimals prices of an exchange are kept with (currency pairs need more)
+   */
+  function getDecimals(code) {
+    const exchange = get(code);
+    return exchange && exchange.decimals ? exchange.decimals : 2;
+  }
+
+  /**
+   * Format a price in a currency, e.g. "₹2,450.50", "$232.15", "712.30p"
+   * @param {number} amount - Price
+   * @param {string} currency - ISO code, or GBX for pence
+   */
+  function formatPrice(amount, currency = APP_CONFIG.baseCurrency) {
+    const value = amount || 0;
+    const minor = MINOR_UNITS[currency];
+    if (minor) return `${value.toFixed(2)}${minor.symbol}`;
+
+    if (!formatters.has(currency)) {
+      try {
+        formatters.set(currency, new Intl.NumberFormat('en-IN', {
+          style: 'currency',
+          currency,
+          minimumFractionDigits: 2,
+          maximumFractionDigits: 2
+        }));
+      } catch (error) {
+        formatters.set(currency, null); // Unknown code: plain number with the code
+      }
+    }
+    const formatter = formatters.get(currency);
+    return formatter ? formatter.format(value) : `${currency} ${value.toFixed(2)}`;
+  }
+
+  /**
+   * Date (YYYY-MM-DD), weekday (0 = Sunday) and minute of the day in an exchange's timezone
+   */
+  function getLocalTime(date, code) {
+    const timeZone = (get(code) || get(DEFAULT_EXCHANGE)).timezone;
+    if (!localFormatters.has(timeZone)) {
+      localFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }));
+    }
+
+    const parts = {};
+    localFormatters.get(timeZone).formatToParts(date).forEach(part => {
+      parts[part.type] = part.value;
+    });
+    return {
+      dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+      weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+      minute: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+  }
+
+  /**
+   * Trading date of a price bar in the exchange's timezone
+   * @param {number} seconds - Unix timestamp of the bar
+   */
+  function toLocalDate(seconds, code) {
+    return getLocalTime(new Date(seconds * 1000), code).dateKey;
+  }
+
+  function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Check whether a foreign exchange is in its regular session
+   * (weekdays only; NSE/BSE use MarketCalendar instead)
+   */
+  function isOpen(code, now = new Date()) {
+    const exchange = get(code);
+    if (!exchange || !exchange.open) return false;
+
+    const local = getLocalTime(now, code);
+    return local.weekday >= 1 && local.weekday <= 5 &&
+      local.minute >= toMinutes(exchange.open) && local.minute < toMinutes(exchange.close);
+  }
+
+  /**
+   * End of the last finished regular session of a foreign exchange
+   * (null without a session). Ignores DST changes within the lookback.
+   */
+  function getLastCloseAt(code, now = new Date()) {
+    const exchange = get(code);
+    if (!exchange || !exchange.close) return null;
+
+    const local = getLocalTime(now, code);
+    const close = toMinutes(exchange.close);
+    for (let days = 0; days <= MAX_LOOKBACK_DAYS; days++) {
+      const weekday = (local.weekday - days + 7) % 7;
+      if (weekday === 0 || weekday === 6 || (days === 0 && local.minute < close)) continue;
+      return new Date(now.getTime() - (days * 1440 + local.minute - close) * MINUTE_MS);
+    }
+    return null;
+  }
+
+  /**
+   * Date of the baseline close for a reference date
+   * NSE/BSE skip their holidays. A foreign market that hasn't finished its
+   * reference-date session yet (e.g. NYSE on a Friday afternoon IST) uses its
+   * previous close, since a close from mid-session would be a live price.
+   */
+  function getBaselineDate(code, referenceDate, now = new Date()) {
+    if (!get(code) || isIndian(code)) return MarketCalendar.lastTradingDay(referenceDate);
+
+    const lastClose = getLastCloseAt(code, now);
+    const lastCloseDate = lastClose ? getLocalTime(lastClose, code).dateKey : referenceDate;
+    return lastCloseDate < referenceDate ? lastCloseDate : referenceDate;
+  }
+
+  /**
+   * Whether a refresh can change prices on any of these foreign exchanges:
+   * one is open, or one closed after the last refresh
+   * (NSE/BSE are covered by MarketCalendar.needsRefresh)
+   */
+  function needsRefresh(codes, lastRefreshedAt, now = new Date()) {
+    return [...new Set(codes)].filter(code => get(code) && !isIndian(code)).some(code => {
+      if (isOpen(code, now)) return true;
+      const lastClose = getLastCloseAt(code, now);
+      return !!lastClose && (!lastRefreshedAt || lastRefreshedAt.getTime() < lastClose.getTime());
+    });
+  }
+
+  // Public API
+  return {
+    MINOR_UNITS,
+    get,
+    list,
+    isKnown,
+    isIndian,
+    getCurrency,
+    toYahooSymbol,
+    getDecimals,
+    formatPrice,
+    toLocalDate,
+    isOpen,
+    getLastCloseAt,
+    getBaselineDate,
+    needsRefresh
+  };
+});
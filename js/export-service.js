@@ -0,0 +1,408 @@
+/**
+ * Export Service
+ * Leaderboard downloads (CSV, JSON, XLSX) and validation of JSON imports.
+ *
+ * CSV and XLSX hold one flat row per entry, ready for a spreadsheet.
+ * JSON keeps every stored field (timestamps as ISO strings) and is the
+ * format AdminService.importParticipants() reads back.
+ */
+
+const ExportService = (function() {
+  const FORMAT = 'stock-challenge';
+  const FORMAT_VERSION = 1;
+  const DIRECTIONS = ['long', 'short'];
+  const MAX_IMPORT = 400; // Written in one admin batch (500 writes max) with the audit entry
+  const XLSX_SCRIPT = 'js/vendor/xlsx.full.min.js'; // SheetJS 0.20.3, served with the app
+
+  // Flat columns for CSV and XLSX: [field, header]
+  const COLUMNS = [
+    ['rank', 'Rank'],
+    ['name', 'Name'],
+    ['symbol', 'Symbol'],
+    ['exchange', 'Exchange'],
+    ['currency', 'Currency'],
+    ['direction', 'Direction'],
+    ['base', 'Base'],
+    ['cmp', 'CMP'],
+    ['change', 'Change %'],
+    ['prediction', 'Prediction'],
+    ['error', 'Error %'],
+    ['baselineDate', 'Baseline Date'],
+    ['enteredAt', 'Entered At'],
+    ['updatedAt', 'Updated At']
+  ];
+
+  let xlsxLoading = null;
+
+  /**
+   * ISO string of a Firestore Timestamp, Date or millis ('' if missing)
+   */
+  function toISO(time) {
+    const millis = Ranking.toMillis(time);
+    return millis === null ? '' : new Date(millis).toISOString();
+  }
+
+  /**
+   * One flat row per entry (portfolios list every holding in one cell)
+   * @param {Array} participants - Participants or frozen round results
+   * @returns {Array} [{ rank, name, symbol, exchange, currency, direction, base, cmp, change, prediction, error, baselineDate, enteredAt, updatedAt }]
+   *   (prediction and error are empty outside prediction rounds; base and cmp are in the stock's currency)
+   */
+  function toRows(participants) {
+    return participants
+      .slice()
+      .sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity) || String(a.name).localeCompare(String(b.name)))
+      .map(p => {
+        const isPortfolio = Portfolio.isPortfolio(p);
+        const holdings = Portfolio.getHoldings(p);
+        const error = ChallengeMode.computeError(p);
+
+        return {
+          rank: p.rank || '',
+          name: p.name || '',
+          symbol: isPortfolio
+            ? holdings.map(holding => `${holding.symbol} ${holding.weight}%`).join(' / ')
+            : p.symbol,
+          exchange: [...new Set(holdings.map(holding => holding.exchange))].join(' / '),
+          currency: [...new Set(holdings.map(holding => holding.currency))].join(' / '),
+          direction: Portfolio.getDirection(p),
+          base: isPortfolio ? '' : p.lastFridayPrice || 0,
+          cmp: isPortfolio ? '' : p.cmp || 0,
+          change: p.change || 0,
+          prediction: p.prediction || '',
+          error: error === null ? '' : error,
+          baselineDate: p.baselineDate || '',
+          enteredAt: toISO(p.createdAt),
+          updatedAt: toISO(p.updatedAt)
+        };
+      });
+  }
+
+  /**
+   * Quote a CSV cell; cells that a spreadsheet would run as a formula are
+   * prefixed with ' so names like "=HYPERLINK(...)" stay text
+   */
+  function csvCell(value) {
+    let text = String(value);
+    if (/^[=+\-@]/.test(text) && typeof value !== 'number') {
+      text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Leaderboard as CSV
+   */
+  function toCSV(participants) {
+    const lines = [COLUMNS.map(([, header]) => header)];
+    toRows(participants).forEach(row => {
+      lines.push(COLUMNS.map(([field]) => row[field]));
+    });
+    return lines.map(line => line.map(csvCell).join(',')).join('\r\n');
+  }
+
+  /**
+   * Copy of a stored document with Timestamps as ISO strings
+   */
+  function serialize(value) {
+    if (value === null || typeof value !== 'object') return value;
+    if (typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (Array.isArray(value)) return value.map(serialize);
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serialize(item)]));
+  }
+
+  /**
+   * Round and entries as JSON (importable)
+   * @param {Object} round - Round document (results are exported as participants)
+   * @param {Array} participants - Participants or frozen round results
+   */
+  function toJSON(round, participants) {
+    const { results, ...roundData } = round;
+    return JSON.stringify({
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      leagueId: FirebaseService.getLeagueId(),
+      round: serialize(roundData),
+      participants: participants.map(serialize)
+    }, null, 2);
+  }
+
+  /**
+   * Load SheetJS on first use (it is large and only needed for XLSX)
+   */
+  function loadXLSX() {
+    if (window.XLSX) return Promise.resolve(window.XLSX);
+
+    if (!xlsxLoading) {
+      xlsxLoading = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = XLSX_SCRIPT;
+        script.onload = () => resolve(window.XLSX);
+        script.onerror = () => {
+          xlsxLoading = null;
+          reject(new Error('Could not load the spreadsheet library'));
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return xlsxLoading;
+  }
+
+  /**
+   * Leaderboard as an XLSX workbook
+   * @returns {Promise<Blob>}
+   */
+  async function toXLSX(round, participants) {
+    const XLSX = await loadXLSX();
+    const rows = [COLUMNS.map(([, header]) => header)];
+    toRows(participants).forEach(row => {
+      rows.push(COLUMNS.map(([field]) => row[field]));
+    });
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), `Week of ${round.id}`);
+    const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    return new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+  }
+
+  /**
+   * Save a file in the browser
+   */
+  function download(filename, content, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Download a round's leaderboard
+   * @param {string} format - 'csv', 'json' or 'xlsx'
+   * @param {Object} round - Round document
+   * @param {Array} participants - Participants or frozen round results
+   */
+  async function exportRound(format, round, participants) {
+    const league = FirebaseService.getLeagueId();
+    const basename = `stock-challenge-${league ? `${league}-` : ''}${round.id}`;
+
+    switch (format) {
+      case 'csv':
+        // BOM so Excel reads ₹ and names as UTF-8
+        download(`${basename}.csv`, `\uFEFF${toCSV(participants)}`, 'text/csv;charset=utf-8');
+        break;
+      case 'json':
+        download(`${basename}.json`, toJSON(round, participants), 'application/json');
+        break;
+      case 'xlsx':
+        download(`${basename}.xlsx`, await toXLSX(round, participants));
+        break;
+      default:
+        throw new Error(`Unknown export format "${format}"`);
+    }
+    console.log(`📤 Exported ${participants.length} entries as ${format.toUpperCase()}`);
+  }
+
+  function isPrice(value) {
+    return typeof value === 'number' && isFinite(value) && value > 0;
+  }
+
+  function isDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  }
+
+  /**
+   * Exchange rates of a converted foreign stock ({} if missing or invalid)
+   */
+  function parseFx(fxBase, fxRate) {
+    return isPrice(fxBase) && isPrice(fxRate) ? { fxBase, fxRate } : {};
+  }
+
+  function validSymbol(value) {
+    const symbol = typeof value === 'string' ? value.trim().toUpperCase() : '';
+    return symbol && symbol.length <= APP_CONFIG.maxSymbolLength && /^[A-Z0-9&.\-]+$/.test(symbol) ? symbol : null;
+  }
+
+  /**
+   * Check one imported entry and turn it into participant fields
+   * @returns {Object} { entry } or { error }
+   */
+  function parseEntry(raw) {
+    if (!raw || typeof raw !== 'object') return { error: 'not an object' };
+
+    const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+    if (!name || name.length > APP_CONFIG.maxNameLength) {
+      return { error: `name must be 1-${APP_CONFIG.maxNameLength} characters` };
+    }
+
+    const createdAt = raw.createdAt ? new Date(raw.createdAt) : null;
+    if (createdAt && isNaN(createdAt.getTime())) {
+      return { error: 'createdAt is not a valid date' };
+    }
+
+    const entry = {
+      id: typeof raw.id === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(raw.id) ? raw.id : null,
+      ownerUid: typeof raw.ownerUid === 'string' ? raw.ownerUid : null,
+      name,
+      rank: Number.isInteger(raw.rank) && raw.rank >= 0 ? raw.rank : 0,
+      editCount: Number.isInteger(raw.editCount) && raw.editCount >= 0 ? raw.editCount : 0,
+      createdAt
+    };
+
+    if (raw.direction !== undefined && !DIRECTIONS.includes(raw.direction)) {
+      return { error: `direction must be ${DIRECTIONS.join(' or ')}` };
+    }
+    entry.direction = raw.direction || 'long';
+
+    if (raw.prediction !== undefined && raw.prediction !== null) {
+      if (!isPrice(raw.prediction)) return { error: 'prediction must be a price above 0' };
+      entry.prediction = raw.prediction;
+    }
+
+    if (Portfolio.isPortfolio(raw)) {
+      const holdings = [];
+      const holdingPrices = {};
+      for (const holding of Portfolio.getHoldings(raw)) {
+        const symbol = validSymbol(holding.symbol);
+        if (!symbol || !Exchanges.isKnown(holding.exchange)) {
+          return { error: `invalid holding ${holding.symbol || '?'} on ${holding.exchange || '?'}` };
+        }
+        if (!isPrice(holding.basePrice) || !(holding.cmp >= 0)) {
+          return { error: `${symbol} needs a base price above 0 and a current price` };
+        }
+
+        const fx = parseFx(holding.fxBase, holding.fxRate);
+        const stored = {
+          symbol,
+          exchange: holding.exchange,
+          currency: Exchanges.getCurrency(holding.exchange),
+          weight: holding.weight,
+          basePrice: holding.basePrice,
+          fxBase: fx.fxBase || null
+        };
+        if (isDate(holding.baselineDate)) stored.baselineDate = holding.baselineDate;
+        holdings.push(stored);
+        holdingPrices[Portfolio.holdingKey(stored)] = {
+          cmp: holding.cmp,
+          change: +Portfolio.computeChange(holding.basePrice, holding.cmp, holding.adjustment,
+            Portfolio.toFx(fx.fxBase, fx.fxRate)).toFixed(2),
+          priceSource: holding.priceSource || 'import',
+          adjustment: holding.adjustment || null,
+          fxRate: fx.fxRate || null
+        };
+      }
+
+      const invalid = Portfolio.validateHoldings(holdings, APP_CONFIG.maxHoldings);
+      if (invalid) return { error: invalid };
+
+      Object.assign(entry, {
+        symbol: holdings[0].symbol,
+        exchange: holdings[0].exchange,
+        symbols: holdings.map(Portfolio.holdingKey),
+        holdings,
+        holdingPrices,
+        baselineDate: isDate(raw.baselineDate) ? raw.baselineDate : null,
+        lastFridayPrice: 0,
+        cmp: 0
+      });
+    } else {
+      const symbol = validSymbol(raw.symbol);
+      if (!symbol || !Exchanges.isKnown(raw.exchange)) {
+        return { error: `invalid symbol ${raw.symbol || '?'} on ${raw.exchange || '?'}` };
+      }
+      if (!isPrice(raw.lastFridayPrice) || !(typeof raw.cmp === 'number' && raw.cmp >= 0)) {
+        return { error: 'needs lastFridayPrice above 0 and a cmp' };
+      }
+
+      Object.assign(entry, {
+        symbol,
+        exchange: raw.exchange,
+        currency: Exchanges.getCurrency(raw.exchange),
+        ...parseFx(raw.fxBase, raw.fxRate),
+        symbols: [Portfolio.holdingKey({ symbol, exchange: raw.exchange })],
+        baselineDate: isDate(raw.baselineDate) ? raw.baselineDate : null,
+        lastFridayPrice: raw.lastFridayPrice,
+        cmp: raw.cmp,
+        priceSource: raw.priceSource || 'import',
+        adjustment: raw.adjustment || null
+      });
+    }
+
+    entry.change = +Portfolio.computeEntryChange(entry).toFixed(2);
+    return { entry };
+  }
+
+  /**
+   * Validate a JSON export before importing it
+   * @param {string} text - File contents
+   * @returns {Object} { roundId, leagueId, entries, errors } - nothing should be written if errors is not empty
+   */
+  function parseImport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { entries: [], errors: ['The file is not valid JSON.'] };
+    }
+
+    if (!data || data.format !== FORMAT || !Array.isArray(data.participants)) {
+      return { entries: [], errors: ['This is not a Stock Challenge JSON export.'] };
+    }
+    if (data.version > FORMAT_VERSION) {
+      return { entries: [], errors: [`The file is from a newer version (v${data.version}) of the app.`] };
+    }
+    if (data.participants.length > MAX_IMPORT) {
+      return { entries: [], errors: [`At most ${MAX_IMPORT} entries can be imported at once.`] };
+    }
+
+    const errors = [];
+    const entries = [];
+    const seenSymbols = new Map();
+    const seenIds = new Set();
+
+    data.participants.forEach((raw, index) => {
+      const label = `Entry ${index + 1}${raw && raw.name ? ` (${raw.name})` : ''}`;
+      const { entry, error } = parseEntry(raw);
+      if (error) {
+        errors.push(`${label}: ${error}`);
+        return;
+      }
+
+      if (entry.id && seenIds.has(entry.id)) {
+        errors.push(`${label}: id ${entry.id} appears more than once`);
+        return;
+      }
+      const taken = entry.symbols.find(key => seenSymbols.has(key));
+      if (taken) {
+        errors.push(`${label}: ${taken} is already picked by ${seenSymbols.get(taken)}`);
+        return;
+      }
+
+      if (entry.id) seenIds.add(entry.id);
+      entry.symbols.forEach(key => seenSymbols.set(key, entry.name));
+      entries.push(entry);
+    });
+
+    return {
+      roundId: data.round && data.round.id ? data.round.id : null,
+      leagueId: data.leagueId || null,
+      entries,
+      errors
+    };
+  }
+
+  // Public API
+  return {
+    toRows,
+    toCSV,
+    toJSON,
+    exportRound,
+    parseImport
+  };
+})();
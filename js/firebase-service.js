@@ -6,6 +6,14 @@
 const FirebaseService = (function() {
   let db = null;
   let initialized = false;
+  let roundId = null; // Round that participant operations are scoped to
+  let leagueId = null; // League that round operations are scoped to (null = everyone)
+
+  // Fields kept in history records. Keep in sync with historyFields() in firestore.rules
+  const HISTORY_FIELDS = ['name', 'symbol', 'exchange', 'direction', 'prediction', 'holdings', 'baselineDate', 'lastFridayPrice', 'cmp', 'holdingPrices'];
+  // Fields only one entry shape has; an edit that switches shape deletes the other shape's
+  const PORTFOLIO_FIELDS = ['holdings', 'holdingPrices'];
+  const SINGLE_STOCK_FIELDS = ['currency', 'baselineSource', 'priceSource', 'adjustment', 'fxBase', 'fxRate'];
 
   /**
    * Initialize Firebase
@@ -21,6 +29,22 @@ const FirebaseService = (function() {
       }
       
       db = firebase.firestore();
+
+      if (EMULATOR_CONFIG.enabled) {
+        db.useEmulator(EMULATOR_CONFIG.firestoreHost, EMULATOR_CONFIG.firestorePort);
+        firebase.auth().useEmulator(EMULATOR_CONFIG.authUrl);
+        console.log('🧪 Using Firebase emulators');
+      }
+
+      // Keep a local copy of everything read, so the leaderboard loads offline.
+      // Must run before any other Firestore call.
+      db.enablePersistence({ synchronizeTabs: true })
+        .then(() => console.log('💾 Offline persistence enabled'))
+        .catch(error => {
+          // failed-precondition: another tab owns it; unimplemented: browser not supported
+          console.warn('⚠️ Offline persistence unavailable:', error.code);
+        });
+
       initialized = true;
       console.log('✅ Firebase initialized successfully');
       return true;
@@ -37,6 +61,203 @@ const FirebaseService = (function() {
     return initialized;
   }
 
+  /**
+   * Scope participant operations to a round
+   * @param {string} id - Round ID (reference date, YYYY-MM-DD)
+   */
+  function setRound(id) {
+    roundId = id;
+    console.log('📅 Using round:', id);
+  }
+
+  /**
+   * Get the round participant operations are scoped to
+   */
+  function getRoundId() {
+    return roundId;
+  }
+
+  /**
+   * Scope round operations to a league
+   * @param {string|null} id - League ID, or null for the public challenge
+   */
+  function setLeague(id) {
+    leagueId = id || null;
+    roundId = null;
+    console.log('🏟️ Using league:', leagueId || 'everyone');
+  }
+
+  /**
+   * Get the league round operations are scoped to
+   */
+  function getLeagueId() {
+    return leagueId;
+  }
+
+  /**
+   * Get the root document of the current league (or the database root)
+   */
+  function scopeRef() {
+    return leagueId ? db.collection(APP_CONFIG.leaguesCollection).doc(leagueId) : db;
+  }
+
+  /**
+   * Get the rounds collection of the current league
+   */
+  function roundsRef() {
+    return scopeRef().collection(APP_CONFIG.roundsCollection);
+  }
+
+  /**
+   * Get the participants collection of a round
+   */
+  function participantsRef(targetRoundId = roundId) {
+    if (!targetRoundId) throw new Error('No round selected');
+    return roundsRef()
+      .doc(targetRoundId)
+      .collection(APP_CONFIG.participantsCollection);
+  }
+
+  /**
+   * Get a round document of the current league
+   */
+  function roundRef(id = roundId) {
+    if (!id) throw new Error('No round selected');
+    return roundsRef().doc(id);
+  }
+
+  /**
+   * Get a participant document of a round
+   */
+  function participantRef(id, targetRoundId = roundId) {
+    return participantsRef(targetRoundId).doc(id);
+  }
+
+  /**
+   * Get an entry's append-only history (see buildHistoryEntry)
+   */
+  function historyRef(participantId, targetRoundId = roundId) {
+    return participantRef(participantId, targetRoundId).collection('history');
+  }
+
+  /**
+   * History record written when an entry is deleted
+   * Named after the entry's last change (`historyId`), so firestore.rules can
+   * require it and an entry re-created under the same ID gets a new one.
+   * @param {Object} participant - { id, historyId } as stored
+   */
+  function deletedHistoryRef(participant, targetRoundId = roundId) {
+    return historyRef(participant.id, targetRoundId).doc(`deleted-${participant.historyId || ''}`);
+  }
+
+  /**
+   * Get a round's short slots: one document per short entry, IDs 1 to
+   * APP_CONFIG.maxShortsPerRound (firestore.rules caps shorts this way)
+   */
+  function shortSlotRef(slot, targetRoundId = roundId) {
+    return roundRef(targetRoundId).collection('shortSlots').doc(String(slot));
+  }
+
+  /**
+   * Claim the first free short slot for an entry inside a transaction
+   * @returns {Promise<string>} Slot ID, to store as the entry's `shortSlot`
+   */
+  async function claimShortSlot(transaction, participantId) {
+    const refs = Array.from({ length: APP_CONFIG.maxShortsPerRound }, (_, i) => shortSlotRef(i + 1));
+    const docs = await Promise.all(refs.map(ref => transaction.get(ref)));
+    const free = docs.findIndex(doc => !doc.exists);
+
+    if (free === -1) {
+      const error = new Error(`All ${APP_CONFIG.maxShortsPerRound} short slots of this round are taken`);
+      error.shortsFull = true;
+      throw error;
+    }
+
+    transaction.set(refs[free], {
+      participantId,
+      uid: firebase.auth().currentUser.uid,
+      claimedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    return refs[free].id;
+  }
+
+  /**
+   * Symbol claim of a round: one document per "SYMBOL-EXCHANGE" key in an
+   * entry's `symbols` (firestore.rules keeps stocks unique per round this way)
+   */
+  function symbolClaimRef(symbol, targetRoundId = roundId) {
+    return roundRef(targetRoundId).collection('symbolClaims').doc(symbol);
+  }
+
+  /**
+   * Claim an entry's symbols inside a transaction and free the ones it dropped
+   * Reads first: call the returned function once the transaction's other reads are done.
+   * @param {Array} symbols - The entry's `symbols` ("SYMBOL-EXCHANGE" keys) after the change
+   * @param {Array} previous - Its `symbols` before the change ([] for a new entry)
+   * @returns {Promise<Function>} Writes the claims
+   */
+  async function claimSymbols(transaction, participantId, symbols, previous = []) {
+    const docs = await Promise.all(symbols.map(symbol => transaction.get(symbolClaimRef(symbol))));
+    const taken = docs.find(doc => doc.exists && doc.data().participantId !== participantId);
+
+    if (taken) {
+      const stock = taken.id.replace(/-([^-]+)$/, ' on $1'); // "SYMBOL-EXCHANGE" -> "SYMBOL on EXCHANGE"
+      const error = new Error(`${stock} is already taken by another participant`);
+      error.symbolTaken = true;
+      throw error;
+    }
+
+    return () => {
+      docs.filter(doc => !doc.exists).forEach(doc => transaction.set(doc.ref, {
+        participantId,
+        uid: firebase.auth().currentUser.uid,
+        claimedAt: firebase.firestore.FieldValue.serverTimestamp()
+      }));
+      previous.filter(symbol => !symbols.includes(symbol))
+        .forEach(symbol => transaction.delete(symbolClaimRef(symbol)));
+    };
+  }
+
+  /**
+   * Build a history record for a create, edit or delete
+   * Keeps the pick and the prices at the time; firestore.rules makes these
+   * records append-only and requires one with every owner change.
+   * @param {string} type - 'create', 'edit' or 'delete'
+   * @param {Object|null} before - Entry before the change
+   * @param {Object|null} after - Entry after the change
+   */
+  function buildHistoryEntry(type, before, after) {
+    const pick = (data) => data
+      ? Object.fromEntries(HISTORY_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]))
+      : null;
+
+    return {
+      type,
+      uid: firebase.auth().currentUser.uid,
+      before: pick(before),
+      after: pick(after),
+      at: firebase.firestore.FieldValue.serverTimestamp()
+    };
+  }
+
+  /**
+   * Get the refresh status document of the current league
+   */
+  function statusRef() {
+    return leagueId
+      ? scopeRef().collection('status').doc('refresh')
+      : db.doc(APP_CONFIG.refreshStatusDoc);
+  }
+
+  /**
+   * Get the refresh lease document of the current league
+   */
+  function leaseRef() {
+    return leagueId
+      ? scopeRef().collection('status').doc('refreshLease')
+      : db.doc(APP_CONFIG.refreshLeaseDoc);
+  }
+
   /**
    * Generate unique ID
    */
@@ -45,14 +266,23 @@ const FirebaseService = (function() {
   }
 
   /**
-   * Get all participants from Firestore
+   * Generate a short code that is easy to read out (no 0/O or 1/I)
+   */
+  function generateCode(length) {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    return Array.from({ length }, () => alphabet[Math.floor(Math.random() * alphabet.length)]).join('');
+  }
+
+  /**
+   * Get all participants of a round from Firestore
+   * @param {string} targetRoundId - Round ID (defaults to the current round)
    * @returns {Promise<Array>} Array of participant objects
    */
-  async function getAllParticipants() {
+  async function getAllParticipants(targetRoundId = roundId) {
     try {
       if (!initialized) throw new Error('Firebase not initialized');
       
-      const snapshot = await db.collection(APP_CONFIG.collectionName).get();
+      const snapshot = await participantsRef(targetRoundId).get();
       const participants = [];
       
       snapshot.forEach(doc => {
@@ -71,22 +301,67 @@ const FirebaseService = (function() {
   }
 
   /**
-   * Add new participant to Firestore
+   * Find the signed-in user's entry in the current round
+   * @param {string} uid - Firebase Auth user ID
+   * @returns {Promise<Object|null>} Participant or null if the user has no entry
+   */
+  async function getParticipantByOwner(uid) {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      const snapshot = await participantsRef()
+        .where('ownerUid', '==', uid)
+        .limit(1)
+        .get();
+
+      if (snapshot.empty) return null;
+
+      const doc = snapshot.docs[0];
+      return { id: doc.id, ...doc.data() };
+    } catch (error) {
+      console.error('Error getting participant by owner:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add new participant to Firestore, owned by the signed-in user
+   * The entry's ID is the user's uid, so each user has one entry per round.
+   * Recorded in the entry's history in the same transaction; the entry claims
+   * its symbols, and a short entry one of the round's short slots.
    * @param {Object} participant - Participant data
    * @returns {Promise<Object>} Added participant with ID
    */
   async function addParticipant(participant) {
     try {
       if (!initialized) throw new Error('Firebase not initialized');
+
+      const user = firebase.auth().currentUser;
+      if (!user) throw new Error('Not signed in');
       
-      const id = generateId();
+      const id = user.uid;
+      const history = historyRef(id).doc();
       const participantData = {
         ...participant,
+        ownerUid: user.uid,
+        editCount: 0,
+        historyId: history.id,
         createdAt: firebase.firestore.FieldValue.serverTimestamp(),
         updatedAt: firebase.firestore.FieldValue.serverTimestamp()
       };
       
-      await db.collection(APP_CONFIG.collectionName).doc(id).set(participantData);
+      await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(participantsRef().doc(id));
+        if (existing.exists) throw new Error('You already have an entry in this round');
+
+        const writeClaims = await claimSymbols(transaction, id, participant.symbols || []);
+        if (participant.direction === 'short') {
+          participantData.shortSlot = await claimShortSlot(transaction, id);
+        }
+        writeClaims();
+        transaction.set(participantsRef().doc(id), participantData);
+        transaction.set(history, buildHistoryEntry('create', null, participantData));
+      });
       
       console.log('✅ Participant added:', id);
       return { id, ...participantData };
@@ -98,6 +373,10 @@ const FirebaseService = (function() {
 
   /**
    * Update existing participant in Firestore
+   * Counts the edit and records old and new values in the entry's history.
+   * Claims newly picked symbols and frees dropped ones. Switching to short
+   * claims a short slot; switching to long frees it. Switching between a
+   * portfolio and a single stock deletes the fields of the old shape.
    * @param {string} id - Participant ID
    * @param {Object} updates - Fields to update
    * @returns {Promise<void>}
@@ -106,12 +385,43 @@ const FirebaseService = (function() {
     try {
       if (!initialized) throw new Error('Firebase not initialized');
       
-      const updateData = {
-        ...updates,
-        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
-      };
-      
-      await db.collection(APP_CONFIG.collectionName).doc(id).update(updateData);
+      const ref = participantsRef().doc(id);
+      const history = historyRef(id).doc();
+
+      await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) throw new Error('Entry no longer exists');
+
+        const before = doc.data();
+        const data = { ...updates };
+        const after = { ...before, ...updates };
+        // A new pick (full entry) may switch between a portfolio and a single stock
+        if (updates.symbols) {
+          (Portfolio.isPortfolio(updates) ? SINGLE_STOCK_FIELDS : PORTFOLIO_FIELDS)
+            .filter(field => before[field] !== undefined && updates[field] === undefined)
+            .forEach(field => {
+              data[field] = firebase.firestore.FieldValue.delete();
+              delete after[field];
+            });
+        }
+        const writeClaims = await claimSymbols(transaction, id, updates.symbols || before.symbols || [], before.symbols || []);
+        const direction = updates.direction || before.direction || 'long';
+        if (direction === 'short' && !before.shortSlot) {
+          data.shortSlot = await claimShortSlot(transaction, id);
+        } else if (direction !== 'short' && before.shortSlot) {
+          transaction.delete(shortSlotRef(before.shortSlot));
+          data.shortSlot = firebase.firestore.FieldValue.delete();
+        }
+        writeClaims();
+
+        transaction.update(ref, {
+          ...data,
+          editCount: (before.editCount || 0) + 1,
+          historyId: history.id,
+          updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        transaction.set(history, buildHistoryEntry('edit', before, after));
+      });
       
       console.log('✅ Participant updated:', id);
     } catch (error) {
@@ -122,6 +432,7 @@ const FirebaseService = (function() {
 
   /**
    * Delete participant from Firestore
+   * The history (ending in a 'delete' record) outlives the entry.
    * @param {string} id - Participant ID
    * @returns {Promise<void>}
    */
@@ -129,7 +440,19 @@ const FirebaseService = (function() {
     try {
       if (!initialized) throw new Error('Firebase not initialized');
       
-      await db.collection(APP_CONFIG.collectionName).doc(id).delete();
+      const ref = participantsRef().doc(id);
+
+      await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) return;
+
+        transaction.delete(ref);
+        transaction.set(deletedHistoryRef({ id, ...doc.data() }), buildHistoryEntry('delete', doc.data(), null));
+        (doc.data().symbols || []).forEach(symbol => transaction.delete(symbolClaimRef(symbol)));
+        if (doc.data().shortSlot) {
+          transaction.delete(shortSlotRef(doc.data().shortSlot));
+        }
+      });
       
       console.log('✅ Participant deleted:', id);
     } catch (error) {
@@ -139,33 +462,53 @@ const FirebaseService = (function() {
   }
 
   /**
-   * Check if symbol is already taken by another participant
-   * @param {string} symbol - Stock symbol to check
+   * Get the changes recorded for an entry, oldest first
+   * @param {string} id - Participant ID
+   * @param {string} targetRoundId - Round ID (defaults to the current round)
+   * @returns {Promise<Array>} [{ id, type, uid, before, after, at }]
+   */
+  async function getParticipantHistory(id, targetRoundId = roundId) {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      const snapshot = await historyRef(id, targetRoundId).orderBy('at').get();
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('Error getting entry history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if any of the stocks is already taken by another participant
+   * A stock is a symbol on an exchange: RELIANCE on NSE and on BSE are different picks.
+   * Uses the `symbols` array stored on every entry ("SYMBOL-EXCHANGE" keys, one per
+   * holding); entries saved before that stored bare symbols, so those are matched too.
+   * @param {Array} holdings - Stocks to check, [{ symbol, exchange }] (at most 5)
    * @param {string} excludeId - Participant ID to exclude (for updates)
-   * @returns {Promise<boolean>} True if symbol exists
+   * @returns {Promise<Object|null>} First taken holding, or null if all are free
    */
-  async function isSymbolTaken(symbol, excludeId = null) {
+  async function isSymbolTaken(holdings, excludeId = null) {
     try {
       if (!initialized) throw new Error('Firebase not initialized');
+
+      const wanted = holdings.map(holding => ({ ...holding, symbol: holding.symbol.toUpperCase() }));
+      const keys = wanted.map(Portfolio.holdingKey);
       
-      const snapshot = await db.collection(APP_CONFIG.collectionName)
-        .where('symbol', '==', symbol.toUpperCase())
+      // array-contains-any takes at most 10 values: 5 keys and 5 bare symbols
+      const snapshot = await participantsRef()
+        .where('symbols', 'array-contains-any', [...new Set([...keys, ...wanted.map(h => h.symbol)])])
         .get();
       
-      if (snapshot.empty) return false;
-      
-      // Check if the found document is not the one we're excluding
-      if (excludeId) {
-        let isTaken = false;
-        snapshot.forEach(doc => {
-          if (doc.id !== excludeId) {
-            isTaken = true;
-          }
-        });
-        return isTaken;
-      }
-      
-      return !snapshot.empty;
+      // Ignore the document we're excluding
+      let taken = null;
+      snapshot.forEach(doc => {
+        if (doc.id !== excludeId && !taken) {
+          const held = Portfolio.symbolKeys(doc.data());
+          taken = wanted.find((holding, i) => held.includes(keys[i])) || null;
+        }
+      });
+      return taken;
     } catch (error) {
       console.error('Error checking symbol:', error);
       throw error;
@@ -173,46 +516,205 @@ const FirebaseService = (function() {
   }
 
   /**
-   * Batch update all participants (for price refresh)
-   * @param {Array} participants - Array of participant objects with updates
+   * Take the refresh lease, so only one price refresh (or round close) runs at a time
+   * @param {string} forRoundId - Round the lease is for (default: the current round)
+   * @returns {Promise<Object|null>} The lease ({ id, uid, roundId }), or null if another refresh holds it
+   */
+  async function acquireRefreshLease(forRoundId = roundId) {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      const user = firebase.auth().currentUser;
+      if (!user) throw new Error('Sign-in required to refresh prices');
+
+      const lease = { id: generateId(), uid: user.uid, roundId: forRoundId };
+      const acquired = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(leaseRef());
+        if (doc.exists && doc.data().expiresAt.toMillis() > Date.now()) {
+          return false;
+        }
+
+        transaction.set(leaseRef(), {
+          ...lease,
+          source: 'client',
+          acquiredAt: firebase.firestore.FieldValue.serverTimestamp(),
+          expiresAt: firebase.firestore.Timestamp.fromMillis(Date.now() + APP_CONFIG.refreshLeaseSeconds * 1000)
+        });
+        return true;
+      });
+
+      console.log(acquired ? '🔐 Refresh lease acquired' : '⏳ Another refresh holds the lease');
+      return acquired ? lease : null;
+    } catch (error) {
+      // The rules reject a takeover while the lease is still live (e.g. clock skew)
+      if (error.code === 'permission-denied') return null;
+      console.error('Error acquiring refresh lease:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extend the refresh lease by another APP_CONFIG.refreshLeaseSeconds
+   * Called before writing, so slow price fetches don't lose it.
+   */
+  async function renewRefreshLease(lease) {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(leaseRef());
+        if (!doc.exists || doc.data().id !== lease.id || doc.data().expiresAt.toMillis() <= Date.now()) {
+          throw staleRefreshError('Refresh lease was lost', 'leaseLost');
+        }
+        transaction.update(leaseRef(), {
+          expiresAt: firebase.firestore.Timestamp.fromMillis(Date.now() + APP_CONFIG.refreshLeaseSeconds * 1000)
+        });
+      });
+    } catch (error) {
+      console.error('Error renewing refresh lease:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give up the refresh lease (no-op if it has expired and been taken over)
+   */
+  async function releaseRefreshLease(lease) {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(leaseRef());
+        if (doc.exists && doc.data().id === lease.id) {
+          transaction.delete(leaseRef());
+        }
+      });
+    } catch (error) {
+      console.error('Error releasing refresh lease:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an error flagging that a refresh's inputs went stale
+   */
+  function staleRefreshError(message, flag) {
+    const error = new Error(message);
+    error[flag] = true;
+    return error;
+  }
+
+  /**
+   * Write refreshed prices, ranks and the refresh status in one transaction
+   * Rejects the write if the lease was lost, or if the participant set (or
+   * any entry) changed since the snapshot the ranks were computed from.
+   * The rules only accept it from the lease holder.
+   * @param {Object} lease - Lease from acquireRefreshLease()
+   * @param {Array} snapshot - Participants the ranks were computed from
+   * @param {Array} updates - [{ id, cmp, change, exactChange?, score?, alpha, error, rank, priceSource?, holdingPrices?, adjustment? }]
+   * @param {Object} status - { updated, failed, benchmarks }
    * @returns {Promise<void>}
    */
-  async function batchUpdateParticipants(participants) {
+  async function commitPriceRefresh(lease, snapshot, updates, status) {
     try {
       if (!initialized) throw new Error('Firebase not initialized');
-      
-      const batch = db.batch();
-      const timestamp = firebase.firestore.FieldValue.serverTimestamp();
-      
-      participants.forEach(participant => {
-        const docRef = db.collection(APP_CONFIG.collectionName).doc(participant.id);
-        batch.update(docRef, {
-          cmp: participant.cmp,
-          change: participant.change,
-          rank: participant.rank,
-          updatedAt: timestamp
+
+      // Client transactions can't run queries, so new entries are checked just before
+      const current = await participantsRef().get();
+      const snapshotIds = new Set(snapshot.map(p => p.id));
+      if (current.size !== snapshotIds.size || current.docs.some(doc => !snapshotIds.has(doc.id))) {
+        throw staleRefreshError('Entries were added or removed during the refresh', 'participantsChanged');
+      }
+
+      await db.runTransaction(async (transaction) => {
+        const leaseDoc = await transaction.get(leaseRef());
+        if (!leaseDoc.exists || leaseDoc.data().id !== lease.id || leaseDoc.data().expiresAt.toMillis() <= Date.now()) {
+          throw staleRefreshError('Refresh lease was lost', 'leaseLost');
+        }
+
+        const docs = await Promise.all(snapshot.map(p => transaction.get(participantsRef().doc(p.id))));
+        docs.forEach((doc, index) => {
+          const before = snapshot[index].updatedAt;
+          const after = doc.exists ? doc.data().updatedAt : null;
+          const unchanged = doc.exists && (before && after ? before.isEqual(after) : before === after);
+          if (!unchanged) {
+            throw staleRefreshError(`Entry ${snapshot[index].id} changed during the refresh`, 'participantsChanged');
+          }
+        });
+
+        const timestamp = firebase.firestore.FieldValue.serverTimestamp();
+        updates.forEach(participant => {
+          const data = {
+            cmp: participant.cmp,
+            change: participant.change,
+            alpha: participant.alpha,
+            error: participant.error,
+            rank: participant.rank,
+            updatedAt: timestamp
+          };
+
+          // Record which provider supplied the new price
+          if (participant.priceSource) {
+            data.priceSource = participant.priceSource;
+          }
+
+          // Per-holding prices of portfolio entries
+          if (participant.holdingPrices) {
+            data.holdingPrices = participant.holdingPrices;
+          }
+
+          // Unrounded return for tiebreaks (null when the strategy couldn't score it)
+          if (participant.exactChange !== undefined) {
+            data.exactChange = participant.exactChange;
+          }
+
+          // What the entry is ranked on (null when the strategy couldn't score it)
+          if (participant.score !== undefined) {
+            data.score = participant.score;
+          }
+
+          // Split/bonus/dividend adjustment of single-stock entries (null clears it)
+          if (participant.adjustment !== undefined) {
+            data.adjustment = participant.adjustment;
+          }
+
+          // Latest exchange rate of converted foreign single-stock entries
+          if (participant.fxRate) {
+            data.fxRate = participant.fxRate;
+          }
+
+          transaction.update(participantsRef().doc(participant.id), data);
+        });
+
+        transaction.set(statusRef(), {
+          updated: status.updated,
+          failed: status.failed,
+          benchmarks: status.benchmarks || [],
+          roundId,
+          source: 'client',
+          lastRefreshedAt: timestamp
         });
       });
-      
-      await batch.commit();
-      console.log('✅ Batch update completed for', participants.length, 'participants');
+
+      console.log('✅ Price refresh committed for', updates.length, 'participants');
     } catch (error) {
-      console.error('Error batch updating participants:', error);
+      console.error('Error committing price refresh:', error);
       throw error;
     }
   }
 
   /**
    * Listen to real-time updates on participants collection
-   * @param {Function} callback - Function to call when data changes
+   * @param {Function} callback - Called with (participants, { fromCache }) when data changes
    * @returns {Function} Unsubscribe function
    */
   function subscribeToParticipants(callback) {
     try {
       if (!initialized) throw new Error('Firebase not initialized');
       
-      const unsubscribe = db.collection(APP_CONFIG.collectionName)
-        .onSnapshot(snapshot => {
+      // Metadata changes tell us when cached data has been confirmed by the server
+      const unsubscribe = participantsRef()
+        .onSnapshot({ includeMetadataChanges: true }, snapshot => {
           const participants = [];
           snapshot.forEach(doc => {
             participants.push({
@@ -220,7 +722,7 @@ const FirebaseService = (function() {
               ...doc.data()
             });
           });
-          callback(participants);
+          callback(participants, { fromCache: snapshot.metadata.fromCache });
         }, error => {
           console.error('Error in real-time listener:', error);
         });
@@ -233,16 +735,520 @@ const FirebaseService = (function() {
     }
   }
 
+  /**
+   * Get a single round document
+   * @param {string} id - Round ID
+   * @returns {Promise<Object|null>} Round or null if it does not exist
+   */
+  async function getRound(id) {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      const doc = await roundsRef().doc(id).get();
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    } catch (error) {
+      console.error('Error getting round:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Listen to a round document (status, entry lock)
+   * @param {string} id - Round ID
+   * @param {Function} callback - Called with the round (or null)
+   * @returns {Function} Unsubscribe function
+   */
+  function subscribeToRound(id, callback) {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      return roundRef(id)
+        .onSnapshot(doc => {
+          callback(doc.exists ? { id: doc.id, ...doc.data() } : null);
+        }, error => {
+          console.error('Error in round listener:', error);
+        });
+    } catch (error) {
+      console.error('Error subscribing to round:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all rounds, newest first
+   * @returns {Promise<Array>} Array of round objects
+   */
+  async function getRounds() {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      const snapshot = await roundsRef()
+        .orderBy('referenceDate', 'desc')
+        .get();
+
+      const rounds = [];
+      snapshot.forEach(doc => {
+        rounds.push({ id: doc.id, ...doc.data() });
+      });
+      return rounds;
+    } catch (error) {
+      console.error('Error getting rounds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get rounds that are still open
+   * @returns {Promise<Array>} Array of round objects
+   */
+  async function getOpenRounds() {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      const snapshot = await roundsRef()
+        .where('status', '==', 'open')
+        .get();
+
+      const rounds = [];
+      snapshot.forEach(doc => {
+        rounds.push({ id: doc.id, ...doc.data() });
+      });
+      return rounds;
+    } catch (error) {
+      console.error('Error getting open rounds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a round document if it does not exist yet
+   * @param {string} id - Round ID
+   * @param {Object} roundData - Round fields (referenceDate, endDate, entryClosesAt, endsAt)
+   * @returns {Promise<Object>} Existing or newly created round
+   */
+  async function ensureRound(id, roundData) {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      const roundRef = roundsRef().doc(id);
+
+      return await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(roundRef);
+        if (doc.exists) {
+          return { id, ...doc.data() };
+        }
+
+        const newRound = {
+          ...roundData,
+          status: 'open',
+          createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        };
+        transaction.set(roundRef, newRound);
+        console.log('✅ Round opened:', id);
+        return { id, ...newRound };
+      });
+    } catch (error) {
+      console.error('Error ensuring round:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close a round, freezing its final results and winners
+   * Does nothing if another client already closed it. The rules only accept
+   * it from the holder of a refresh lease for this round (or an admin).
+   * @param {string} id - Round ID
+   * @param {Array} results - Final participant results, ranked
+   * @param {Array} winners - Results sharing first place
+   * @param {Array} benchmarks - Final index returns (see Benchmarks.fetchReturns)
+   * @returns {Promise<boolean>} True if this call closed the round
+   */
+  async function closeRound(id, results, winners, benchmarks = []) {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      const roundRef = roundsRef().doc(id);
+
+      return await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(roundRef);
+        if (!doc.exists || doc.data().status !== 'open') {
+          return false;
+        }
+
+        transaction.update(roundRef, {
+          status: 'closed',
+          results,
+          winner: winners[0] || null, // Kept for older clients
+          winners,
+          benchmarks,
+          closedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        console.log('🏁 Round closed:', id);
+        return true;
+      });
+    } catch (error) {
+      console.error('Error closing round:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Listen to the refresh status document
+   * @param {Function} callback - Called with the status (or null)
+   * @returns {Function} Unsubscribe function
+   */
+  function subscribeToRefreshStatus(callback) {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      return statusRef()
+        .onSnapshot(doc => {
+          callback(doc.exists ? doc.data() : null);
+        }, error => {
+          console.error('Error in refresh status listener:', error);
+        });
+    } catch (error) {
+      console.error('Error subscribing to refresh status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get device links: UID -> UID whose season points it counts towards
+   * @returns {Promise<Object>}
+   */
+  async function getPlayerAliases() {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      const snapshot = await db.collection(APP_CONFIG.playersCollection).get();
+      const aliases = {};
+      snapshot.forEach(doc => {
+        if (doc.data().mergedInto) {
+          aliases[doc.id] = doc.data().mergedInto;
+        }
+      });
+      return aliases;
+    } catch (error) {
+      console.error('Error getting player links:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a code that other devices can use to link to this account
+   * @returns {Promise<string>} Link code
+   */
+  async function createLinkCode() {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      const user = firebase.auth().currentUser;
+      if (!user) throw new Error('Not signed in');
+
+      const code = generateCode(6);
+
+      await db.collection(APP_CONFIG.linkCodesCollection).doc(code).set({
+        uid: user.uid,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+
+      console.log('🔗 Link code created');
+      return code;
+    } catch (error) {
+      console.error('Error creating link code:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count this account's season points towards the account that created a link code
+   * @param {string} code - Link code from the other device
+   * @returns {Promise<string>} UID this account is now linked to
+   */
+  async function linkPlayer(code) {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      const user = firebase.auth().currentUser;
+      if (!user) throw new Error('Not signed in');
+
+      const linkCode = code.toUpperCase().trim();
+      const doc = await db.collection(APP_CONFIG.linkCodesCollection).doc(linkCode).get();
+      if (!doc.exists) throw new Error('Unknown link code');
+
+      const { uid, createdAt } = doc.data();
+      if (uid === user.uid) throw new Error('This device created the code');
+      if (createdAt && Date.now() - createdAt.toMillis() > APP_CONFIG.linkCodeTtlMinutes * 60000) {
+        throw new Error('Link code has expired');
+      }
+
+      await db.collection(APP_CONFIG.playersCollection).doc(user.uid).set({
+        mergedInto: uid,
+        linkCode,
+        linkedAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+
+      console.log('🔗 Linked to player:', uid);
+      return uid;
+    } catch (error) {
+      console.error('Error linking player:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the signed-in user's settings
+   * @returns {Promise<Object|null>} Settings, or null if none were saved
+   */
+  async function getUserSettings() {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      const user = firebase.auth().currentUser;
+      if (!user) return null;
+
+      const doc = await db.collection(APP_CONFIG.userSettingsCollection).doc(user.uid).get();
+      return doc.exists ? doc.data() : null;
+    } catch (error) {
+      console.error('Error getting user settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save some of the signed-in user's settings
+   * @param {Object} settings - e.g. { notifications: {...} }
+   * @returns {Promise<void>}
+   */
+  async function saveUserSettings(settings) {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      const user = firebase.auth().currentUser;
+      if (!user) throw new Error('Not signed in');
+
+      await db.collection(APP_CONFIG.userSettingsCollection).doc(user.uid).set({
+        ...settings,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+    } catch (error) {
+      console.error('Error saving user settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a league owned by the signed-in user, who becomes its first member
+   * @param {string} name - League name
+   * @param {Object} settings - { deadlineDay, deadlineHour, deadlineMinute, mode } (mode: see ChallengeMode)
+   * @returns {Promise<Object>} New league with its invite code
+   */
+  async function createLeague(name, settings) {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      const user = firebase.auth().currentUser;
+      if (!user) throw new Error('Not signed in');
+
+      const leagueRef = db.collection(APP_CONFIG.leaguesCollection).doc();
+      const inviteCode = generateCode(8);
+      const league = {
+        name,
+        ownerUid: user.uid,
+        inviteCode,
+        settings,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+      };
+
+      // League, invite and membership are written together so rules can check them as one
+      const batch = db.batch();
+      batch.set(leagueRef, league);
+      batch.set(db.collection(APP_CONFIG.leagueInvitesCollection).doc(inviteCode), {
+        leagueId: leagueRef.id,
+        name
+      });
+      batch.set(leagueRef.collection('members').doc(user.uid), {
+        uid: user.uid,
+        leagueId: leagueRef.id,
+        inviteCode,
+        joinedAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+      await batch.commit();
+
+      console.log('✅ League created:', leagueRef.id);
+      return { id: leagueRef.id, ...league };
+    } catch (error) {
+      console.error('Error creating league:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up a league by invite code
+   * @param {string} code - Invite code
+   * @returns {Promise<Object|null>} { leagueId, name } or null if unknown
+   */
+  async function getLeagueInvite(code) {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      const doc = await db.collection(APP_CONFIG.leagueInvitesCollection)
+        .doc(code.toUpperCase().trim())
+        .get();
+      return doc.exists ? doc.data() : null;
+    } catch (error) {
+      console.error('Error getting league invite:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Join a league with its invite code
+   * @param {string} code - Invite code
+   * @returns {Promise<Object>} { leagueId, name }
+   */
+  async function joinLeague(code) {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      const user = firebase.auth().currentUser;
+      if (!user) throw new Error('Not signed in');
+
+      const inviteCode = code.toUpperCase().trim();
+      const invite = await getLeagueInvite(inviteCode);
+      if (!invite) throw new Error('Unknown invite code');
+
+      await db.collection(APP_CONFIG.leaguesCollection).doc(invite.leagueId)
+        .collection('members').doc(user.uid)
+        .set({
+          uid: user.uid,
+          leagueId: invite.leagueId,
+          inviteCode,
+          joinedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+
+      console.log('✅ Joined league:', invite.leagueId);
+      return invite;
+    } catch (error) {
+      console.error('Error joining league:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Leave a league
+   * @param {string} id - League ID
+   * @returns {Promise<void>}
+   */
+  async function leaveLeague(id) {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      const user = firebase.auth().currentUser;
+      if (!user) throw new Error('Not signed in');
+
+      await db.collection(APP_CONFIG.leaguesCollection).doc(id)
+        .collection('members').doc(user.uid)
+        .delete();
+
+      console.log('👋 Left league:', id);
+    } catch (error) {
+      console.error('Error leaving league:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the leagues the signed-in user is a member of
+   * @returns {Promise<Array>} Array of league objects, sorted by name
+   */
+  async function getMyLeagues() {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      const user = firebase.auth().currentUser;
+      if (!user) return [];
+
+      const memberships = await db.collectionGroup('members')
+        .where('uid', '==', user.uid)
+        .get();
+
+      const leagues = await Promise.all(memberships.docs.map(async (membership) => {
+        const doc = await db.collection(APP_CONFIG.leaguesCollection).doc(membership.data().leagueId).get();
+        return doc.exists ? { id: doc.id, ...doc.data() } : null;
+      }));
+
+      return leagues.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Error getting leagues:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a league's deadline and challenge mode (owner only)
+   * @param {string} id - League ID
+   * @param {Object} settings - { deadlineDay, deadlineHour, deadlineMinute, mode }
+   * @returns {Promise<void>}
+   */
+  async function updateLeagueSettings(id, settings) {
+    try {
+      if (!initialized) throw new Error('Firebase not initialized');
+
+      await db.collection(APP_CONFIG.leaguesCollection).doc(id).update({ settings });
+      console.log('✅ League settings updated:', id);
+    } catch (error) {
+      console.error('Error updating league settings:', error);
+      throw error;
+    }
+  }
+
   // Public API
   return {
     init,
     isInitialized,
+    setLeague,
+    getLeagueId,
+    setRound,
+    getRoundId,
+    roundRef,
+    participantRef,
+    historyRef,
+    deletedHistoryRef,
+    shortSlotRef,
+    symbolClaimRef,
+    buildHistoryEntry,
+    generateId,
+    getRound,
+    subscribeToRound,
+    getRounds,
+    getOpenRounds,
+    ensureRound,
+    closeRound,
     getAllParticipants,
+    getParticipantByOwner,
     addParticipant,
     updateParticipant,
     deleteParticipant,
+    getParticipantHistory,
     isSymbolTaken,
-    batchUpdateParticipants,
-    subscribeToParticipants
+    acquireRefreshLease,
+    renewRefreshLease,
+    releaseRefreshLease,
+    commitPriceRefresh,
+    subscribeToParticipants,
+    subscribeToRefreshStatus,
+    getPlayerAliases,
+    getUserSettings,
+    saveUserSettings,
+    createLinkCode,
+    linkPlayer,
+    createLeague,
+    getLeagueInvite,
+    joinLeague,
+    leaveLeague,
+    getMyLeagues,
+    updateLeagueSettings
   };
 })();
\ No newline at end of file
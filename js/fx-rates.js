@@ -0,0 +1,88 @@
+/**
+ * FX Rates
+ * Exchange rates to APP_CONFIG.baseCurrency for foreign stocks, when
+ * APP_CONFIG.convertToBaseCurrency is on. Rates are quoted as currency pairs
+ * (e.g. USDINR) on the internal FX exchange, so they go through the same
+ * provider failover and caches as stock prices.
+ *
+ * Prices in a minor unit use the major currency's pair (pence use GBPINR):
+ * returns only depend on how the rate moved, not on its unit.
+ * Runs in the browser (global `FxRates`) and in Node (functions/refresh-job.js);
+ * both convert through Scoring.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config.js').APP_CONFIG, require('./exchanges.js'), require('./stock-api.js'));
+  } else {
+    root.FxRates = factory(APP_CONFIG, Exchanges, StockAPI);
+  }
+})(typeof self !== 'undefined' ? self : this, function(APP_CONFIG, Exchanges, StockAPI) {
+  const FX_EXCHANGE = 'FX';
+
+  /**
+   * Check whether prices in a currency are converted to the base currency
+   */
+  function isConverted(currency) {
+    return !!APP_CONFIG.convertToBaseCurrency && !!currency && currency !== APP_CONFIG.baseCurrency;
+  }
+
+  /**
+   * Currency pair quoting a currency in the base currency, e.g. { symbol: 'USDINR', exchange: 'FX' }
+   */
+  function getPair(currency) {
+    const minor = Exchanges.MINOR_UNITS[currency];
+    return { symbol: `${minor ? minor.currency : currency}${APP_CONFIG.baseCurrency}`, exchange: FX_EXCHANGE };
+  }
+
+  /**
+   * Fetch the latest rates for several currencies
+   * @param {Array} currencies - Currency codes (duplicates and unconverted ones are skipped)
+   * @returns {Promise<Map>} currency -> rate (currencies whose rate failed are missing)
+   */
+  async function fetchRates(currencies) {
+    const wanted = [...new Set(currencies)].filter(isConverted);
+    const rates = new Map();
+    if (wanted.length === 0) return rates;
+
+    const quotes = await StockAPI.fetchQuotes(wanted.map(getPair));
+    wanted.forEach(currency => {
+      const pair = getPair(currency);
+      const quote = quotes.get(`${pair.symbol}-${pair.exchange}`);
+      if (quote && !quote.error) {
+        rates.set(currency, quote.price);
+      } else {
+        console.warn(`⚠️ No ${pair.symbol} rate, keeping the last one`);
+      }
+    });
+    return rates;
+  }
+
+  /**
+   * Fetch the latest rate for a currency (null if not converted)
+   */
+  async function fetchRate(currency) {
+    if (!isConverted(currency)) return null;
+    const pair = getPair(currency);
+    return (await StockAPI.fetchQuote(pair.symbol, pair.exchange)).price;
+  }
+
+  /**
+   * Fetch a currency's closing rate on a date (or the last one before it)
+   * @returns {Promise<number|null>} Rate, or null if not converted
+   */
+  async function fetchHistoricalRate(currency, date) {
+    if (!isConverted(currency)) return null;
+    const pair = getPair(currency);
+    return (await StockAPI.fetchHistoricalClose(pair.symbol, pair.exchange, date)).close;
+  }
+
+  // Public API
+  return {
+    isConverted,
+    getPair,
+    fetchRates,
+    fetchRate,
+    fetchHistoricalRate
+  };
+});
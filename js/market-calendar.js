@@ -0,0 +1,206 @@
+/**
+ * Market Calendar
+ * NSE/BSE trading sessions, weekends and exchange holidays, in IST.
+ *
+ * Sessions come from APP_CONFIG.marketSessions and holidays from
+ * APP_CONFIG.marketHolidays (edit that list every year). Used for the
+ * market status pill, to skip refreshes while prices can't move, and to pick
+ * the trading days behind baselines, final prices and deadlines.
+ * Runs in the browser (global `MarketCalendar`) and in Node, where
+ * functions/refresh-job.js uses it to decide when to refresh.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config.js').APP_CONFIG);
+  } else {
+    root.MarketCalendar = factory(APP_CONFIG);
+  }
+})(typeof self !== 'undefined' ? self : this, function(APP_CONFIG) {
+  const MINUTE_MS = 60 * 1000;
+  const DAY_MS = 24 * 60 * MINUTE_MS;
+  const MAX_LOOKUP_DAYS = 30; // Longest stretch without a trading day we expect
+
+  /**
+   * "09:15" -> minutes since midnight
+   */
+  function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Sessions of a trading day, in order
+   * @returns {Array} [{ name, label, start, end }] (minutes since midnight IST)
+   */
+  function getSessions() {
+    const { preOpen, open, close, closingEnd } = APP_CONFIG.marketSessions;
+    return [
+      { name: 'pre-open', label: 'Pre-open', start: toMinutes(preOpen), end: toMinutes(open) },
+      { name: 'open', label: 'Market open', start: toMinutes(open), end: toMinutes(close) },
+      { name: 'closing', label: 'Closing session', start: toMinutes(close), end: toMinutes(closingEnd) }
+    ];
+  }
+
+  /**
+   * IST calendar date (YYYY-MM-DD) of an instant
+   */
+  function toDateKey(date) {
+    return new Date(date.getTime() + APP_CONFIG.timezoneOffsetMinutes * MINUTE_MS).toISOString().slice(0, 10);
+  }
+
+  function addDays(dateKey, days) {
+    return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Exchange holiday on an IST date, if any
+   * @returns {Object|null} { date, name }
+   */
+  function getHoliday(dateKey) {
+    return APP_CONFIG.marketHolidays.find(holiday => holiday.date === dateKey) || null;
+  }
+
+  function isWeekend(dateKey) {
+    const day = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    return day === 0 || day === 6;
+  }
+
+  /**
+   * Check whether the exchanges trade on an IST date
+   */
+  function isTradingDay(dateKey) {
+    return !isWeekend(dateKey) && !getHoliday(dateKey);
+  }
+
+  /**
+   * Most recent trading day on or before an IST date
+   */
+  function lastTradingDay(dateKey) {
+    for (let i = 0; i < MAX_LOOKUP_DAYS; i++) {
+      const day = addDays(dateKey, -i);
+      if (isTradingDay(day)) return day;
+    }
+    return dateKey;
+  }
+
+  /**
+   * First trading day after an IST date
+   */
+  function nextTradingDay(dateKey) {
+    for (let i = 1; i <= MAX_LOOKUP_DAYS; i++) {
+      const day = addDays(dateKey, i);
+      if (isTradingDay(day)) return day;
+    }
+    return addDays(dateKey, 1);
+  }
+
+  /**
+   * Instant of an IST wall-clock time on an IST date
+   */
+  function at(dateKey, minutes) {
+    return new Date(Date.parse(`${dateKey}T00:00:00Z`) + (minutes - APP_CONFIG.timezoneOffsetMinutes) * MINUTE_MS);
+  }
+
+  /**
+   * When the normal session of the first trading day after a date opens
+   */
+  function nextOpenAfter(dateKey) {
+    return at(nextTradingDay(dateKey), getSessions()[1].start);
+  }
+
+  /**
+   * Market status at an instant
+   * @returns {Object} {
+   *   session: 'pre-open' | 'open' | 'closing' | 'closed',
+   *   label, reason ('weekend' | 'holiday' | 'before-open' | 'after-close' | null),
+   *   holiday, endsAt (current session), opensAt (next normal session),
+   *   lastCloseAt (end of the last finished trading day), lastCloseDate
+   * }
+   */
+  function getStatus(now = new Date()) {
+    const today = toDateKey(now);
+    const minute = Math.floor((now.getTime() + APP_CONFIG.timezoneOffsetMinutes * MINUTE_MS) % DAY_MS / MINUTE_MS);
+    const sessions = getSessions();
+    const [preOpen, open] = sessions;
+    const dayEnd = sessions[sessions.length - 1].end;
+    const tradingToday = isTradingDay(today);
+
+    const lastCloseDate = tradingToday && minute >= dayEnd ? today : lastTradingDay(addDays(today, -1));
+    const status = {
+      holiday: getHoliday(today),
+      lastCloseDate,
+      lastCloseAt: at(lastCloseDate, dayEnd)
+    };
+
+    if (tradingToday) {
+      const session = sessions.find(s => minute >= s.start && minute < s.end);
+      if (session) {
+        return {
+          ...status,
+          session: session.name,
+          label: session.label,
+          reason: null,
+          endsAt: at(today, session.end),
+          opensAt: at(today, open.start)
+        };
+      }
+      if (minute < preOpen.start) {
+        return { ...status, session: 'closed', label: 'Market closed', reason: 'before-open', endsAt: null, opensAt: at(today, open.start) };
+      }
+    }
+
+    return {
+      ...status,
+      session: 'closed',
+      label: status.holiday ? `Holiday · ${status.holiday.name}` : 'Market closed',
+      reason: status.holiday ? 'holiday' : (isWeekend(today) ? 'weekend' : 'after-close'),
+      endsAt: null,
+      opensAt: nextOpenAfter(today)
+    };
+  }
+
+  /**
+   * Pill text, e.g. "Market open · closes in 2h 10m" (browser only: uses EntryWindow)
+   */
+  function describeStatus(status, now = new Date()) {
+    const until = (date) => EntryWindow.formatDuration(date.getTime() - now.getTime()).replace(/ \d+s$/, '');
+
+    switch (status.session) {
+      case 'open':
+        return `Market open · closes in ${until(status.endsAt)}`;
+      case 'pre-open':
+        return `Pre-open · opens in ${until(status.opensAt)}`;
+      case 'closing':
+        return `Closing session · ends in ${until(status.endsAt)}`;
+      default:
+        return `${status.label} · opens ${EntryWindow.formatIST(status.opensAt)}`;
+    }
+  }
+
+  /**
+   * Whether a price refresh can change anything
+   * During the normal and closing sessions, yes. Otherwise only if the last
+   * refresh ran before the last trading day's close (to pull the official close).
+   * @param {Date|null} lastRefreshedAt - Last successful refresh
+   */
+  function needsRefresh(lastRefreshedAt, now = new Date()) {
+    const status = getStatus(now);
+    if (status.session === 'open' || status.session === 'closing') return true;
+    return !lastRefreshedAt || lastRefreshedAt.getTime() < status.lastCloseAt.getTime();
+  }
+
+  // Public API
+  return {
+    toDateKey,
+    getSessions,
+    getHoliday,
+    isTradingDay,
+    lastTradingDay,
+    nextTradingDay,
+    nextOpenAfter,
+    getStatus,
+    describeStatus,
+    needsRefresh
+  };
+});
@@ -0,0 +1,212 @@
+/**
+ * Notifications
+ * Tells players when their rank changes, when they take or lose first place,
+ * and when their return moves past a threshold they set.
+ *
+ * Each server snapshot of the participants listener is compared with the
+ * previous one. Every event becomes an in-page toast (kept in a short
+ * history); browser notifications are only sent while the tab is hidden.
+ * Preferences are stored per user in userSettings/{uid}.notifications.
+ */
+
+const Notifications = (function() {
+  const DEFAULT_PREFS = {
+    browser: false, // Browser notifications (needs permission)
+    rankChanges: true,
+    firstPlace: true,
+    moveThreshold: null // % return, e.g. 2 = alert at +2% and -2%
+  };
+  const HISTORY_LIMIT = 20;
+
+  let prefs = { ...DEFAULT_PREFS };
+  let previous = null; // { scope, entryId, rank, change } from the last snapshot
+  const history = [];
+  const listeners = [];
+
+  /**
+   * Load the signed-in user's preferences
+   * @returns {Promise<Object>} Preferences
+   */
+  async function loadPrefs() {
+    try {
+      const settings = await FirebaseService.getUserSettings();
+      prefs = { ...DEFAULT_PREFS, ...(settings && settings.notifications) };
+    } catch (error) {
+      console.warn('⚠️ Could not load notification preferences:', error.message);
+      prefs = { ...DEFAULT_PREFS };
+    }
+    return prefs;
+  }
+
+  /**
+   * Save preferences, asking for browser permission when it is switched on
+   * @param {Object} updates - Any of { browser, rankChanges, firstPlace, moveThreshold }
+   * @returns {Promise<Object>} Saved preferences
+   */
+  async function savePrefs(updates) {
+    try {
+      const next = { ...prefs, ...updates };
+
+      if (next.browser && getPermission() !== 'granted') {
+        const permission = await requestPermission();
+        if (permission !== 'granted') {
+          const error = new Error(permission === 'unsupported'
+            ? 'This browser does not support notifications'
+            : 'Notifications are blocked for this site in your browser settings');
+          error.permissionDenied = true;
+          throw error;
+        }
+      }
+
+      await FirebaseService.saveUserSettings({ notifications: next });
+      prefs = next;
+      console.log('🔔 Notification preferences saved');
+      return prefs;
+    } catch (error) {
+      console.error('Error saving notification preferences:', error);
+      throw error;
+    }
+  }
+
+  function getPrefs() {
+    return { ...prefs };
+  }
+
+  /**
+   * Browser permission: 'granted', 'denied', 'default' or 'unsupported'
+   */
+  function getPermission() {
+    return 'Notification' in window ? Notification.permission : 'unsupported';
+  }
+
+  async function requestPermission() {
+    if (!('Notification' in window)) return 'unsupported';
+    if (Notification.permission !== 'default') return Notification.permission;
+    return await Notification.requestPermission();
+  }
+
+  /**
+   * -1, 0 or 1: whether a return is past the threshold, and which way
+   */
+  function thresholdBand(change) {
+    const threshold = prefs.moveThreshold;
+    if (!(threshold > 0)) return 0;
+    if (change >= threshold) return 1;
+    return change <= -threshold ? -1 : 0;
+  }
+
+  function formatChange(change) {
+    return `${change > 0 ? '+' : ''}${(change || 0).toFixed(2)}%`;
+  }
+
+  /**
+   * Compare a snapshot with the previous one
+   * The first snapshot (and the first after switching round, league or
+   * entry) only sets the baseline.
+   * @param {Array} participants - Ranked participants of the current round
+   * @param {string|null} entryId - The player's entry
+   * @param {string} scope - League and round of the snapshot
+   * @returns {Array} Events [{ type, title, body }]
+   */
+  function detect(participants, entryId, scope) {
+    const me = entryId ? participants.find(p => p.id === entryId) : null;
+    const last = previous;
+    previous = me ? { scope, entryId, rank: me.rank || 0, change: me.change || 0 } : null;
+
+    if (!me || !last || last.scope !== scope || last.entryId !== entryId) return [];
+
+    const { rank, change } = previous;
+    const pick = Portfolio.describe(me);
+    const events = [];
+
+    if (prefs.firstPlace && rank === 1 && last.rank !== 1) {
+      events.push({ type: 'first-place', title: "🥇 You're in first place!", body: `${pick} is at ${formatChange(change)}` });
+    } else if (prefs.firstPlace && last.rank === 1 && rank !== 1) {
+      const leaders = participants.filter(p => p.rank === 1).map(p => p.name);
+      events.push({
+        type: 'lost-first',
+        title: '😬 You lost first place',
+        body: leaders.length > 0 ? `${leaders.join(', ')} took the lead` : `You're now #${rank || '-'}`
+      });
+    } else if (prefs.rankChanges && rank > 0 && last.rank > 0 && rank !== last.rank) {
+      const up = rank < last.rank;
+      events.push({
+        type: up ? 'rank-up' : 'rank-down',
+        title: up ? `⬆️ You moved up to #${rank}` : `⬇️ You dropped to #${rank}`,
+        body: `${pick} is at ${formatChange(change)} (was #${last.rank})`
+      });
+    }
+
+    const band = thresholdBand(change);
+    if (band !== 0 && band !== thresholdBand(last.change)) {
+      events.push({
+        type: band > 0 ? 'threshold-up' : 'threshold-down',
+        title: `${band > 0 ? '📈' : '📉'} ${pick} ${band > 0 ? 'is up' : 'is down'} ${formatChange(change)}`,
+        body: `Past your ±${prefs.moveThreshold}% alert`
+      });
+    }
+
+    return events;
+  }
+
+  /**
+   * Check a snapshot and notify about any changes
+   */
+  function check(participants, entryId, scope) {
+    detect(participants, entryId, scope).forEach(notify);
+  }
+
+  function notify(event) {
+    const item = { ...event, at: new Date() };
+    history.unshift(item);
+    history.splice(HISTORY_LIMIT);
+    console.log('🔔', event.title);
+
+    listeners.forEach(callback => callback(item, history.slice()));
+
+    if (prefs.browser && document.visibilityState === 'hidden' && getPermission() === 'granted') {
+      showBrowserNotification(event);
+    }
+  }
+
+  /**
+   * Prefer the service worker (required on Android), fall back to the page
+   */
+  function showBrowserNotification(event) {
+    const options = { body: event.body, icon: 'icons/icon.svg', tag: event.type };
+    const fallback = () => new Notification(event.title, options);
+
+    if (!('serviceWorker' in navigator)) {
+      fallback();
+      return;
+    }
+
+    navigator.serviceWorker.getRegistration()
+      .then(registration => registration ? registration.showNotification(event.title, options) : fallback())
+      .catch(error => console.warn('⚠️ Browser notification failed:', error.message));
+  }
+
+  /**
+   * Listen to new notifications
+   * @param {Function} callback - Called with (event, history)
+   */
+  function onNotify(callback) {
+    listeners.push(callback);
+  }
+
+  function getHistory() {
+    return history.slice();
+  }
+
+  // Public API
+  return {
+    loadPrefs,
+    savePrefs,
+    getPrefs,
+    getPermission,
+    detect,
+    check,
+    onNotify,
+    getHistory
+  };
+})();
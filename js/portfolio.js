@@ -0,0 +1,177 @@
+/**
+ * Portfolio
+ * Helpers for weighted multi-stock entries
+ *
+ * Portfolio entries store their picks in `holdings`
+ *   [{ symbol, exchange, weight, basePrice, baselineDate, baselineSource }]
+ * which only change while the entry window is open. Refreshed prices go to
+ * `holdingPrices` ({ "SYMBOL-EXCHANGE": { cmp, change, priceSource, adjustment } }), so
+ * price refreshes never touch the picks themselves.
+ * Single-stock entries are treated as one holding with 100% weight.
+ *
+ * Entries are long unless `direction` is 'short'. Holdings keep the stock's
+ * own move in `change`; an entry's `change` (and each holding's contribution)
+ * is for its direction, so a short gains when the stock falls.
+ *
+ * Prices are in the exchange's `currency`. With APP_CONFIG.convertToBaseCurrency,
+ * foreign stocks also store the exchange rate to the base currency at the
+ * baseline (`fxBase`) and the latest one (`fxRate`, in holdingPrices for
+ * holdings), and their `change` includes the currency's move (see FxRates).
+ */
+
+const Portfolio = (function() {
+
+  /**
+   * Key a holding by symbol and exchange
+   */
+  function holdingKey(holding) {
+    return `${holding.symbol}-${holding.exchange}`;
+  }
+
+  /**
+   * An entry's stocks as "SYMBOL-EXCHANGE" keys (what `symbols` stores)
+   * Built from the picks, so entries saved before `symbols` was keyed by exchange work too.
+   */
+  function symbolKeys(participant) {
+    return isPortfolio(participant) ? participant.holdings.map(holdingKey) : [holdingKey(participant)];
+  }
+
+  /**
+   * Check if a participant is a multi-stock portfolio entry
+   */
+  function isPortfolio(participant) {
+    return Array.isArray(participant.holdings) && participant.holdings.length > 0;
+  }
+
+  /**
+   * Direction of an entry: 'long' (default) or 'short'
+   */
+  function getDirection(participant) {
+    return participant.direction === 'short' ? 'short' : 'long';
+  }
+
+  /**
+   * Return of an entry for its direction
+   * @param {number} change - The stock's (or portfolio's) own move in %
+   */
+  function applyDirection(change, participant) {
+    return getDirection(participant) === 'short' ? -change : change;
+  }
+
+  /**
+   * Percentage change from a base price (unrounded, 0 without a base price)
+   * With a corporate-action adjustment (see CorporateActions), the base is
+   * split-adjusted and dividends are added back for a total return.
+   * With exchange rates ({ base, rate }, see toFx), the return is in the base currency.
+   * See Scoring.computeReturn() for the maths.
+   */
+  function computeChange(basePrice, price, adjustment = null, fx = null) {
+    const change = Scoring.computeReturn(basePrice, price, { adjustment, fx });
+    return change === null ? 0 : change;
+  }
+
+  /**
+   * Exchange rates for computeChange, or null when the price isn't converted
+   * @param {number} fxBase - Rate at the baseline
+   * @param {number} fxRate - Latest rate
+   */
+  function toFx(fxBase, fxRate) {
+    return Scoring.toFx(fxBase, fxRate);
+  }
+
+  /**
+   * Get a participant's holdings with their latest prices (see Scoring.getHoldings)
+   * @returns {Array} [{ symbol, exchange, currency, weight, basePrice, baselineDate, cmp, change, contribution,
+   *                     priceSource, adjustment, fxBase, fxRate }]
+   */
+  function getHoldings(participant) {
+    return Scoring.getHoldings(participant).map(holding => ({
+      ...holding,
+      currency: holding.currency || APP_CONFIG.baseCurrency,
+      contribution: applyDirection((holding.weight / 100) * holding.change, participant)
+    }));
+  }
+
+  /**
+   * Weighted portfolio return: sum of weight x holding return
+   * @param {Array} holdings - [{ weight, change }]
+   */
+  function computePortfolioChange(holdings) {
+    return holdings.reduce((total, holding) => total + (holding.weight / 100) * holding.change, 0);
+  }
+
+  /**
+   * Unrounded simple return of an entry from its stored prices, for its
+   * direction (0 if it can't be scored)
+   */
+  function computeEntryChange(participant) {
+    const scored = Scoring.scoreEntry(Scoring.toEntry(participant), {});
+    return scored.exactChange === null ? 0 : scored.exactChange;
+  }
+
+  /**
+   * Check that an entry has a baseline and a current price for every stock
+   */
+  function hasValidPrices(participant) {
+    return getHoldings(participant).every(holding => holding.basePrice > 0 && holding.cmp > 0);
+  }
+
+  /**
+   * Validate holdings from the entry form
+   * @param {Array} holdings - [{ symbol, exchange, weight }]
+   * @param {number} maxHoldings - Maximum number of stocks
+   * @returns {string|null} Error message, or null if valid
+   */
+  function validateHoldings(holdings, maxHoldings) {
+    if (holdings.length === 0) {
+      return 'Please add at least one stock';
+    }
+    if (holdings.length > maxHoldings) {
+      return `A portfolio can hold at most ${maxHoldings} stocks`;
+    }
+
+    const symbols = holdings.map(holding => holding.symbol);
+    const duplicate = symbols.find((symbol, i) => symbols.indexOf(symbol) !== i);
+    if (duplicate) {
+      return `${duplicate} is in your portfolio more than once`;
+    }
+
+    if (holdings.some(holding => !(holding.weight > 0))) {
+      return 'Every stock needs a weight above 0%';
+    }
+
+    const total = holdings.reduce((sum, holding) => sum + holding.weight, 0);
+    if (Math.abs(total - 100) > 0.01) {
+      return `Weights must add up to 100% (currently ${+total.toFixed(2)}%)`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Short label for a portfolio, e.g. "RELIANCE +2 more"
+   */
+  function describe(participant) {
+    if (!isPortfolio(participant)) return participant.symbol;
+
+    const [first, ...rest] = participant.holdings;
+    return rest.length > 0 ? `${first.symbol} +${rest.length} more` : first.symbol;
+  }
+
+  // Public API
+  return {
+    holdingKey,
+    symbolKeys,
+    isPortfolio,
+    getDirection,
+    applyDirection,
+    computeChange,
+    toFx,
+    getHoldings,
+    computePortfolioChange,
+    computeEntryChange,
+    hasValidPrices,
+    validateHoldings,
+    describe
+  };
+})();
@@ -0,0 +1,484 @@
+/**
+ * Price Providers
+ * Pluggable quote sources used by StockAPI, tried in order with failover
+ *
+ * Provider interface:
+ *   id                  - Unique key used in APP_CONFIG.priceProviders
+ *   name                - Display name
+ *   isEnabled()         - Whether the provider is configured
+ *   fetchQuote(symbol, exchange)
+ *                       - Resolves to { price, closes? } - closes are the last
+ *                         month's daily closes, oldest first (used by the
+ *                         volatilityAdjusted scoring strategy, see Scoring)
+ *   fetchQuotes(items)  (optional)
+ *                       - Batch quote for [{ symbol, exchange }]; resolves to
+ *                         { "SYMBOL-EXCHANGE": { price, closes? } } (missing keys = not found)
+ *   fetchDailyCloses(symbol, exchange, fromDate, toDate)   (optional)
+ *                       - Resolves to [{ date, close }] for trading dates (YYYY-MM-DD)
+ *                         in the exchange's timezone (see Exchanges)
+ *   fetchCorporateActions(symbol, exchange, fromDate, toDate)   (optional)
+ *                       - Resolves to splits/bonuses and dividends by ex-date:
+ *                         [{ type: 'split', date, numerator, denominator }
+ *                          | { type: 'dividend', date, amount }]
+ *
+ * Errors with `notFound = true` mean the symbol does not exist at that
+ * provider; they do not count against the provider's health.
+ *
+ * Runs in the browser (global `PriceProviders`) and in Node, where
+ * functions/refresh-job.js calls Yahoo directly instead of through the CORS proxy.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    const { APP_CONFIG, MOCK_PRICES } = require('./config.js');
+    module.exports = factory(APP_CONFIG, MOCK_PRICES, require('./exchanges.js'));
+  } else {
+    root.PriceProviders = factory(APP_CONFIG, typeof MOCK_PRICES !== 'undefined' ? MOCK_PRICES : undefined, Exchanges);
+  }
+})(typeof self !== 'undefined' ? self : this, function(APP_CONFIG, MOCK_PRICES, Exchanges) {
+
+  // CORS proxy to bypass CORS restrictions (browsers only; servers fetch directly)
+  const CORS_PROXY = typeof window !== 'undefined' ? 'https://api.allorigins.win/raw?url=' : null;
+  const REQUEST_TIMEOUT = 15000; // 15 seconds
+
+  // A provider is skipped for COOLDOWN_MS after this many failures in a row
+  const MAX_CONSECUTIVE_FAILURES = 3;
+  const COOLDOWN_MS = 2 * 60 * 1000;
+
+  const providers = new Map();
+  const health = new Map();
+
+  /**
+   * Create a "symbol not found" error
+   */
+  function notFoundError(message) {
+    const error = new Error(message);
+    error.notFound = true;
+    return error;
+  }
+
+  /**
+   * Fetch JSON with a timeout
+   */
+  async function fetchJson(url, headers = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+    try {
+      const response = await fetch(url, {
+        method: 'GET',
+        signal: controller.signal,
+        headers: {
+          'Accept': 'application/json',
+          ...headers
+        }
+      });
+
+      if (response.status === 404) {
+        throw notFoundError('HTTP 404');
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      return await response.json();
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * URL to fetch, through the CORS proxy in the browser
+   */
+  function proxied(url) {
+    return CORS_PROXY ? CORS_PROXY + encodeURIComponent(url) : url;
+  }
+
+  /**
+   * Read a dotted path ("data.quote.price") from an object
+   */
+  function getPath(obj, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+  }
+
+  /**
+   * Fill {symbol} and {exchange} in a URL template
+   */
+  function fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) =>
+      (values[key] !== undefined ? encodeURIComponent(values[key]) : match));
+  }
+
+  // ----------------------------------------
+  // Yahoo Finance (chart and spark APIs)
+  // ----------------------------------------
+
+  const toYahooSymbol = Exchanges.toYahooSymbol;
+
+  /**
+   * Fetch Yahoo Finance chart data (via the CORS proxy in the browser)
+   * @param {string} fullSymbol - Yahoo symbol (e.g. RELIANCE.NS)
+   * @param {string} query - Chart query string (range/period and interval)
+   * @returns {Promise<Object>} First chart result ({ meta, timestamp, indicators })
+   */
+  async function fetchYahooChart(fullSymbol, query) {
+    const apiUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(fullSymbol)}?${query}`;
+    const data = await fetchJson(proxied(apiUrl));
+
+    // Validate response
+    if (!data.chart?.result?.[0]?.meta) {
+      throw notFoundError('Invalid API response - stock may not exist');
+    }
+
+    return data.chart.result[0];
+  }
+
+  /**
+   * Read the latest price from a Yahoo spark entry
+   * Handles both the flat ({ close: [...] }) and nested (response[0].meta) formats.
+   */
+  function getSparkPrice(entry) {
+    const meta = entry?.response?.[0]?.meta;
+    if (meta) {
+      return meta.regularMarketPrice || meta.previousClose;
+    }
+
+    const closes = (entry?.close || []).filter(close => close > 0);
+    return closes.length > 0 ? closes[closes.length - 1] : entry?.chartPreviousClose;
+  }
+
+  /**
+   * Read the daily closes (oldest first) from a Yahoo chart result or spark entry
+   */
+  function getCloses(result) {
+    const closes = result?.indicators?.quote?.[0]?.close ||
+      result?.response?.[0]?.indicators?.quote?.[0]?.close ||
+      result?.close ||
+      [];
+    return closes.filter(close => close > 0);
+  }
+
+  const yahooProvider = {
+    id: 'yahoo',
+    name: 'Yahoo Finance',
+
+    isEnabled() {
+      return true;
+    },
+
+    async fetchQuote(symbol, exchange) {
+      const result = await fetchYahooChart(toYahooSymbol(symbol, exchange), 'interval=1d&range=1mo');
+      const meta = result.meta;
+
+      // Get current price or previous close
+      return { price: meta.regularMarketPrice || meta.previousClose, closes: getCloses(result) };
+    },
+
+    async fetchQuotes(items) {
+      const symbolMap = {};
+      items.forEach(({ symbol, exchange }) => {
+        symbolMap[toYahooSymbol(symbol, exchange)] = `${symbol}-${exchange}`;
+      });
+
+      const apiUrl = 'https://query1.finance.yahoo.com/v8/finance/spark?range=1mo&interval=1d&symbols=' +
+        Object.keys(symbolMap).map(encodeURIComponent).join(',');
+      const data = await fetchJson(proxied(apiUrl));
+
+      const entries = data.spark?.result
+        ? data.spark.result.map(result => [result.symbol, result])
+        : Object.entries(data);
+
+      const quotes = {};
+      entries.forEach(([fullSymbol, entry]) => {
+        const price = getSparkPrice(entry);
+        if (symbolMap[fullSymbol] && price > 0) {
+          quotes[symbolMap[fullSymbol]] = { price, closes: getCloses(entry) };
+        }
+      });
+      return quotes;
+    },
+
+    async fetchDailyCloses(symbol, exchange, fromDate, toDate) {
+      const start = Date.parse(`${fromDate}T00:00:00Z`) / 1000;
+      const end = Date.parse(`${toDate}T00:00:00Z`) / 1000 + 2 * 86400;
+      const result = await fetchYahooChart(
+        toYahooSymbol(symbol, exchange),
+        `interval=1d&period1=${start}&period2=${end}`
+      );
+
+      const timestamps = result.timestamp || [];
+      const closes = result.indicators?.quote?.[0]?.close || [];
+
+      return timestamps.map((ts, i) => ({
+        date: Exchanges.toLocalDate(ts, exchange),
+        close: closes[i]
+      }));
+    },
+
+    async fetchCorporateActions(symbol, exchange, fromDate, toDate) {
+      const start = Date.parse(`${fromDate}T00:00:00Z`) / 1000;
+      const end = Date.parse(`${toDate}T00:00:00Z`) / 1000 + 2 * 86400;
+      const result = await fetchYahooChart(
+        toYahooSymbol(symbol, exchange),
+        `interval=1d&period1=${start}&period2=${end}&events=div,splits`
+      );
+
+      const splits = Object.values(result.events?.splits || {}).map(split => ({
+        type: 'split',
+        date: Exchanges.toLocalDate(split.date, exchange),
+        numerator: split.numerator,
+        denominator: split.denominator
+      }));
+      const dividends = Object.values(result.events?.dividends || {}).map(dividend => ({
+        type: 'dividend',
+        date: Exchanges.toLocalDate(dividend.date, exchange),
+        amount: dividend.amount
+      }));
+
+      return [...splits, ...dividends];
+    }
+  };
+
+  // ----------------------------------------
+  // Mock prices (config.js MOCK_PRICES)
+  // ----------------------------------------
+
+  /**
+   * Deterministic pseudo-random number in [-1, 1) from a string
+   * Keeps mock closes stable for the same symbol and date.
+   */
+  function seededVariation(seed) {
+    let hash = 0;
+    for (let i = 0; i < seed.length; i++) {
+      hash = (hash * 31 + seed.charCodeAt(i)) | 0;
+    }
+    return ((Math.abs(hash) % 2000) / 1000) - 1;
+  }
+
+  /**
+   * Mock daily closes for the 20 weekdays before today
+   */
+  function getMockCloses(symbol, base) {
+    const closes = [];
+    for (let t = Date.now() - 86400000; closes.length < 20; t -= 86400000) {
+      const day = new Date(t).getUTCDay();
+      if (day === 0 || day === 6) continue;
+
+      const date = new Date(t).toISOString().slice(0, 10);
+      closes.unshift(base * (1 + seededVariation(`${symbol}-${date}`) * APP_CONFIG.mockPriceVariation));
+    }
+    return closes;
+  }
+
+  /**
+   * Look up a mock base price
+   */
+  function getMockBase(symbol) {
+    const base = MOCK_PRICES[symbol];
+    if (!base) {
+      throw notFoundError('Invalid API response - stock may not exist');
+    }
+    return base;
+  }
+
+  const mockProvider = {
+    id: 'mock',
+    name: 'Mock prices',
+
+    isEnabled() {
+      return typeof MOCK_PRICES !== 'undefined';
+    },
+
+    async fetchQuote(symbol) {
+      await new Promise(resolve => setTimeout(resolve, APP_CONFIG.refreshDelay));
+      const base = getMockBase(symbol);
+      const variation = (Math.random() * 2 - 1) * APP_CONFIG.mockPriceVariation;
+      return { price: base * (1 + variation), closes: getMockCloses(symbol, base) };
+    },
+
+    async fetchQuotes(items) {
+      await new Promise(resolve => setTimeout(resolve, APP_CONFIG.refreshDelay));
+      const quotes = {};
+      items.forEach(({ symbol, exchange }) => {
+        if (!MOCK_PRICES[symbol]) return;
+        const variation = (Math.random() * 2 - 1) * APP_CONFIG.mockPriceVariation;
+        quotes[`${symbol}-${exchange}`] = {
+          price: MOCK_PRICES[symbol] * (1 + variation),
+          closes: getMockCloses(symbol, MOCK_PRICES[symbol])
+        };
+      });
+      return quotes;
+    },
+
+    async fetchDailyCloses(symbol, exchange, fromDate, toDate) {
+      await new Promise(resolve => setTimeout(resolve, APP_CONFIG.refreshDelay));
+      const base = getMockBase(symbol);
+      const closes = [];
+
+      // One close per weekday in the range
+      for (let t = Date.parse(`${fromDate}T00:00:00Z`); t <= Date.parse(`${toDate}T00:00:00Z`); t += 86400000) {
+        const day = new Date(t).getUTCDay();
+        if (day === 0 || day === 6) continue;
+
+        const date = new Date(t).toISOString().slice(0, 10);
+        const variation = seededVariation(`${symbol}-${date}`) * APP_CONFIG.mockPriceVariation;
+        closes.push({ date, close: base * (1 + variation) });
+      }
+      return closes;
+    },
+
+    async fetchCorporateActions(symbol) {
+      getMockBase(symbol);
+      return []; // Mock stocks never split or pay dividends
+    }
+  };
+
+  // ----------------------------------------
+  // Generic HTTP/JSON (APP_CONFIG.httpPriceProvider)
+  // ----------------------------------------
+
+  const httpProvider = {
+    id: 'http',
+
+    get name() {
+      return APP_CONFIG.httpPriceProvider?.name || 'HTTP provider';
+    },
+
+    isEnabled() {
+      return !!APP_CONFIG.httpPriceProvider?.quoteUrl;
+    },
+
+    async fetchQuote(symbol, exchange) {
+      const config = APP_CONFIG.httpPriceProvider;
+      let url = fillTemplate(config.quoteUrl, { symbol, exchange });
+      if (config.useProxy) url = proxied(url);
+
+      const data = await fetchJson(url, config.headers);
+      const price = Number(getPath(data, config.pricePath));
+      if (!price) {
+        throw notFoundError(`No price at "${config.pricePath}"`);
+      }
+      const closes = config.closesPath ? getPath(data, config.closesPath) : null;
+      return Array.isArray(closes) ? { price, closes: closes.map(Number).filter(close => close > 0) } : { price };
+    }
+  };
+
+  /**
+   * Register a provider (built-ins are registered automatically)
+   */
+  function register(provider) {
+    providers.set(provider.id, provider);
+    health.set(provider.id, {
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      lastError: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      cooldownUntil: 0
+    });
+  }
+
+  register(yahooProvider);
+  register(mockProvider);
+  register(httpProvider);
+
+  /**
+   * Get the configured failover chain, in order
+   * Providers in cooldown go to the back so they are only tried as a last resort.
+   * @param {string} capability - Required method name (e.g. 'fetchDailyCloses')
+   */
+  function getChain(capability = 'fetchQuote') {
+    const now = Date.now();
+    const chain = (APP_CONFIG.priceProviders || ['yahoo'])
+      .map(id => providers.get(id))
+      .filter(provider => provider && provider.isEnabled() && typeof provider[capability] === 'function');
+
+    const healthy = chain.filter(provider => health.get(provider.id).cooldownUntil <= now);
+    const coolingDown = chain.filter(provider => health.get(provider.id).cooldownUntil > now);
+    return [...healthy, ...coolingDown];
+  }
+
+  /**
+   * Record a successful call
+   */
+  function recordSuccess(id) {
+    const stats = health.get(id);
+    stats.successes++;
+    stats.consecutiveFailures = 0;
+    stats.cooldownUntil = 0;
+    stats.lastSuccessAt = Date.now();
+  }
+
+  /**
+   * Record a failed call, putting the provider in cooldown after repeated failures
+   */
+  function recordFailure(id, error) {
+    const stats = health.get(id);
+    stats.lastError = error.message;
+
+    // A missing symbol says nothing about the provider's health
+    if (error.notFound) return;
+
+    stats.failures++;
+    stats.consecutiveFailures++;
+    stats.lastFailureAt = Date.now();
+
+    if (stats.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+      stats.cooldownUntil = Date.now() + COOLDOWN_MS;
+      console.warn(`🩺 ${id} is failing, skipping it for ${COOLDOWN_MS / 1000}s`);
+    }
+  }
+
+  /**
+   * Call a provider method along the failover chain
+   * @param {string} method - Provider method name
+   * @param {Array} args - Method arguments
+   * @returns {Promise<Object>} { result, provider } from the first provider that succeeds
+   */
+  async function callWithFailover(method, args) {
+    const chain = getChain(method);
+    if (chain.length === 0) {
+      throw new Error(`No price provider supports ${method}`);
+    }
+
+    let firstError = null;
+    for (const provider of chain) {
+      try {
+        const result = await provider[method](...args);
+        recordSuccess(provider.id);
+        return { result, provider: provider.id };
+      } catch (error) {
+        recordFailure(provider.id, error);
+        console.warn(`⚠️ ${provider.name} failed:`, error.message);
+        firstError = firstError || error;
+      }
+    }
+
+    throw firstError;
+  }
+
+  /**
+   * Get health stats for every registered provider
+   */
+  function getHealth() {
+    const report = {};
+    providers.forEach((provider, id) => {
+      report[id] = {
+        name: provider.name,
+        enabled: provider.isEnabled(),
+        ...health.get(id),
+        healthy: health.get(id).cooldownUntil <= Date.now()
+      };
+    });
+    return report;
+  }
+
+  // Public API
+  return {
+    register,
+    getChain,
+    callWithFailover,
+    getHealth
+  };
+});
@@ -0,0 +1,93 @@
+/**
+ * Ranking
+ * Turns returns into leaderboard ranks, with explicit tie handling.
+ *
+ * Entries are compared on their strategy `score` (2 decimals; the displayed
+ * `change` with the simple strategy), on their `alpha` when APP_CONFIG.rankBy
+ * is 'alpha', or on their prediction `error` (lowest first) in prediction
+ * rounds, then on each tiebreaker in APP_CONFIG.rankingTiebreakers. Entries
+ * that are still level share a rank:
+ *   competition - 1, 1, 3 (default)
+ *   dense       - 1, 1, 2
+ * Entries without a valid current price (`valid: false`), or without the
+ * alpha or error they are ranked on, get rank 0 and are listed after everyone else.
+ * The ranking itself lives in the pure Scoring engine (js/scoring.js); this
+ * module applies APP_CONFIG and reads stored participants.
+ */
+
+const Ranking = (function() {
+
+  /**
+   * Scoring and ranking options, defaulting to APP_CONFIG
+   * @returns {Object} { strategy, mode, tiebreakers, rankBy } (see Scoring.score)
+   */
+  function getOptions(options = {}) {
+    return {
+      strategy: options.strategy || (APP_CONFIG.scoring && APP_CONFIG.scoring.strategy) || 'simple',
+      mode: options.mode || APP_CONFIG.rankingMode || 'competition',
+      tiebreakers: options.tiebreakers || APP_CONFIG.rankingTiebreakers || [],
+      rankBy: options.rankBy || APP_CONFIG.rankBy || 'change'
+    };
+  }
+
+  /**
+   * Rank entries (see Scoring.rank)
+   * @param {Array} entries - [{ change, score?, alpha?, error?, exactChange?, enteredAt? (ms), valid? }]
+   * @param {Object} options - { mode, tiebreakers, rankBy } (default: APP_CONFIG)
+   * @returns {Array} Copies with `rank` set, in leaderboard order
+   */
+  function rank(entries, options) {
+    return Scoring.rank(entries, getOptions(options));
+  }
+
+  /**
+   * Ranking fields of a stored participant or result
+   * Refreshes store the unrounded `exactChange` and the strategy `score`; both
+   * are null when the configured strategy could not score the entry (entries
+   * saved before `score` existed rank on `change`). Round results without a
+   * final price are stored with `valid: false`.
+   * @returns {Object} { id, name, change, score, alpha, error, exactChange, enteredAt, valid }
+   */
+  function fromParticipant(p) {
+    return {
+      id: p.id,
+      name: p.name,
+      change: p.change || 0,
+      score: typeof p.score === 'number' ? p.score : p.change || 0,
+      alpha: typeof p.alpha === 'number' ? p.alpha : null,
+      error: ChallengeMode.computeError(p),
+      exactChange: typeof p.exactChange === 'number' ? p.exactChange : Portfolio.computeEntryChange(p),
+      enteredAt: Scoring.toMillis(p.createdAt),
+      valid: p.valid !== false && p.exactChange !== null && p.score !== null && Portfolio.hasValidPrices(p)
+    };
+  }
+
+  /**
+   * Rank stored participants (or round results)
+   * @returns {Array} Copies with `rank` set, in leaderboard order
+   */
+  function rankParticipants(participants, options) {
+    const byId = new Map(participants.map(p => [p.id, p]));
+    return rank(participants.map(fromParticipant), options)
+      .map(entry => ({ ...byId.get(entry.id), rank: entry.rank }));
+  }
+
+  /**
+   * Winners of a round document (older rounds only stored a single `winner`)
+   */
+  function getRoundWinners(round) {
+    if (Array.isArray(round.winners)) return round.winners;
+    return round.winner ? [round.winner] : [];
+  }
+
+  // Public API
+  return {
+    getOptions,
+    rank,
+    fromParticipant,
+    rankParticipants,
+    getWinners: Scoring.getWinners,
+    getRoundWinners,
+    toMillis: Scoring.toMillis
+  };
+})();
@@ -0,0 +1,236 @@
+/**
+ * Round Manager
+ * Opens the current weekly round and closes finished ones with frozen results
+ */
+
+const RoundManager = (function() {
+
+  /**
+   * Describe the round that belongs to the current entry window
+   * Round IDs are the round's reference date (YYYY-MM-DD, IST).
+   * New rounds keep the challenge mode of the active league (see ChallengeMode).
+   */
+  function getCurrentRoundInfo(now = new Date()) {
+    const entryWindow = EntryWindow.getWindow(now);
+    return {
+      id: entryWindow.referenceDate,
+      referenceDate: entryWindow.referenceDate,
+      // Final prices are the close of the last trading day of the round
+      endDate: MarketCalendar.lastTradingDay(EntryWindow.toDateKey(entryWindow.nextOpensAt)),
+      entryClosesAt: entryWindow.closesAt,
+      endsAt: entryWindow.nextOpensAt,
+      mode: ChallengeMode.getActiveMode()
+    };
+  }
+
+  /**
+   * Final quote of a stock: the official close on the round's end date
+   * @returns {Promise<Object>} { price, provider, closes }, or { error } - the
+   *   stock then keeps its last refreshed price (see Scoring.scoreEntry)
+   */
+  async function fetchFinalQuote(symbol, exchange, endDate) {
+    try {
+      const close = await StockAPI.fetchHistoricalClose(symbol, exchange, endDate);
+      return { price: close.close, provider: close.provider, closes: close.closes };
+    } catch (error) {
+      console.warn(`⚠️ Using last price for ${symbol}:`, error.message);
+      return { error };
+    }
+  }
+
+  /**
+   * Final exchange rate of a currency: the rate on the round's end date
+   * @returns {Promise<number|null>} null if it could not be fetched (the last
+   *   refreshed rate is used instead)
+   */
+  async function fetchFinalRate(currency, endDate) {
+    try {
+      return await FxRates.fetchHistoricalRate(currency, endDate);
+    } catch (error) {
+      console.warn(`⚠️ Using last ${currency} rate:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Corporate-action adjustment up to the round's end date
+   * Falls back to the last adjustment a refresh stored.
+   */
+  function getFinalAdjustment(holding, actions, fallbackDate) {
+    const events = actions.get(`${holding.symbol.toUpperCase()}-${holding.exchange}`);
+    if (!events || events.error) return holding.adjustment || null;
+    return CorporateActions.adjust(events, holding.baselineDate || fallbackDate);
+  }
+
+  /**
+   * Frozen result of a participant from its final score
+   * Portfolio entries keep their holdings, each with its final price.
+   * @param {Object} scored - Ranked result of Scoring.score()
+   */
+  function toResult(p, scored, isPrediction) {
+    const holdings = scored.holdings.map(holding => ({
+      symbol: holding.symbol,
+      exchange: holding.exchange,
+      currency: holding.currency || Exchanges.getCurrency(holding.exchange),
+      weight: holding.weight,
+      basePrice: holding.basePrice,
+      baselineDate: holding.baselineDate || null,
+      cmp: holding.cmp || null, // No final price: the entry is left unranked
+      priceSource: holding.refreshed ? holding.quote.provider || null : holding.priceSource || null,
+      adjustment: holding.adjustment || null,
+      fxBase: holding.fx ? holding.fx.base : null,
+      fxRate: holding.fx ? holding.fx.rate : null,
+      change: holding.change
+    }));
+
+    const result = {
+      id: p.id,
+      ownerUid: p.ownerUid || null,
+      name: p.name,
+      symbol: p.symbol,
+      exchange: p.exchange,
+      currency: p.currency || Exchanges.getCurrency(p.exchange),
+      direction: Portfolio.getDirection(p),
+      baselineDate: p.baselineDate || null,
+      lastFridayPrice: p.lastFridayPrice || 0,
+      createdAt: p.createdAt || null, // Entry time, for the entryTime tiebreaker
+      editCount: p.editCount || 0,
+      ...(isPrediction ? { prediction: p.prediction || null } : {}),
+      change: scored.change,
+      exactChange: scored.exactChange,
+      score: scored.score,
+      alpha: scored.alpha,
+      valid: scored.valid,
+      rank: scored.rank
+    };
+
+    if (Portfolio.isPortfolio(p)) {
+      return { ...result, holdings, cmp: 0, priceSource: null };
+    }
+
+    const [holding] = holdings;
+    return {
+      ...result,
+      cmp: holding.cmp,
+      priceSource: holding.priceSource,
+      adjustment: holding.adjustment,
+      fxBase: holding.fxBase,
+      fxRate: holding.fxRate
+    };
+  }
+
+  /**
+   * Compute final prices and ranks for a finished round
+   * Scored and ranked like a refresh (Scoring.score), on the official closes
+   * of the round's end date. Admin price overrides stand in for the close.
+   * Prediction rounds are ranked on the error against the final close, without benchmarks.
+   * @param {Object} round - Round document
+   * @returns {Promise<Object>} { results (ranked, with alpha), benchmarks (final index returns) }
+   */
+  async function computeFinalResults(round) {
+    const participants = await FirebaseService.getAllParticipants(round.id);
+    const holdings = participants.flatMap(p => Portfolio.getHoldings(p));
+    const actions = await StockAPI.fetchCorporateActions(holdings, round.referenceDate || round.id, round.endDate);
+    const isPrediction = ChallengeMode.isPrediction(round);
+    const benchmarks = isPrediction ? [] : await Benchmarks.fetchReturns(round.referenceDate || round.id, round.endDate);
+
+    const stocks = new Map(holdings.map(holding => [`${holding.symbol.toUpperCase()}-${holding.exchange}`, holding]));
+    const quotes = new Map(await Promise.all([...stocks].map(async ([key, holding]) =>
+      [key, await fetchFinalQuote(holding.symbol, holding.exchange, round.endDate)])));
+
+    const currencies = [...new Set(holdings.filter(holding => holding.fxBase).map(holding => holding.currency))];
+    const rates = new Map(await Promise.all(currencies.map(async (currency) =>
+      [currency, await fetchFinalRate(currency, round.endDate)])));
+
+    const entries = participants.map(p => Scoring.toEntry(p, holding => ({
+      ...holding,
+      adjustment: getFinalAdjustment(holding, actions, round.id),
+      fxRate: rates.get(holding.currency) || holding.fxRate
+    })));
+    const { results } = Scoring.score(entries, quotes, {
+      ...Ranking.getOptions({ rankBy: ChallengeMode.getRankBy(round) }),
+      benchmarks
+    });
+
+    const byId = new Map(participants.map(p => [p.id, p]));
+    return { results: results.map(scored => toResult(byId.get(scored.id), scored, isPrediction)), benchmarks };
+  }
+
+  /**
+   * Freeze results and winners of a finished round
+   * Holds the refresh lease for the round while closing it, like a price refresh.
+   * @returns {Promise<boolean>} True if this call closed the round
+   */
+  async function closeRound(round) {
+    const lease = await FirebaseService.acquireRefreshLease(round.id);
+    if (!lease) {
+      console.log(`⏳ Round ${round.id} is busy, closing it later`);
+      return false;
+    }
+
+    try {
+      console.log(`🏁 Closing round ${round.id}...`);
+      const { results, benchmarks } = await computeFinalResults(round);
+      await FirebaseService.renewRefreshLease(lease);
+      return await FirebaseService.closeRound(round.id, results, Ranking.getWinners(results), benchmarks);
+    } finally {
+      FirebaseService.releaseRefreshLease(lease).catch(() => {}); // Expires on its own anyway
+    }
+  }
+
+  /**
+   * Close every open round older than the current one
+   */
+  async function closeFinishedRounds(currentRoundId) {
+    const openRounds = await FirebaseService.getOpenRounds();
+    const finished = openRounds.filter(round => round.id < currentRoundId);
+
+    for (const round of finished) {
+      try {
+        await closeRound(round);
+      } catch (error) {
+        // Another client can retry later; don't block the current round
+        console.error(`Error closing round ${round.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Open (or join) the current round and scope FirebaseService to it
+   * Offline, the cached round is used and rounds are opened/closed once we're back.
+   * @returns {Promise<Object>} Current round document
+   */
+  async function openCurrentRound() {
+    const info = getCurrentRoundInfo();
+    const { id, ...roundData } = info;
+
+    if (!navigator.onLine) {
+      FirebaseService.setRound(id);
+      const cached = await FirebaseService.getRound(id).catch(() => null);
+      console.log('📴 Offline: using cached round', id);
+      return cached || { ...info, status: 'open' };
+    }
+
+    const round = await FirebaseService.ensureRound(id, roundData);
+    FirebaseService.setRound(id);
+
+    await closeFinishedRounds(id);
+    return round;
+  }
+
+  /**
+   * Check whether the current round has ended and a new one should open
+   */
+  function hasRoundChanged(currentRoundId, now = new Date()) {
+    return getCurrentRoundInfo(now).id !== currentRoundId;
+  }
+
+  // Public API
+  return {
+    getCurrentRoundInfo,
+    computeFinalResults,
+    openCurrentRound,
+    closeRound,
+    hasRoundChanged
+  };
+})();
@@ -0,0 +1,547 @@
+/**
+ * Scoring
+ * Pure scoring engine: participants + quotes -> returns, ranks and winners.
+ * No DOM, Firebase or APP_CONFIG access, so it runs in the browser (global
+ * `Scoring`) and in Node (require('./js/scoring.js')) and is covered by
+ * test/scoring.test.js. functions/refresh-job.js uses this same file, so
+ * client refreshes, round closes and the scheduled job score identically.
+ *
+ * Every entry's `change` is its simple % return, (price - base) / base, which
+ * is what the leaderboard shows and what alpha compares with the index.
+ * Entries are ranked on their `score`, which a strategy computes per stock:
+ *   simple             - the simple return itself (score == change)
+ *   log                - ln(price / base), adds up across periods
+ *   volatilityAdjusted - simple return divided by the stock's daily volatility
+ *                        (quote.volatility in %, or computed from quote.closes)
+ * Every strategy sees the corporate-action adjustment and exchange rates of
+ * the holding, so splits, dividends and currency moves count the same way.
+ * APP_CONFIG.scoring.strategy picks the strategy (see Ranking.getOptions).
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Scoring = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  const MODES = ['competition', 'dense'];
+  // Ranking metrics: true when higher values rank first ('change' ranks on the strategy score)
+  const RANK_BY = { change: true, alpha: true, error: false };
+
+  // Comparators: negative when `a` should be ranked ahead of `b`
+  const TIEBREAKERS = {
+    // Unrounded return, higher first
+    exactReturn: (a, b) => valueOr(b.exactChange, b.change) - valueOr(a.exactChange, a.change),
+    // Earlier entry first; entries without a time lose the tiebreak
+    entryTime: (a, b) => valueOr(a.enteredAt, Infinity) - valueOr(b.enteredAt, Infinity)
+  };
+
+  function valueOr(value, fallback) {
+    return value === undefined || value === null ? fallback : value;
+  }
+
+  function round2(value) {
+    return +value.toFixed(2);
+  }
+
+  /**
+   * Milliseconds of a Firestore Timestamp, Date or number (null if missing)
+   */
+  function toMillis(time) {
+    if (!time) return null;
+    if (typeof time.toMillis === 'function') return time.toMillis();
+    if (time instanceof Date) return time.getTime();
+    return typeof time === 'number' ? time : null;
+  }
+
+  /**
+   * Exchange rates for computeReturn, or null when the price isn't converted
+   * @param {number} fxBase - Rate at the baseline
+   * @param {number} fxRate - Latest rate
+   */
+  function toFx(fxBase, fxRate) {
+    return fxBase > 0 && fxRate > 0 ? { base: fxBase, rate: fxRate } : null;
+  }
+
+  /**
+   * Total return in % from a base price (unrounded)
+   * A corporate-action adjustment ({ splitFactor, dividends }) split-adjusts the
+   * base and adds dividends back; exchange rates ({ base, rate }) turn the
+   * return into the base currency.
+   * @returns {number|null} null without a base price above 0
+   */
+  function computeReturn(basePrice, price, { adjustment = null, fx = null } = {}) {
+    if (!(basePrice > 0)) return null;
+
+    let change;
+    if (!adjustment) {
+      change = ((price - basePrice) / basePrice) * 100;
+    } else {
+      const adjustedBase = basePrice / adjustment.splitFactor;
+      change = ((price + adjustment.dividends - adjustedBase) / adjustedBase) * 100;
+    }
+
+    if (!fx) return change;
+    return ((1 + change / 100) * (fx.rate / fx.base) - 1) * 100;
+  }
+
+  /**
+   * Daily volatility in %: sample standard deviation of day-to-day returns
+   * @param {Array} closes - Daily closes, oldest first
+   * @returns {number|null} null with fewer than two returns
+   */
+  function volatility(closes) {
+    const valid = (closes || []).filter(close => close > 0);
+    const returns = valid.slice(1).map((close, i) => ((close - valid[i]) / valid[i]) * 100);
+    if (returns.length < 2) return null;
+
+    const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+    const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+    return Math.sqrt(variance);
+  }
+
+  // Strategies: ({ basePrice, price, adjustment, fx, quote }) -> score, or null if it can't be scored
+  const STRATEGIES = {
+    simple: ({ basePrice, price, adjustment, fx }) => computeReturn(basePrice, price, { adjustment, fx }),
+
+    log: (context) => {
+      const change = STRATEGIES.simple(context);
+      return change === null || change <= -100 ? null : Math.log(1 + change / 100) * 100;
+    },
+
+    volatilityAdjusted: (context) => {
+      const change = STRATEGIES.simple(context);
+      const quote = context.quote || {};
+      const vol = typeof quote.volatility === 'number' ? quote.volatility : volatility(quote.closes);
+      return change === null || !(vol > 0) ? null : change / vol;
+    }
+  };
+
+  /**
+   * Add a scoring strategy (or replace one)
+   * @param {Function} strategy - ({ basePrice, price, adjustment, fx, quote }) -> number|null
+   */
+  function registerStrategy(name, strategy) {
+    if (typeof strategy !== 'function') {
+      throw new Error(`Scoring strategy "${name}" must be a function`);
+    }
+    STRATEGIES[name] = strategy;
+  }
+
+  function getStrategy(name = 'simple') {
+    const strategy = STRATEGIES[name];
+    if (!strategy) {
+      throw new Error(`Unknown scoring strategy "${name}"`);
+    }
+    return strategy;
+  }
+
+  function isPortfolio(participant) {
+    return Array.isArray(participant.holdings) && participant.holdings.length > 0;
+  }
+
+  /**
+   * A stored participant's holdings with their last prices
+   * Portfolio entries keep their picks in `holdings` and refreshed prices in
+   * `holdingPrices` ("SYMBOL-EXCHANGE" -> { cmp, change, priceSource, adjustment, fxRate });
+   * single-stock entries are one holding with 100% weight. Holdings without a
+   * price (cmp 0) make the entry invalid everywhere it is scored.
+   * @returns {Array} [{ symbol, exchange, currency, weight, basePrice, baselineDate, cmp, change,
+   *   priceSource, adjustment, fxBase, fxRate }] (change is the stock's own move)
+   */
+  function getHoldings(participant) {
+    if (!isPortfolio(participant)) {
+      const sign = participant.direction === 'short' ? -1 : 1;
+      return [{
+        symbol: participant.symbol,
+        exchange: participant.exchange,
+        currency: participant.currency || null,
+        weight: 100,
+        basePrice: participant.lastFridayPrice || 0,
+        baselineDate: participant.baselineDate || null,
+        cmp: participant.cmp || 0,
+        change: sign * (participant.change || 0),
+        priceSource: participant.priceSource || null,
+        adjustment: participant.adjustment || null,
+        fxBase: participant.fxBase || null,
+        fxRate: participant.fxRate || null
+      }];
+    }
+
+    const prices = participant.holdingPrices || {};
+    return participant.holdings.map(holding => {
+      const latest = prices[`${holding.symbol}-${holding.exchange}`] || {};
+      // A stock that was never priced has no cmp, which leaves the entry unranked
+      const cmp = latest.cmp !== undefined ? latest.cmp : (holding.cmp || 0);
+      const adjustment = latest.adjustment !== undefined ? latest.adjustment : (holding.adjustment || null);
+      const fxRate = latest.fxRate !== undefined ? latest.fxRate : (holding.fxRate || null);
+      const change = latest.change !== undefined
+        ? latest.change
+        : valueOr(computeReturn(holding.basePrice, cmp, { adjustment, fx: toFx(holding.fxBase, fxRate) }), 0);
+
+      return {
+        ...holding,
+        currency: holding.currency || null,
+        fxBase: holding.fxBase || null,
+        fxRate,
+        cmp,
+        change,
+        priceSource: latest.priceSource || holding.priceSource || null,
+        adjustment
+      };
+    });
+  }
+
+  /**
+   * Scoring input of a stored participant (see scoreEntry)
+   * An admin price override (priceOverride.cmp) stands in for the quote.
+   * @param {Function} [refresh] - holding -> holding with a newer `adjustment` or
+   *   `fxRate` than the stored one (corporate actions and exchange rates)
+   */
+  function toEntry(participant, refresh = holding => holding) {
+    const override = !isPortfolio(participant) && participant.priceOverride
+      ? participant.priceOverride.cmp
+      : undefined;
+
+    return {
+      id: participant.id,
+      name: participant.name,
+      direction: participant.direction === 'short' ? 'short' : 'long',
+      enteredAt: toMillis(participant.createdAt),
+      prediction: participant.prediction || null,
+      holdings: getHoldings(participant).map(refresh).map(holding => ({
+        ...holding,
+        fx: toFx(holding.fxBase, holding.fxRate),
+        ...(override > 0 ? { override } : {})
+      }))
+    };
+  }
+
+  /**
+   * Look up a stock's quote: a price, { price, ... } or { error }
+   * @param {Map|Object} quotes - "SYMBOL-EXCHANGE" -> quote
+   * @returns {Object|null} Quote with a price above 0, or null
+   */
+  function findQuote(quotes, key) {
+    const quote = quotes instanceof Map ? quotes.get(key) : (quotes || {})[key];
+    const normalized = typeof quote === 'number' ? { price: quote } : quote;
+    return normalized && !normalized.error && normalized.price > 0 ? normalized : null;
+  }
+
+  /**
+   * Score one entry
+   * Quotes are keyed by "SYMBOL-EXCHANGE" with the symbol in upper case. Holdings
+   * without a quote keep their previous price (`cmp`) and don't count as
+   * refreshed. An entry is valid when every holding has a base price, a price
+   * and a score.
+   * @param {Object} entry - { id, name, direction?, enteredAt?, holdings: [{ symbol, exchange, weight,
+   *   basePrice, cmp?, adjustment?, fx?, override? }] } (see toEntry)
+   * @param {Map|Object} quotes - "SYMBOL-EXCHANGE" -> quote
+   * @param {string} strategy - Strategy name (default 'simple')
+   * @returns {Object} { id, name, direction, enteredAt, holdings: [{ ...holding, key, cmp, quote, refreshed,
+   *   change, exactChange, score }], change (simple % return, 2 decimals, in the entry's direction),
+   *   exactChange, score (strategy score, 2 decimals, in the entry's direction), refreshed (count), valid }
+   */
+  function scoreEntry(entry, quotes, strategy = 'simple') {
+    const scoreHolding = getStrategy(strategy);
+    const sign = entry.direction === 'short' ? -1 : 1;
+    let valid = entry.holdings.length > 0;
+    let change = 0;
+    let exactChange = 0;
+    let entryScore = 0;
+
+    const holdings = entry.holdings.map(holding => {
+      const key = `${holding.symbol.toUpperCase()}-${holding.exchange}`;
+      const fetched = findQuote(quotes, key);
+      // An admin override replaces the price but keeps the quote's closes
+      const quote = holding.override > 0 ? { ...fetched, price: holding.override, provider: 'manual' } : fetched;
+      const cmp = quote ? quote.price : (holding.cmp > 0 ? holding.cmp : null);
+      const context = {
+        basePrice: holding.basePrice,
+        price: cmp,
+        adjustment: holding.adjustment || null,
+        fx: holding.fx || null,
+        quote: quote || {}
+      };
+      const exact = cmp === null ? null : STRATEGIES.simple(context);
+      const holdingScore = exact === null ? null : scoreHolding(context);
+
+      if (exact === null || !isFinite(exact) || holdingScore === null || !isFinite(holdingScore)) {
+        valid = false;
+        return { ...holding, key, cmp, quote, refreshed: !!quote, change: 0, exactChange: null, score: null };
+      }
+
+      // Each holding's displayed change (and score) is rounded, like the stored holding prices
+      const weight = holding.weight / 100;
+      change += weight * round2(exact);
+      exactChange += weight * exact;
+      entryScore += weight * round2(holdingScore);
+      return {
+        ...holding, key, cmp, quote, refreshed: !!quote,
+        change: round2(exact), exactChange: exact, score: round2(holdingScore)
+      };
+    });
+
+    return {
+      id: entry.id,
+      name: entry.name,
+      direction: sign < 0 ? 'short' : 'long',
+      enteredAt: valueOr(entry.enteredAt, null),
+      holdings,
+      change: valid ? round2(sign * change) : 0,
+      exactChange: valid ? sign * exactChange : null,
+      score: valid ? round2(sign * entryScore) : null,
+      refreshed: holdings.filter(holding => holding.refreshed).length,
+      valid
+    };
+  }
+
+  /**
+   * Index return an entry is measured against: the index of each holding's
+   * exchange, weighted like the holdings and in the entry's direction
+   * @param {Object} entry - { direction?, holdings: [{ exchange, weight }] }
+   * @param {Array} benchmarks - [{ exchange, change }]
+   * @returns {number|null} null if an index return is missing
+   */
+  function benchmarkReturn(entry, benchmarks) {
+    let total = 0;
+    for (const holding of entry.holdings) {
+      const benchmark = (benchmarks || []).find(b => b.exchange === holding.exchange);
+      if (!benchmark || typeof benchmark.change !== 'number') return null;
+      total += (holding.weight / 100) * benchmark.change;
+    }
+    return entry.direction === 'short' ? -total : total;
+  }
+
+  /**
+   * Alpha of an entry: its change minus its benchmark return, 2 decimals
+   * @param {Object} entry - { change, direction?, holdings: [{ exchange, weight }] }
+   * @returns {number|null} null if the benchmark is unavailable
+   */
+  function computeAlpha(entry, benchmarks) {
+    const benchmark = benchmarkReturn(entry, benchmarks);
+    return benchmark === null ? null : round2((entry.change || 0) - benchmark);
+  }
+
+  /**
+   * Absolute percentage error of a predicted close, 2 decimals
+   * Splits and bonuses scale the prediction like the baseline.
+   * @param {Object} entry - { prediction, cmp, adjustment? }
+   * @returns {number|null} null without a prediction or a price
+   */
+  function computeError({ prediction, cmp, adjustment = null }) {
+    if (!(prediction > 0) || !(cmp > 0)) return null;
+    const target = prediction / (adjustment ? adjustment.splitFactor : 1);
+    return round2(Math.abs(target - cmp) / cmp * 100);
+  }
+
+  /**
+   * Prediction error of a single-stock entry at a price (null for portfolios)
+   */
+  function entryError(entry, cmp) {
+    if (entry.holdings.length !== 1) return null;
+    return computeError({ prediction: entry.prediction, cmp, adjustment: entry.holdings[0].adjustment });
+  }
+
+  /**
+   * Resolve and validate ranking options
+   */
+  function getRankOptions({ mode = 'competition', tiebreakers = [], rankBy = 'change' } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown ranking mode "${mode}"`);
+    }
+    if (!(rankBy in RANK_BY)) {
+      throw new Error(`Unknown ranking metric "${rankBy}"`);
+    }
+    const unknown = tiebreakers.find(name => !TIEBREAKERS[name]);
+    if (unknown) {
+      throw new Error(`Unknown ranking tiebreaker "${unknown}"`);
+    }
+    return { mode, tiebreakers, rankBy };
+  }
+
+  /**
+   * Value an entry is ranked on: its score (change if it has none), alpha or error
+   */
+  function rankValue(entry, rankBy) {
+    const value = rankBy === 'change' ? valueOr(entry.score, entry.change) : entry[rankBy];
+    return value || 0;
+  }
+
+  /**
+   * Compare two entries on score (alpha, error) and tiebreakers (0 = tied)
+   */
+  function compare(a, b, tiebreakers, rankBy = 'change') {
+    const diff = RANK_BY[rankBy]
+      ? rankValue(b, rankBy) - rankValue(a, rankBy)
+      : rankValue(a, rankBy) - rankValue(b, rankBy);
+    if (diff !== 0) return diff;
+
+    for (const name of tiebreakers) {
+      const result = TIEBREAKERS[name](a, b);
+      if (result !== 0 && !Number.isNaN(result)) return result;
+    }
+    return 0;
+  }
+
+  /**
+   * Rank entries; tied entries share a rank ('competition' 1, 1, 3 or 'dense' 1, 1, 2)
+   * Entries that are not valid, or lack the alpha or error they are ranked on,
+   * get rank 0 and are listed last.
+   * @param {Array} entries - [{ change, score?, alpha?, error?, exactChange?, enteredAt? (ms), valid? }]
+   * @param {Object} options - { mode, tiebreakers, rankBy }
+   * @returns {Array} Copies with `rank` set, in leaderboard order
+   */
+  function rank(entries, options) {
+    const { mode, tiebreakers, rankBy } = getRankOptions(options);
+    const isRankable = entry => entry.valid !== false && (rankBy === 'change' || typeof entry[rankBy] === 'number');
+
+    // Tied entries are listed by name so the order doesn't jump between refreshes
+    const ranked = entries
+      .filter(isRankable)
+      .sort((a, b) => compare(a, b, tiebreakers, rankBy) || String(a.name || '').localeCompare(String(b.name || '')));
+
+    let current = 0;
+    const results = ranked.map((entry, index) => {
+      if (index === 0 || compare(ranked[index - 1], entry, tiebreakers, rankBy) !== 0) {
+        current = mode === 'dense' ? current + 1 : index + 1;
+      }
+      return { ...entry, rank: current };
+    });
+
+    const unranked = entries
+      .filter(entry => !isRankable(entry))
+      .map(entry => ({ ...entry, rank: 0 }));
+
+    return [...results, ...unranked];
+  }
+
+  /**
+   * Everyone sharing first place
+   */
+  function getWinners(results) {
+    return results.filter(result => result.rank === 1);
+  }
+
+  /**
+   * Score, rank and find the winners of a set of entries
+   * @param {Array} entries - See scoreEntry()
+   * @param {Map|Object} quotes - "SYMBOL-EXCHANGE" -> quote
+   * @param {Object} options - { strategy, mode, tiebreakers, rankBy, benchmarks (index returns for alpha) }
+   * @returns {Object} { results (ranked, see scoreEntry, with alpha and error), winners }
+   */
+  function score(entries, quotes, options = {}) {
+    const scored = entries.map(entry => {
+      const result = scoreEntry(entry, quotes, options.strategy);
+      return {
+        ...result,
+        alpha: result.valid ? computeAlpha(result, options.benchmarks) : null,
+        error: result.valid ? entryError(entry, result.holdings[0].cmp) : null
+      };
+    });
+    const results = rank(scored, options);
+    return { results, winners: getWinners(results) };
+  }
+
+  /**
+   * Participant update of a price refresh from its score
+   * A single-stock entry without a new price keeps its previous price and
+   * change; portfolio holdings without one keep their previous price.
+   */
+  function toUpdate(participant, scored) {
+    const base = { id: participant.id, name: participant.name, enteredAt: scored.enteredAt };
+
+    if (!isPortfolio(participant)) {
+      const [holding] = scored.holdings;
+      if (!holding.refreshed) {
+        return { ...base, cmp: participant.cmp || 0, change: participant.change || 0, success: false, valid: false };
+      }
+      return {
+        ...base,
+        cmp: holding.cmp,
+        change: scored.change,
+        exactChange: scored.exactChange,
+        score: scored.score,
+        priceSource: holding.quote.provider || null,
+        adjustment: holding.adjustment || null,
+        ...(holding.fx ? { fxRate: holding.fx.rate } : {}),
+        success: true,
+        valid: scored.valid
+      };
+    }
+
+    const holdingPrices = {};
+    scored.holdings.forEach(holding => {
+      holdingPrices[`${holding.symbol}-${holding.exchange}`] = {
+        cmp: holding.cmp || 0,
+        change: holding.change,
+        priceSource: holding.refreshed ? holding.quote.provider || null : holding.priceSource || null,
+        adjustment: holding.adjustment || null,
+        fxRate: holding.fx ? holding.fx.rate : holding.fxRate || null
+      };
+    });
+
+    const success = scored.refreshed > 0;
+    return {
+      ...base,
+      cmp: 0,
+      change: scored.change,
+      exactChange: scored.exactChange,
+      score: scored.score,
+      holdingPrices,
+      success,
+      valid: success && scored.valid
+    };
+  }
+
+  /**
+   * Price refresh of stored participants: score them on fresh quotes and rank
+   * Entries are ranked when every holding has a price and at least one of
+   * them was refreshed; the rest keep rank 0.
+   * @param {Array} participants - Stored participants (see getHoldings)
+   * @param {Map|Object} quotes - "SYMBOL-EXCHANGE" -> quote
+   * @param {Object} options - { strategy, mode, tiebreakers, rankBy, benchmarks,
+   *   refresh (latest adjustment and fxRate of a holding, see toEntry) }
+   * @returns {Object} { updates: [{ id, cmp, change, exactChange?, score?, priceSource?, adjustment?, fxRate?,
+   *   holdingPrices?, alpha, error, rank, success }] in leaderboard order, successCount }
+   */
+  function scoreParticipants(participants, quotes, options = {}) {
+    const updates = participants.map(participant => {
+      const entry = toEntry(participant, options.refresh);
+      const scored = scoreEntry(entry, quotes, options.strategy);
+      const update = toUpdate(participant, scored);
+      return {
+        ...update,
+        alpha: computeAlpha({ ...scored, change: update.change }, options.benchmarks),
+        error: entryError(entry, update.cmp)
+      };
+    });
+
+    return {
+      updates: rank(updates, options),
+      successCount: updates.filter(update => update.success).length
+    };
+  }
+
+  // Public API
+  return {
+    MODES,
+    STRATEGIES,
+    computeReturn,
+    volatility,
+    registerStrategy,
+    toMillis,
+    toFx,
+    getHoldings,
+    toEntry,
+    scoreEntry,
+    benchmarkReturn,
+    computeAlpha,
+    computeError,
+    rank,
+    getWinners,
+    score,
+    scoreParticipants
+  };
+});
@@ -0,0 +1,141 @@
+/**
+ * Season
+ * Season standings built from the frozen results of closed rounds
+ *
+ * A season is a calendar year of rounds (round IDs start with the year).
+ * Each weekly finish earns points from APP_CONFIG.seasonPoints. Results are
+ * grouped by player: a player is the owner UID of an entry, after following
+ * device links (players/{uid}.mergedInto), so entries made from several
+ * devices add up. Old results without an owner fall back to the player's name.
+ */
+
+const Season = (function() {
+
+  /**
+   * Season a round belongs to, e.g. "2026"
+   */
+  function getSeasonId(roundId) {
+    return roundId.slice(0, 4);
+  }
+
+  /**
+   * Seasons that have rounds, newest first
+   */
+  function getSeasons(rounds) {
+    return [...new Set(rounds.map(round => getSeasonId(round.id)))].sort().reverse();
+  }
+
+  /**
+   * Points for a weekly finish
+   */
+  function pointsFor(rank, scheme) {
+    return rank >= 1 && rank <= scheme.length ? scheme[rank - 1] : 0;
+  }
+
+  /**
+   * Follow device links to the player's main UID
+   * @param {string} uid - Owner UID of an entry
+   * @param {Object} aliases - UID -> UID it was merged into
+   */
+  function resolvePlayer(uid, aliases) {
+    const seen = new Set();
+    let current = uid;
+    while (aliases[current] && !seen.has(current)) {
+      seen.add(current);
+      current = aliases[current];
+    }
+    return current;
+  }
+
+  /**
+   * Identity a result counts towards
+   */
+  function playerKey(result, aliases) {
+    return result.ownerUid
+      ? resolvePlayer(result.ownerUid, aliases)
+      : `name:${(result.name || '').trim().toLowerCase()}`;
+  }
+
+  /**
+   * Compute season standings
+   * Streaks count consecutive closed rounds finished in the points.
+   * @param {Array} rounds - Rounds of one season (closed rounds are scored)
+   * @param {Object} aliases - UID -> UID it was merged into
+   * @param {Array} scheme - Points for 1st, 2nd, 3rd...
+   * @returns {Array} [{ id, name, position, points, rounds, wins, podiums, avgReturn, currentStreak, bestStreak }]
+   */
+  function computeStandings(rounds, aliases = {}, scheme = APP_CONFIG.seasonPoints) {
+    const closed = rounds
+      .filter(round => round.status === 'closed' && Array.isArray(round.results))
+      .sort((a, b) => a.id.localeCompare(b.id));
+    const players = new Map();
+
+    closed.forEach((round, roundIndex) => {
+      const seen = new Set();
+      // Unranked results (rank 0, no valid final price) come last
+      const results = round.results.slice().sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity));
+
+      results.forEach(result => {
+        const id = playerKey(result, aliases);
+        // A player with linked entries in the same round keeps the best one
+        if (seen.has(id)) return;
+        seen.add(id);
+
+        if (!players.has(id)) {
+          players.set(id, {
+            id,
+            name: result.name,
+            points: 0,
+            rounds: 0,
+            wins: 0,
+            podiums: 0,
+            totalReturn: 0,
+            streak: 0,
+            bestStreak: 0,
+            lastScoredIndex: -1
+          });
+        }
+
+        const player = players.get(id);
+        const points = pointsFor(result.rank, scheme);
+
+        player.name = result.name; // Latest name wins
+        player.points += points;
+        player.rounds++;
+        player.totalReturn += result.change || 0;
+        if (result.rank === 1) player.wins++;
+        if (result.rank >= 1 && result.rank <= 3) player.podiums++;
+
+        if (points > 0) {
+          player.streak = player.lastScoredIndex === roundIndex - 1 ? player.streak + 1 : 1;
+          player.bestStreak = Math.max(player.bestStreak, player.streak);
+          player.lastScoredIndex = roundIndex;
+        }
+      });
+    });
+
+    const standings = Array.from(players.values()).map(player => ({
+      id: player.id,
+      name: player.name,
+      points: player.points,
+      rounds: player.rounds,
+      wins: player.wins,
+      podiums: player.podiums,
+      avgReturn: +(player.totalReturn / player.rounds).toFixed(2),
+      currentStreak: player.lastScoredIndex === closed.length - 1 ? player.streak : 0,
+      bestStreak: player.bestStreak
+    }));
+
+    standings.sort((a, b) => b.points - a.points || b.wins - a.wins || b.avgReturn - a.avgReturn);
+    return standings.map((player, index) => ({ ...player, position: index + 1 }));
+  }
+
+  // Public API
+  return {
+    getSeasonId,
+    getSeasons,
+    pointsFor,
+    resolvePlayer,
+    computeStandings
+  };
+})();
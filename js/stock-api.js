@@ -1,127 +1,371 @@
 /**
- * Stock API Service - Real Price Fetching with CORS Proxy
- * No search autocomplete - users type symbols manually
+ * Stock API Service - Real Price Fetching
+ * Quotes come from PriceProviders (Yahoo, HTTP/JSON, mock) with failover
+ * Runs in the browser (global `StockAPI`) and in Node (functions/refresh-job.js).
  */
 
-const StockAPI = (function() {
-  
-  // CORS proxy to bypass CORS restrictions
-  const CORS_PROXY = 'https://api.allorigins.win/raw?url=';
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config.js').APP_CONFIG, require('./price-providers.js'), require('./exchanges.js'));
+  } else {
+    root.StockAPI = factory(APP_CONFIG, PriceProviders, Exchanges);
+  }
+})(typeof self !== 'undefined' ? self : this, function(APP_CONFIG, PriceProviders, Exchanges) {
   
   // Cache for prices (avoid repeated API calls)
   const priceCache = new Map();
   const CACHE_DURATION = 60000; // 1 minute
+
+  // Historical closes never change, so they are cached for the session
+  const closeCache = new Map();
+  // A month back: covers long exchange holiday stretches and gives the
+  // volatilityAdjusted strategy the same closes as a live quote
+  const HISTORY_LOOKBACK_DAYS = 31;
+
+  // Splits and dividends are announced well ahead of the ex-date
+  const actionsCache = new Map();
+  const ACTIONS_CACHE_DURATION = 60 * 60000; // 1 hour
+
+  /**
+   * Round a price to the exchange's precision (2 decimals, 4 for currency pairs)
+   */
+  function roundPrice(price, exchange) {
+    return parseFloat(price.toFixed(Exchanges.getDecimals(exchange)));
+  }
   
   /**
-   * Get cached price if available
+   * Get cached quote if available
    */
-  function getCachedPrice(symbol, exchange) {
+  function getCachedQuote(symbol, exchange) {
     const key = `${symbol}-${exchange}`;
     const cached = priceCache.get(key);
     
     if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-      console.log(`💾 Using cached price for ${symbol}: ₹${cached.price}`);
-      return cached.price;
+      console.log(`💾 Using cached price for ${symbol}: ${cached.quote.price}`);
+      return cached.quote;
     }
     return null;
   }
   
   /**
-   * Cache a price
+   * Cache a quote
    */
-  function cachePrice(symbol, exchange, price) {
+  function cacheQuote(symbol, exchange, quote) {
     const key = `${symbol}-${exchange}`;
     priceCache.set(key, {
-      price: price,
+      quote: quote,
       timestamp: Date.now()
     });
   }
-  
+
+  /**
+   * Turn a low-level fetch error into a user-friendly message
+   */
+  function toFriendlyError(error, symbol, exchange) {
+    let errorMsg = `Could not fetch price for ${symbol} on ${exchange}. `;
+
+    if (error.name === 'AbortError') {
+      errorMsg += 'Request timed out. Please try again.';
+    } else if (error.message.includes('404')) {
+      errorMsg += 'Stock not found. Please verify the symbol is correct.';
+    } else if (error.message.includes('Invalid API response')) {
+      errorMsg += 'Stock not found or invalid symbol. Please check: 1) Symbol spelling (e.g., RELIANCE not RELIACE), 2) Stock is listed on ' + exchange;
+    } else if (error.message.includes('No close')) {
+      errorMsg += error.message;
+    } else {
+      errorMsg += 'Please check: 1) Symbol is correct (e.g., RELIANCE, TCS, INFY), 2) Stock is listed on ' + exchange + ', 3) Your internet connection';
+    }
+
+    return new Error(errorMsg);
+  }
+
   /**
-   * Fetch REAL stock price from Yahoo Finance via CORS proxy
+   * Fetch the current quote through the provider failover chain
    * Accepts symbols in any case (converts to uppercase)
+   * @returns {Promise<Object>} { price, provider, closes? } - provider is the ID that supplied the price,
+   *   closes the last month's daily closes when the provider has them
    */
-  async function fetchStockPrice(symbol, exchange) {
+  async function fetchQuote(symbol, exchange) {
     // Normalize symbol to uppercase
     symbol = symbol.toUpperCase().trim();
     
     // Check cache first
-    const cached = getCachedPrice(symbol, exchange);
+    const cached = getCachedQuote(symbol, exchange);
     if (cached !== null) {
       return cached;
     }
     
-    const suffix = exchange === 'NSE' ? '.NS' : '.BO';
-    const fullSymbol = symbol + suffix;
-    
-    console.log(`🔍 Fetching real price for ${fullSymbol}...`);
+    console.log(`🔍 Fetching real price for ${symbol} (${exchange})...`);
     
     try {
-      // Yahoo Finance API URL with CORS proxy
-      const apiUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${fullSymbol}?interval=1d&range=1d`;
-      const url = CORS_PROXY + encodeURIComponent(apiUrl);
-      
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
-      
-      const response = await fetch(url, {
-        method: 'GET',
-        signal: controller.signal,
-        headers: {
-          'Accept': 'application/json'
-        }
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-      
-      const data = await response.json();
-      
-      // Validate response
-      if (!data.chart?.result?.[0]?.meta) {
-        throw new Error('Invalid API response - stock may not exist');
-      }
-      
-      const meta = data.chart.result[0].meta;
-      
-      // Get current price or previous close
-      const price = meta.regularMarketPrice || meta.previousClose;
+      const { result, provider } = await PriceProviders.callWithFailover('fetchQuote', [symbol, exchange]);
+      const price = result.price;
       
       if (!price || price <= 0) {
         throw new Error('Invalid price value returned');
       }
       
-      const finalPrice = parseFloat(price.toFixed(2));
-      console.log(`✅ Real price fetched: ${symbol} = ₹${finalPrice}`);
+      const quote = { price: roundPrice(price, exchange), provider, ...(result.closes ? { closes: result.closes } : {}) };
+      console.log(`✅ Real price fetched: ${symbol} = ${quote.price} ${Exchanges.getCurrency(exchange)} (${provider})`);
       
-      // Cache the price
-      cachePrice(symbol, exchange, finalPrice);
+      // Cache the quote
+      cacheQuote(symbol, exchange, quote);
       
-      return finalPrice;
+      return quote;
       
     } catch (error) {
       console.error(`❌ Failed to fetch price for ${symbol}:`, error.message);
-      
-      // User-friendly error message
-      let errorMsg = `Could not fetch price for ${symbol} on ${exchange}. `;
-      
-      if (error.name === 'AbortError') {
-        errorMsg += 'Request timed out. Please try again.';
-      } else if (error.message.includes('404')) {
-        errorMsg += 'Stock not found. Please verify the symbol is correct.';
-      } else if (error.message.includes('Invalid API response')) {
-        errorMsg += 'Stock not found or invalid symbol. Please check: 1) Symbol spelling (e.g., RELIANCE not RELIACE), 2) Stock is listed on ' + exchange;
+      throw toFriendlyError(error, symbol, exchange);
+    }
+  }
+
+  /**
+   * Fetch the current price only
+   */
+  async function fetchStockPrice(symbol, exchange) {
+    const quote = await fetchQuote(symbol, exchange);
+    return quote.price;
+  }
+
+  /**
+   * Wait for a number of milliseconds
+   */
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Create a limiter that runs at most `max` tasks at once
+   * @returns {Function} run(task) - Queues an async task and resolves with its result
+   */
+  function createLimiter(max) {
+    let active = 0;
+    const queue = [];
+
+    const next = () => {
+      if (active >= max || queue.length === 0) return;
+      active++;
+      const { task, resolve, reject } = queue.shift();
+      task()
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    };
+
+    return (task) => new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+  }
+
+  /**
+   * Retry an async call with exponential backoff and full jitter
+   * "Not found" errors are not retried.
+   */
+  async function withRetry(fn, retries = APP_CONFIG.quoteRetries, baseDelay = APP_CONFIG.quoteRetryBaseDelay) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (attempt >= retries || error.notFound) throw error;
+
+        const delay = Math.random() * baseDelay * Math.pow(2, attempt);
+        console.warn(`🔁 Retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms:`, error.message);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Fetch current quotes for many symbols in batches
+   * Batches run through a concurrency limiter and are retried with backoff.
+   * Symbols a batch provider doesn't return are fetched one by one through
+   * the normal failover chain.
+   * @param {Array} items - [{ symbol, exchange }]
+   * @param {Object} options - { onProgress(done, total) }
+   * @returns {Promise<Map>} "SYMBOL-EXCHANGE" -> { price, provider, closes? } or { error }
+   */
+  async function fetchQuotes(items, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const results = new Map();
+    const pending = [];
+
+    // Deduplicate and serve what we can from the cache
+    items.forEach(item => {
+      const symbol = item.symbol.toUpperCase().trim();
+      const key = `${symbol}-${item.exchange}`;
+      if (results.has(key) || pending.some(p => p.key === key)) return;
+
+      const cached = getCachedQuote(symbol, item.exchange);
+      if (cached) {
+        results.set(key, cached);
       } else {
-        errorMsg += 'Please check: 1) Symbol is correct (e.g., RELIANCE, TCS, INFY), 2) Stock is listed on ' + exchange + ', 3) Your internet connection';
+        pending.push({ key, symbol, exchange: item.exchange });
       }
-      
-      throw new Error(errorMsg);
+    });
+
+    const total = results.size + pending.length;
+    const report = () => onProgress(results.size, total);
+    report();
+
+    const limit = createLimiter(APP_CONFIG.quoteConcurrency);
+    const batches = [];
+    for (let i = 0; i < pending.length; i += APP_CONFIG.quoteBatchSize) {
+      batches.push(pending.slice(i, i + APP_CONFIG.quoteBatchSize));
+    }
+
+    console.log(`🔍 Fetching ${pending.length} quotes in ${batches.length} batches...`);
+
+    await Promise.all(batches.map(batch => limit(async () => {
+      let batchQuotes = {};
+      let provider = null;
+
+      try {
+        const response = await withRetry(() =>
+          PriceProviders.callWithFailover('fetchQuotes', [batch.map(({ symbol, exchange }) => ({ symbol, exchange }))])
+        );
+        batchQuotes = response.result;
+        provider = response.provider;
+      } catch (error) {
+        console.warn('⚠️ Batch quote failed, falling back to single quotes:', error.message);
+      }
+
+      for (const item of batch) {
+        const batchQuote = batchQuotes[item.key];
+        if (batchQuote && batchQuote.price > 0) {
+          const quote = {
+            price: roundPrice(batchQuote.price, item.exchange),
+            provider,
+            ...(batchQuote.closes ? { closes: batchQuote.closes } : {})
+          };
+          cacheQuote(item.symbol, item.exchange, quote);
+          results.set(item.key, quote);
+        } else {
+          try {
+            results.set(item.key, await withRetry(() => fetchQuote(item.symbol, item.exchange), 1));
+          } catch (error) {
+            results.set(item.key, { error });
+          }
+        }
+        report();
+      }
+    })));
+
+    const failed = [...results.values()].filter(result => result.error).length;
+    console.log(`✅ Quotes fetched: ${total - failed}/${total}`);
+    return results;
+  }
+
+  /**
+   * Fetch the official daily close for a reference trading day
+   * Falls back to the previous trading day when the market was closed
+   * (weekend or holiday) on the reference date.
+   * @param {string} symbol - Stock symbol
+   * @param {string} exchange - Exchange code (see APP_CONFIG.exchanges)
+   * @param {string} referenceDate - Date (YYYY-MM-DD), usually the last APP_CONFIG.referenceDay
+   * @returns {Promise<Object>} { date, close, provider, closes } where date is the trading day actually used
+   *   and closes are the daily closes up to it, oldest first
+   */
+  async function fetchHistoricalClose(symbol, exchange, referenceDate) {
+    symbol = symbol.toUpperCase().trim();
+
+    const key = `${symbol}-${exchange}-${referenceDate}`;
+    if (closeCache.has(key)) {
+      return closeCache.get(key);
+    }
+
+    console.log(`🔍 Fetching ${referenceDate} close for ${symbol} (${exchange})...`);
+
+    try {
+      // Look back far enough to cover long exchange holiday stretches
+      const fromDate = new Date(Date.parse(`${referenceDate}T00:00:00Z`) - HISTORY_LOOKBACK_DAYS * 86400000)
+        .toISOString().slice(0, 10);
+      const { result, provider } = await PriceProviders.callWithFailover(
+        'fetchDailyCloses',
+        [symbol, exchange, fromDate, referenceDate]
+      );
+
+      // Latest trading day on or before the reference date
+      let found = null;
+      result.forEach(({ date, close }) => {
+        if (date <= referenceDate && close > 0 && (!found || date > found.date)) {
+          found = { date, close: roundPrice(close, exchange), provider };
+        }
+      });
+
+      if (!found) {
+        throw new Error(`No close available on or before ${referenceDate}.`);
+      }
+      found.closes = result
+        .filter(({ date, close }) => date <= found.date && close > 0)
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(({ close }) => close);
+
+      if (found.date !== referenceDate) {
+        console.log(`📅 ${referenceDate} was not a trading day, using ${found.date}`);
+      }
+      console.log(`✅ Close fetched: ${symbol} = ${found.close} ${Exchanges.getCurrency(exchange)} (${found.date}, ${provider})`);
+
+      closeCache.set(key, found);
+      return found;
+
+    } catch (error) {
+      console.error(`❌ Failed to fetch close for ${symbol}:`, error.message);
+      throw toFriendlyError(error, symbol, exchange);
     }
   }
   
+  /**
+   * Fetch splits, bonuses and dividends that go ex within a date range
+   * Failures are reported per symbol so a refresh can keep the last known adjustment.
+   * @param {Array} items - [{ symbol, exchange }]
+   * @param {string} fromDate - First IST date (YYYY-MM-DD)
+   * @param {string} toDate - Last IST date (YYYY-MM-DD)
+   * @returns {Promise<Map>} "SYMBOL-EXCHANGE" -> [events] or { error }
+   */
+  async function fetchCorporateActions(items, fromDate, toDate) {
+    const results = new Map();
+    const limit = createLimiter(APP_CONFIG.quoteConcurrency);
+    const keys = new Set();
+
+    const tasks = items.map(item => {
+      const symbol = item.symbol.toUpperCase().trim();
+      const key = `${symbol}-${item.exchange}`;
+      if (keys.has(key)) return null;
+      keys.add(key);
+
+      const cacheKey = `${key}-${fromDate}-${toDate}`;
+      const cached = actionsCache.get(cacheKey);
+      if (cached && Date.now() - cached.timestamp < ACTIONS_CACHE_DURATION) {
+        results.set(key, cached.events);
+        return null;
+      }
+
+      return limit(async () => {
+        try {
+          const { result } = await withRetry(() => PriceProviders.callWithFailover(
+            'fetchCorporateActions',
+            [symbol, item.exchange, fromDate, toDate]
+          ), 1);
+          actionsCache.set(cacheKey, { events: result, timestamp: Date.now() });
+          results.set(key, result);
+
+          if (result.length > 0) {
+            console.log(`✂️ ${symbol}: ${result.length} corporate action(s) since ${fromDate}`);
+          }
+        } catch (error) {
+          console.warn(`⚠️ Could not fetch corporate actions for ${symbol}:`, error.message);
+          results.set(key, { error });
+        }
+      });
+    });
+
+    await Promise.all(tasks.filter(Boolean));
+    return results;
+  }
+
   /**
    * Clear price cache (useful before refresh)
    */
@@ -132,7 +376,12 @@ const StockAPI = (function() {
 
   // Public API
   return {
+    fetchQuote,
+    fetchQuotes,
     fetchStockPrice,
+    fetchHistoricalClose,
+    fetchCorporateActions,
+    getProviderHealth: PriceProviders.getHealth,
     clearCache
   };
-})();
\ No newline at end of file
+});
@@ -0,0 +1,140 @@
+/**
+ * Symbol Master
+ * Offline NSE/BSE equity list (data/equity-master.json) with fuzzy search
+ * The list is only downloaded the first time it is needed.
+ */
+
+const SymbolMaster = (function() {
+  const DATA_URL = 'data/equity-master.json';
+
+  let loadPromise = null;
+  let securities = [];
+
+  /**
+   * Load the equity master list (once)
+   * @returns {Promise<Array>} [{ symbol, name, isin, exchange }]
+   */
+  function load() {
+    if (!loadPromise) {
+      loadPromise = fetch(DATA_URL)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .then(data => {
+          securities = data.rows.map(row => {
+            const security = {};
+            data.fields.forEach((field, i) => {
+              security[field] = row[i];
+            });
+            security.searchName = security.name.toUpperCase();
+            return security;
+          });
+          console.log(`📚 Loaded ${securities.length} symbols`);
+          return securities;
+        })
+        .catch(error => {
+          console.error('Error loading symbol master:', error);
+          loadPromise = null; // Allow a retry later
+          throw error;
+        });
+    }
+    return loadPromise;
+  }
+
+  /**
+   * Check if the list has been loaded
+   */
+  function isLoaded() {
+    return securities.length > 0;
+  }
+
+  /**
+   * Levenshtein distance, capped for speed
+   */
+  function editDistance(a, b, max = 3) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) return max + 1;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Check if all characters of `query` appear in `text` in order
+   */
+  function isSubsequence(query, text) {
+    let i = 0;
+    for (const char of text) {
+      if (char === query[i]) i++;
+      if (i === query.length) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Score how well a security matches a query (0 = no match)
+   */
+  function score(security, query) {
+    const { symbol, searchName } = security;
+
+    if (symbol === query) return 100;
+    if (symbol.startsWith(query)) return 90 - (symbol.length - query.length) * 0.1;
+    if (searchName.startsWith(query)) return 85;
+    if (searchName.split(/[\s&().-]+/).some(word => word.startsWith(query))) return 80;
+    if (symbol.includes(query)) return 70;
+    if (searchName.includes(query)) return 60;
+
+    // Typos: RELIACE -> RELIANCE
+    if (query.length >= 3) {
+      const distance = editDistance(query, symbol, 2);
+      if (distance <= 2) return 50 - distance * 5;
+      if (isSubsequence(query, symbol)) return 35;
+    }
+    return 0;
+  }
+
+  /**
+   * Fuzzy search by symbol or company name
+   * @param {string} query - Partial symbol or company name
+   * @param {number} limit - Maximum results
+   * @returns {Array} Best matches first
+   */
+  function search(query, limit = 8) {
+    const normalized = (query || '').toUpperCase().trim();
+    if (!normalized) return [];
+
+    return securities
+      .map(security => ({ security, score: score(security, normalized) }))
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score || a.security.symbol.localeCompare(b.security.symbol))
+      .slice(0, limit)
+      .map(match => match.security);
+  }
+
+  /**
+   * Find a security by exact symbol
+   */
+  function find(symbol) {
+    const normalized = (symbol || '').toUpperCase().trim();
+    return securities.find(security => security.symbol === normalized) || null;
+  }
+
+  // Public API
+  return {
+    load,
+    isLoaded,
+    search,
+    find
+  };
+})();
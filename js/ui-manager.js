@@ -13,11 +13,20 @@ const UIManager = (function() {
     entryForm: null,
     nameInput: null,
     symbolInput: null,
+    stockSuggestions: null,
     exchangeInput: null,
+    weightInput: null,
+    extraHoldings: null,
+    addHoldingBtn: null,
+    weightTotal: null,
+    directionField: null,
+    predictionInput: null,
+    predictionLabel: null,
     submitBtn: null,
     deleteBtn: null,
     refreshBtn: null,
     refreshIcon: null,
+    tableHead: null,
     tableBody: null,
     mobileList: null,
     participantsCount: null,
@@ -29,9 +38,78 @@ const UIManager = (function() {
     successBox: null,
     successText: null,
     clearSuccess: null,
-    loadingState: null
+    loadingState: null,
+    windowStatus: null,
+    marketStatus: null,
+    formCountdown: null,
+    roundSelect: null,
+    exportSelect: null,
+    roundBanner: null,
+    refreshStatus: null,
+    offlineBanner: null,
+    accountName: null,
+    googleSignInBtn: null,
+    emailSignInBtn: null,
+    signOutBtn: null,
+    linkDeviceBtn: null,
+    tabWeekly: null,
+    tabSeason: null,
+    weeklyView: null,
+    seasonView: null,
+    weeklyControls: null,
+    seasonControls: null,
+    seasonSelect: null,
+    seasonRoundsCount: null,
+    seasonPoints: null,
+    seasonBody: null,
+    leagueSelect: null,
+    leagueDeadline: null,
+    createLeagueBtn: null,
+    joinLeagueBtn: null,
+    inviteLeagueBtn: null,
+    leagueSettingsBtn: null,
+    leaveLeagueBtn: null,
+    adminToggle: null,
+    notifyToggle: null,
+    notifyCount: null,
+    notifyCard: null,
+    closeNotifyBtn: null,
+    notifyForm: null,
+    notifyRank: null,
+    notifyFirst: null,
+    notifyThreshold: null,
+    notifyBrowser: null,
+    notifyHistory: null,
+    toastStack: null,
+    historyPopover: null,
+    adminCard: null,
+    adminRound: null,
+    adminLockBtn: null,
+    adminRerankBtn: null,
+    adminCloseBtn: null,
+    adminImportBtn: null,
+    adminImportFile: null,
+    adminParticipants: null,
+    adminAudit: null
   };
 
+  // Whether the entry window is currently closed
+  let entriesLocked = false;
+  let hasEntry = false;
+
+  // Portfolio mode: entries hold up to maxHoldings weighted stocks
+  let portfolioMode = false;
+  let maxHoldings = 1;
+
+  // Date the predicted close is for, while the round is a prediction round
+  let predictionEndDate = null;
+
+  // Symbol input the suggestion list is attached to
+  let suggestionInput = null;
+
+  // Participant IDs whose holdings are expanded in the leaderboard
+  const expandedRows = new Set();
+
   /**
    * Initialize DOM element references
    */
@@ -43,11 +121,20 @@ const UIManager = (function() {
     elements.entryForm = document.getElementById('entry-form');
     elements.nameInput = document.getElementById('name');
     elements.symbolInput = document.getElementById('symbol');
+    elements.stockSuggestions = document.getElementById('stock-suggestions');
     elements.exchangeInput = document.getElementById('exchange');
+    elements.weightInput = document.getElementById('weight');
+    elements.extraHoldings = document.getElementById('extra-holdings');
+    elements.addHoldingBtn = document.getElementById('add-holding');
+    elements.weightTotal = document.getElementById('weight-total');
+    elements.directionField = document.getElementById('direction-field');
+    elements.predictionInput = document.getElementById('prediction');
+    elements.predictionLabel = document.getElementById('prediction-label');
     elements.submitBtn = document.getElementById('submit-btn');
     elements.deleteBtn = document.getElementById('delete-btn');
     elements.refreshBtn = document.getElementById('refresh-btn');
     elements.refreshIcon = document.getElementById('refresh-icon');
+    elements.tableHead = document.getElementById('leaderboard-head');
     elements.tableBody = document.getElementById('table-body');
     elements.mobileList = document.getElementById('mobile-list');
     elements.participantsCount = document.getElementById('participants-count');
@@ -60,6 +147,77 @@ const UIManager = (function() {
     elements.successText = document.getElementById('success-text');
     elements.clearSuccess = document.getElementById('clear-success');
     elements.loadingState = document.getElementById('loading-state');
+    elements.windowStatus = document.getElementById('window-status');
+    elements.marketStatus = document.getElementById('market-status');
+    elements.formCountdown = document.getElementById('form-countdown');
+    elements.roundSelect = document.getElementById('round-select');
+    elements.exportSelect = document.getElementById('export-select');
+    elements.roundBanner = document.getElementById('round-banner');
+    elements.refreshStatus = document.getElementById('refresh-status');
+    elements.offlineBanner = document.getElementById('offline-banner');
+    elements.accountName = document.getElementById('account-name');
+    elements.googleSignInBtn = document.getElementById('google-signin');
+    elements.emailSignInBtn = document.getElementById('email-signin');
+    elements.signOutBtn = document.getElementById('sign-out');
+    elements.linkDeviceBtn = document.getElementById('link-device');
+    elements.tabWeekly = document.getElementById('tab-weekly');
+    elements.tabSeason = document.getElementById('tab-season');
+    elements.weeklyView = document.getElementById('weekly-view');
+    elements.seasonView = document.getElementById('season-view');
+    elements.weeklyControls = document.getElementById('weekly-controls');
+    elements.seasonControls = document.getElementById('season-controls');
+    elements.seasonSelect = document.getElementById('season-select');
+    elements.seasonRoundsCount = document.getElementById('season-rounds-count');
+    elements.seasonPoints = document.getElementById('season-points');
+    elements.seasonBody = document.getElementById('season-body');
+    elements.leagueSelect = document.getElementById('league-select');
+    elements.leagueDeadline = document.getElementById('league-deadline');
+    elements.createLeagueBtn = document.getElementById('create-league');
+    elements.joinLeagueBtn = document.getElementById('join-league');
+    elements.inviteLeagueBtn = document.getElementById('invite-league');
+    elements.leagueSettingsBtn = document.getElementById('league-settings');
+    elements.leaveLeagueBtn = document.getElementById('leave-league');
+    elements.adminToggle = document.getElementById('admin-toggle');
+    elements.notifyToggle = document.getElementById('notify-toggle');
+    elements.notifyCount = document.getElementById('notify-count');
+    elements.notifyCard = document.getElementById('notify-card');
+    elements.closeNotifyBtn = document.getElementById('close-notify');
+    elements.notifyForm = document.getElementById('notify-form');
+    elements.notifyRank = document.getElementById('notify-rank');
+    elements.notifyFirst = document.getElementById('notify-first');
+    elements.notifyThreshold = document.getElementById('notify-threshold');
+    elements.notifyBrowser = document.getElementById('notify-browser');
+    elements.notifyHistory = document.getElementById('notify-history');
+    elements.toastStack = document.getElementById('toast-stack');
+    elements.historyPopover = document.getElementById('history-popover');
+    elements.adminCard = document.getElementById('admin-card');
+    elements.adminRound = document.getElementById('admin-round');
+    elements.adminLockBtn = document.getElementById('admin-lock');
+    elements.adminRerankBtn = document.getElementById('admin-rerank');
+    elements.adminCloseBtn = document.getElementById('admin-close');
+    elements.adminImportBtn = document.getElementById('admin-import');
+    elements.adminImportFile = document.getElementById('admin-import-file');
+    elements.adminParticipants = document.getElementById('admin-participants');
+    elements.adminAudit = document.getElementById('admin-audit');
+    elements.exchangeInput.innerHTML = renderExchangeOptions();
+    suggestionInput = elements.symbolInput;
+  }
+
+  /**
+   * <option>s for every selectable exchange (see APP_CONFIG.exchanges)
+   */
+  function renderExchangeOptions() {
+    return Exchanges.list().map(exchange => `
+      <option value="${escapeHtml(exchange.code)}" title="${escapeHtml(exchange.country)} · ${escapeHtml(exchange.currency)}">${escapeHtml(exchange.name)}</option>
+    `).join('');
+  }
+
+  /**
+   * Format a price in the currency of an entry or holding
+   * (entries from before currencies were stored fall back to their exchange's)
+   */
+  function formatPrice(amount, record) {
+    return Exchanges.formatPrice(amount || 0, record.currency || Exchanges.getCurrency(record.exchange));
   }
 
   /**
@@ -135,47 +293,382 @@ const UIManager = (function() {
   /**
    * Update participants count
    */
-  function updateParticipantsCount(count) {
+  function updateParticipantsCount(count, beatingMarket = null) {
     const text = count === 1 ? '1 Participant' : `${count} Participants`;
-    elements.participantsCount.textContent = text;
+    elements.participantsCount.textContent = beatingMarket === null
+      ? text
+      : `${text} · ${beatingMarket} beat the market`;
+  }
+
+  /**
+   * Table header columns of a round's challenge mode
+   */
+  function renderLeaderboardHead(isPrediction) {
+    elements.tableHead.innerHTML = isPrediction ? `
+      <th>Rank</th>
+      <th>Participant</th>
+      <th>Stock</th>
+      <th style="text-align:right">Prediction</th>
+      <th style="text-align:right" title="Current price while the round runs, official close once it has ended">Actual</th>
+      <th style="text-align:right" title="Distance between prediction and actual price - lowest wins">Error</th>
+    ` : `
+      <th>Rank</th>
+      <th>Participant</th>
+      <th>Stock</th>
+      <th style="text-align:right">Friday Close</th>
+      <th style="text-align:right">Current Price</th>
+      <th style="text-align:right">% Change</th>
+      <th style="text-align:right" title="Return minus the index of the stock's exchange">Alpha</th>
+    `;
   }
 
   /**
    * Render leaderboard (both desktop and mobile)
+   * @param {Array} participants - Entries of the round shown
+   * @param {Object} options - { benchmarks: index returns pinned above the entries,
+   *   mode: the round's challenge mode (see ChallengeMode) }
    */
-  function renderLeaderboard(participants) {
+  function renderLeaderboard(participants, { benchmarks = [], mode = 'gain' } = {}) {
     hideLoading();
-    updateParticipantsCount(participants.length);
-
-    // Sort by rank
-    const sorted = participants.slice().sort((a, b) => {
-      if ((a.rank || 0) === 0 && (b.rank || 0) === 0) return 0;
-      if ((a.rank || 0) === 0) return 1;
-      if ((b.rank || 0) === 0) return -1;
-      return a.rank - b.rank;
-    });
+
+    // Prediction rounds are scored on the error, not against the market
+    const isPrediction = mode === 'prediction';
+    const shownBenchmarks = isPrediction ? [] : benchmarks;
+    const scored = isPrediction
+      ? ChallengeMode.withError(participants)
+      : Benchmarks.withAlpha(participants, shownBenchmarks);
+
+    // Sort by rank (unranked last), ties by name
+    const sorted = scored.sort((a, b) =>
+      ((a.rank || Infinity) - (b.rank || Infinity)) || String(a.name).localeCompare(String(b.name)));
+
+    const hasAlpha = !isPrediction && sorted.some(p => p.alpha !== null);
+    updateParticipantsCount(participants.length, hasAlpha ? Benchmarks.countBeatingMarket(sorted) : null);
 
     // Render desktop table
-    renderDesktopTable(sorted);
+    renderLeaderboardHead(isPrediction);
+    renderDesktopTable(sorted, shownBenchmarks, isPrediction);
     
     // Render mobile list
-    renderMobileList(sorted);
+    renderMobileList(sorted, shownBenchmarks, isPrediction);
     
     // Show tables
     elements.tableBody.style.display = '';
     elements.mobileList.style.display = '';
   }
 
+  /**
+   * Alpha label, e.g. "+1.25%" ("—" without a benchmark)
+   */
+  function renderAlpha(alpha) {
+    if (alpha === null || alpha === undefined) {
+      return '<span class="change-neutral" title="Benchmark not available yet">—</span>';
+    }
+    return `<span class="${changeClassFor(alpha)}">${formatChange(alpha)}</span>`;
+  }
+
+  /**
+   * Pinned desktop rows for the market indices
+   */
+  function renderBenchmarkRows(benchmarks) {
+    return benchmarks.map(b => `
+      <tr class="benchmark-row">
+        <td><span class="benchmark-tag">Index</span></td>
+        <td><div style="font-weight:700; font-size:15px;">${escapeHtml(b.name)}</div></td>
+        <td>
+          <div style="display:flex;gap:8px;align-items:center;">
+            <span style="color:#6b7280;font-weight:700;font-size:15px;">${escapeHtml(b.symbol)}</span>
+            <span style="background:#f3f4f6;padding:4px 8px;border-radius:8px;font-size:12px;color:#374151;font-weight:500;">
+              ${escapeHtml(b.exchange)}
+            </span>
+          </div>
+        </td>
+        <td style="text-align:right;color:#374151;font-size:14px;">
+          ${b.basePrice ? b.basePrice.toFixed(2) : '—'}
+          ${b.baselineDate ? `<div style="font-size:11px;color:#9ca3af;">close ${escapeHtml(b.baselineDate)}</div>` : ''}
+        </td>
+        <td style="text-align:right;font-weight:700;font-size:15px;">${b.cmp ? b.cmp.toFixed(2) : '—'}</td>
+        <td style="text-align:right;">${renderAlpha(b.change)}</td>
+        <td style="text-align:right;color:#9ca3af;">—</td>
+      </tr>
+    `).join('');
+  }
+
+  /**
+   * Pinned mobile rows for the market indices
+   */
+  function renderBenchmarkItems(benchmarks) {
+    return benchmarks.map(b => `
+      <div class="participant-row benchmark-row">
+        <div class="participant-left">
+          <div style="min-width:40px;"><span class="benchmark-tag">Index</span></div>
+          <div>
+            <div class="participant-name">${escapeHtml(b.name)}</div>
+            <div class="participant-meta">
+              Base: ${b.basePrice ? b.basePrice.toFixed(2) : '—'}${b.baselineDate ? ` (${escapeHtml(b.baselineDate)})` : ''} • Current: ${b.cmp ? b.cmp.toFixed(2) : '—'}
+            </div>
+          </div>
+        </div>
+        <div style="text-align:right;">${renderAlpha(b.change)}</div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Prediction error label, e.g. "1.25%" ("—" without a prediction or price)
+   */
+  function renderPredictionError(error) {
+    if (error === null || error === undefined) {
+      return '<span class="change-neutral" title="No prediction or price yet">—</span>';
+    }
+    return `<span class="prediction-error">${error.toFixed(2)}%</span>`;
+  }
+
+  /**
+   * Predicted price, e.g. "₹2,450.50" ("—" without a prediction)
+   */
+  function formatPrediction(p) {
+    return p.prediction > 0 ? formatPrice(p.prediction, p) : '—';
+  }
+
+  /**
+   * Rank label: "#3", "#1=" when shared, "#-" when unranked
+   * @param {Object} rankCounts - rank -> number of entries holding it
+   */
+  function formatRank(p, rankCounts) {
+    if (!p.rank) return '#-';
+    return `#${p.rank}${rankCounts[p.rank] > 1 ? '=' : ''}`;
+  }
+
+  /**
+   * Count entries per rank, to spot shared ranks
+   */
+  function countRanks(participants) {
+    const counts = {};
+    participants.forEach(p => {
+      if (p.rank) counts[p.rank] = (counts[p.rank] || 0) + 1;
+    });
+    return counts;
+  }
+
+  /**
+   * Format a percentage change, e.g. "+1.25%"
+   */
+  function formatChange(change) {
+    return `${change > 0 ? '+' : ''}${(change || 0).toFixed(2)}%`;
+  }
+
+  /**
+   * CSS class for a percentage change
+   */
+  function changeClassFor(change) {
+    return change > 0 ? 'change-positive' : (change < 0 ? 'change-negative' : 'change-neutral');
+  }
+
+  /**
+   * Badge explaining a split, bonus or dividend adjustment (empty if none)
+   */
+  function renderAdjustmentBadge(basePrice, adjustment, record) {
+    const info = CorporateActions.describe(basePrice || 0, adjustment, record.currency || Exchanges.getCurrency(record.exchange));
+    if (!info) return '';
+    return `<span class="adjustment-badge" title="${escapeHtml(info.title)}">${escapeHtml(info.label)}</span>`;
+  }
+
+  /**
+   * Tooltip for a return that includes a currency move (empty if not converted)
+   */
+  function describeFx(record) {
+    if (!Portfolio.toFx(record.fxBase, record.fxRate)) return '';
+    const pair = FxRates.getPair(record.currency).symbol;
+    return escapeHtml(`In ${APP_CONFIG.baseCurrency}, incl. ${pair} ${record.fxBase} → ${record.fxRate}`);
+  }
+
+  /**
+   * LONG/SHORT badge of an entry
+   */
+  function renderDirectionBadge(p) {
+    const direction = Portfolio.getDirection(p);
+    return `<span class="direction-badge direction-${direction}" title="${direction === 'short' ? 'Gains when the stock falls' : 'Gains when the stock rises'}">${direction.toUpperCase()}</span>`;
+  }
+
+  /**
+   * "Edited N times" marker that opens the entry's history (empty if never edited)
+   */
+  function renderEditedBadge(p) {
+    if (!(p.editCount > 0)) return '';
+    const times = p.editCount === 1 ? 'once' : `${p.editCount} times`;
+    return `<button class="edited-badge" type="button" data-history-id="${escapeHtml(p.id)}" title="Show changes">✎ edited ${times}</button>`;
+  }
+
+  /**
+   * Short description of a pick in a history record
+   */
+  function describeHistoryPick(values) {
+    const short = values.direction === 'short' ? 'SHORT ' : '';
+    if (Array.isArray(values.holdings) && values.holdings.length > 0) {
+      return short + values.holdings.map(holding => `${holding.symbol} ${+holding.weight.toFixed(2)}%`).join(', ');
+    }
+    const prediction = values.prediction > 0 ? ` → ${formatPrice(values.prediction, values)}` : '';
+    return `${short}${values.symbol} (${values.exchange})${prediction}`;
+  }
+
+  /**
+   * Prices stored with a history record
+   */
+  function describeHistoryPrice(values) {
+    if (Array.isArray(values.holdings) && values.holdings.length > 0) {
+      const prices = values.holdingPrices || {};
+      return values.holdings
+        .map(holding => {
+          const latest = prices[Portfolio.holdingKey(holding)];
+          return latest ? `${holding.symbol} ${formatPrice(latest.cmp, holding)}` : null;
+        })
+        .filter(Boolean)
+        .join(', ');
+    }
+    return values.cmp ? formatPrice(values.cmp, values) : '';
+  }
+
+  /**
+   * One line per history record: what changed and the price at the time
+   */
+  function describeHistoryRecord(record) {
+    const { before, after } = record;
+
+    if (record.type === 'create') {
+      const price = describeHistoryPrice(after);
+      return `Entered ${describeHistoryPick(after)}${price ? ` · price ${price}` : ''}`;
+    }
+    if (record.type === 'delete') {
+      const price = describeHistoryPrice(before);
+      return `Deleted ${describeHistoryPick(before)}${price ? ` · price ${price}` : ''}`;
+    }
+
+    const changes = [];
+    const pickBefore = describeHistoryPick(before);
+    const pickAfter = describeHistoryPick(after);
+    if (pickBefore !== pickAfter) changes.push(`${pickBefore} → ${pickAfter}`);
+    if (before.name !== after.name) changes.push(`name ${before.name} → ${after.name}`);
+    if (before.lastFridayPrice !== after.lastFridayPrice && after.lastFridayPrice) {
+      changes.push(`base ${formatPrice(before.lastFridayPrice, before)} → ${formatPrice(after.lastFridayPrice, after)}`);
+    }
+    const price = describeHistoryPrice(after);
+    if (price) changes.push(`price ${price}`);
+
+    return `Edited: ${changes.join(' · ') || 'no visible change'}`;
+  }
+
+  /**
+   * Show an entry's history next to the marker that was clicked
+   * @param {Element} anchor - The "edited" marker
+   * @param {string} name - Participant name
+   * @param {Array|null} history - Records oldest first (null while loading)
+   */
+  function showHistoryPopover(anchor, name, history) {
+    const labels = { create: 'Created', edit: 'Edited', delete: 'Deleted' };
+    const items = history === null
+      ? '<li>Loading...</li>'
+      : history.map(record => `
+        <li>
+          <time>${record.at ? escapeHtml(EntryWindow.formatIST(record.at.toDate())) : 'just now'}</time>
+          <strong>${labels[record.type] || escapeHtml(record.type)}</strong>
+          <div>${escapeHtml(describeHistoryRecord(record))}</div>
+        </li>
+      `).join('') || '<li>No changes recorded.</li>';
+
+    elements.historyPopover.innerHTML = `
+      <div class="history-popover-header">
+        <strong>History · ${escapeHtml(name)}</strong>
+        <button class="btn-close" type="button" data-close-history>×</button>
+      </div>
+      <ul class="admin-audit">${items}</ul>
+    `;
+
+    const rect = anchor.getBoundingClientRect();
+    elements.historyPopover.style.display = 'block';
+    elements.historyPopover.style.top = `${rect.bottom + window.scrollY + 6}px`;
+    elements.historyPopover.style.left = `${Math.max(8, Math.min(rect.left + window.scrollX, window.innerWidth - elements.historyPopover.offsetWidth - 8))}px`;
+  }
+
+  function hideHistoryPopover() {
+    elements.historyPopover.style.display = 'none';
+  }
+
+  /**
+   * Button that expands a portfolio's holdings
+   */
+  function renderExpandToggle(p) {
+    const isExpanded = expandedRows.has(p.id);
+    return `
+      <button class="expand-toggle" type="button" data-id="${escapeHtml(p.id)}" aria-expanded="${isExpanded}">
+        ${isExpanded ? '▾' : '▸'} ${p.holdings.length} stocks
+      </button>
+    `;
+  }
+
+  /**
+   * Table of a portfolio's holdings and their contribution to its return
+   */
+  function renderHoldingsTable(p) {
+    const rows = Portfolio.getHoldings(p).map(holding => `
+      <tr>
+        <td><strong>${escapeHtml(holding.symbol)}</strong> <span style="color:#6b7280;">${escapeHtml(holding.exchange)}</span> ${renderAdjustmentBadge(holding.basePrice, holding.adjustment, holding)}</td>
+        <td style="text-align:right;">${+holding.weight.toFixed(2)}%</td>
+        <td style="text-align:right;">${formatPrice(holding.basePrice, holding)}</td>
+        <td style="text-align:right;" title="${holding.priceSource ? `Price via ${escapeHtml(holding.priceSource)}` : ''}">${formatPrice(holding.cmp, holding)}</td>
+        <td style="text-align:right;" class="${changeClassFor(holding.change)}" title="${describeFx(holding)}">${formatChange(holding.change)}</td>
+        <td style="text-align:right;" class="${changeClassFor(holding.contribution)}">${formatChange(holding.contribution)}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <table class="holdings-table">
+        <thead>
+          <tr>
+            <th>Stock</th>
+            <th style="text-align:right;">Weight</th>
+            <th style="text-align:right;">Base</th>
+            <th style="text-align:right;">Current</th>
+            <th style="text-align:right;">Change</th>
+            <th style="text-align:right;">Contribution</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Expand or collapse a portfolio's holdings
+   */
+  function toggleHoldings(id) {
+    const isExpanded = !expandedRows.has(id);
+    if (isExpanded) {
+      expandedRows.add(id);
+    } else {
+      expandedRows.delete(id);
+    }
+
+    document.querySelectorAll(`.expand-toggle[data-id="${CSS.escape(id)}"]`).forEach(button => {
+      button.setAttribute('aria-expanded', isExpanded);
+      button.firstChild.textContent = button.firstChild.textContent.replace(/[▸▾]/, isExpanded ? '▾' : '▸');
+    });
+    document.querySelectorAll(`[data-holdings-for="${CSS.escape(id)}"]`).forEach(detail => {
+      detail.style.display = isExpanded ? '' : 'none';
+    });
+  }
+
   /**
    * Render desktop table view
    */
-  function renderDesktopTable(participants) {
-    elements.tableBody.innerHTML = '';
+  function renderDesktopTable(participants, benchmarks = [], isPrediction = false) {
+    elements.tableBody.innerHTML = renderBenchmarkRows(benchmarks);
+    const columns = isPrediction ? 6 : 7;
 
     if (participants.length === 0) {
       const tr = document.createElement('tr');
       const td = document.createElement('td');
-      td.colSpan = 6;
+      td.colSpan = columns;
       td.className = 'empty-state';
       td.innerHTML = `
         <div class="empty-state-icon">📊</div>
@@ -186,9 +679,11 @@ const UIManager = (function() {
       return;
     }
 
-    participants.forEach((p, idx) => {
+    const rankCounts = countRanks(participants);
+
+    participants.forEach(p => {
       const tr = document.createElement('tr');
-      const isWinner = idx === 0 && (p.rank || 0) > 0;
+      const isWinner = p.rank === 1; // Shared first place: every winner gets the trophy
       
       if (isWinner) {
         tr.className = 'winner-row';
@@ -197,46 +692,114 @@ const UIManager = (function() {
       const changeClass = p.change > 0 ? 'change-positive' : 
                          (p.change < 0 ? 'change-negative' : 'change-neutral');
 
+      const isPortfolio = Portfolio.isPortfolio(p);
+
+      if (isPrediction) {
+        tr.innerHTML = renderPredictionCells(p, rankCounts);
+        elements.tableBody.appendChild(tr);
+        return;
+      }
+
       tr.innerHTML = `
         <td>
           <div style="display:flex;align-items:center;gap:8px;">
             ${isWinner ? '<span style="font-size:20px;">🏆</span>' : ''}
-            <span style="font-weight:700; font-size:16px;">#${(p.rank || 0) === 0 ? '-' : p.rank}</span>
+            <span style="font-weight:700; font-size:16px;" title="${p.rank ? '' : 'Unranked - no valid current price'}">${formatRank(p, rankCounts)}</span>
           </div>
         </td>
         <td>
           <div style="font-weight:700; font-size:15px;">${escapeHtml(p.name)}</div>
+          ${renderEditedBadge(p)}
         </td>
         <td>
+          ${isPortfolio ? `
+          <div style="display:flex;gap:8px;align-items:center;">
+            ${renderDirectionBadge(p)}
+            <span style="color:#2563eb;font-weight:700;font-size:15px;">${escapeHtml(Portfolio.describe(p))}</span>
+            ${renderExpandToggle(p)}
+          </div>
+          ` : `
           <div style="display:flex;gap:8px;align-items:center;">
+            ${renderDirectionBadge(p)}
             <span style="color:#2563eb;font-weight:700;font-size:15px;">${escapeHtml(p.symbol)}</span>
             <span style="background:#f3f4f6;padding:4px 8px;border-radius:8px;font-size:12px;color:#374151;font-weight:500;">
               ${escapeHtml(p.exchange)}
             </span>
           </div>
+          `}
         </td>
         <td style="text-align:right;color:#374151;font-size:14px;">
-          ₹${(p.lastFridayPrice || 0).toFixed(2)}
+          ${isPortfolio ? '—' : formatPrice(p.lastFridayPrice, p)}
+          ${p.baselineDate ? `<div style="font-size:11px;color:#9ca3af;">close ${escapeHtml(p.baselineDate)}</div>` : ''}
+          ${isPortfolio ? '' : renderAdjustmentBadge(p.lastFridayPrice, p.adjustment, p)}
         </td>
-        <td style="text-align:right;font-weight:700;font-size:15px;">
-          ₹${(p.cmp || 0).toFixed(2)}
+        <td style="text-align:right;font-weight:700;font-size:15px;" title="${p.priceSource ? `Price via ${escapeHtml(p.priceSource)}` : ''}">
+          ${isPortfolio ? '—' : formatPrice(p.cmp, p)}
         </td>
-        <td style="text-align:right;">
+        <td style="text-align:right;" title="${isPortfolio ? '' : describeFx(p)}">
           <span class="${changeClass}">
             ${p.change > 0 ? '+' : ''}${(p.change || 0).toFixed(2)}%
           </span>
         </td>
+        <td style="text-align:right;">
+          ${renderAlpha(p.alpha)}
+        </td>
       `;
 
       elements.tableBody.appendChild(tr);
+
+      if (isPortfolio) {
+        const detail = document.createElement('tr');
+        detail.className = 'holdings-detail';
+        detail.dataset.holdingsFor = p.id;
+        detail.style.display = expandedRows.has(p.id) ? '' : 'none';
+        detail.innerHTML = `<td colspan="${columns}">${renderHoldingsTable(p)}</td>`;
+        elements.tableBody.appendChild(detail);
+      }
     });
   }
 
+  /**
+   * Desktop cells of an entry in a prediction round
+   */
+  function renderPredictionCells(p, rankCounts) {
+    return `
+      <td>
+        <div style="display:flex;align-items:center;gap:8px;">
+          ${p.rank === 1 ? '<span style="font-size:20px;">🏆</span>' : ''}
+          <span style="font-weight:700; font-size:16px;" title="${p.rank ? '' : 'Unranked - no prediction or valid current price'}">${formatRank(p, rankCounts)}</span>
+        </div>
+      </td>
+      <td>
+        <div style="font-weight:700; font-size:15px;">${escapeHtml(p.name)}</div>
+        ${renderEditedBadge(p)}
+      </td>
+      <td>
+        <div style="display:flex;gap:8px;align-items:center;">
+          <span style="color:#2563eb;font-weight:700;font-size:15px;">${escapeHtml(p.symbol)}</span>
+          <span style="background:#f3f4f6;padding:4px 8px;border-radius:8px;font-size:12px;color:#374151;font-weight:500;">
+            ${escapeHtml(p.exchange)}
+          </span>
+        </div>
+      </td>
+      <td style="text-align:right;color:#374151;font-size:14px;">
+        ${formatPrediction(p)}
+        ${renderAdjustmentBadge(p.prediction, p.adjustment, p)}
+      </td>
+      <td style="text-align:right;font-weight:700;font-size:15px;" title="${p.priceSource ? `Price via ${escapeHtml(p.priceSource)}` : ''}">
+        ${formatPrice(p.cmp, p)}
+      </td>
+      <td style="text-align:right;">
+        ${renderPredictionError(p.error)}
+      </td>
+    `;
+  }
+
   /**
    * Render mobile list view
    */
-  function renderMobileList(participants) {
-    elements.mobileList.innerHTML = '';
+  function renderMobileList(participants, benchmarks = [], isPrediction = false) {
+    elements.mobileList.innerHTML = renderBenchmarkItems(benchmarks);
 
     if (participants.length === 0) {
       const div = document.createElement('div');
@@ -249,10 +812,12 @@ const UIManager = (function() {
       return;
     }
 
-    participants.forEach((p, idx) => {
+    const rankCounts = countRanks(participants);
+
+    participants.forEach(p => {
       const row = document.createElement('div');
       row.className = 'participant-row';
-      const isWinner = idx === 0 && (p.rank || 0) > 0;
+      const isWinner = p.rank === 1;
       
       if (isWinner) {
         row.style.background = '#fffbeb';
@@ -262,28 +827,50 @@ const UIManager = (function() {
       const changeClass = p.change > 0 ? 'change-positive' : 
                          (p.change < 0 ? 'change-negative' : 'change-neutral');
 
+      if (isPrediction) {
+        row.innerHTML = renderPredictionItem(p, rankCounts);
+        elements.mobileList.appendChild(row);
+        return;
+      }
+
       row.innerHTML = `
         <div class="participant-left">
           <div style="font-weight:700; font-size:18px; min-width:40px;">
-            ${isWinner ? '🏆' : '#' + ((p.rank || 0) === 0 ? '-' : p.rank)}
+            ${isWinner ? `🏆${rankCounts[1] > 1 ? '=' : ''}` : formatRank(p, rankCounts)}
           </div>
           <div>
-            <div class="participant-name">${escapeHtml(p.name)}</div>
+            <div class="participant-name">${escapeHtml(p.name)} ${renderEditedBadge(p)}</div>
+            ${Portfolio.isPortfolio(p) ? `
             <div class="participant-sub">
-              ${escapeHtml(p.symbol)} 
+              ${renderDirectionBadge(p)} ${escapeHtml(Portfolio.describe(p))} ${renderExpandToggle(p)}
+            </div>
+            <div class="participant-holdings" data-holdings-for="${escapeHtml(p.id)}" style="${expandedRows.has(p.id) ? '' : 'display:none;'}">
+              ${Portfolio.getHoldings(p).map(holding => `
+                <div>
+                  <span>${escapeHtml(holding.symbol)} · ${+holding.weight.toFixed(2)}% ${renderAdjustmentBadge(holding.basePrice, holding.adjustment, holding)}</span>
+                  <span class="${changeClassFor(holding.contribution)}">${formatChange(holding.contribution)}</span>
+                </div>
+              `).join('')}
+            </div>
+            ` : `
+            <div class="participant-sub">
+              ${renderDirectionBadge(p)} ${escapeHtml(p.symbol)} 
               <span style="background:#f3f4f6;padding:3px 8px;border-radius:6px;font-size:12px;color:#374151;margin-left:6px;font-weight:500;">
                 ${escapeHtml(p.exchange)}
               </span>
             </div>
             <div class="participant-meta">
-              Base: ₹${(p.lastFridayPrice || 0).toFixed(2)} • Current: ₹${(p.cmp || 0).toFixed(2)}
+              Base: ${formatPrice(p.lastFridayPrice, p)}${p.baselineDate ? ` (${escapeHtml(p.baselineDate)})` : ''} • Current: ${formatPrice(p.cmp, p)}
+              ${renderAdjustmentBadge(p.lastFridayPrice, p.adjustment, p)}
             </div>
+            `}
           </div>
         </div>
         <div style="text-align:right;">
           <span class="${changeClass}">
             ${p.change > 0 ? '+' : ''}${(p.change || 0).toFixed(2)}%
           </span>
+          ${p.alpha !== null ? `<div class="participant-alpha">α ${formatChange(p.alpha)}</div>` : ''}
         </div>
       `;
 
@@ -291,6 +878,405 @@ const UIManager = (function() {
     });
   }
 
+  /**
+   * Mobile row content of an entry in a prediction round
+   */
+  function renderPredictionItem(p, rankCounts) {
+    return `
+      <div class="participant-left">
+        <div style="font-weight:700; font-size:18px; min-width:40px;">
+          ${p.rank === 1 ? `🏆${rankCounts[1] > 1 ? '=' : ''}` : formatRank(p, rankCounts)}
+        </div>
+        <div>
+          <div class="participant-name">${escapeHtml(p.name)} ${renderEditedBadge(p)}</div>
+          <div class="participant-sub">
+            ${escapeHtml(p.symbol)}
+            <span style="background:#f3f4f6;padding:3px 8px;border-radius:6px;font-size:12px;color:#374151;margin-left:6px;font-weight:500;">
+              ${escapeHtml(p.exchange)}
+            </span>
+          </div>
+          <div class="participant-meta">
+            Prediction: ${formatPrediction(p)} • Actual: ${formatPrice(p.cmp, p)}
+            ${renderAdjustmentBadge(p.prediction, p.adjustment, p)}
+          </div>
+        </div>
+      </div>
+      <div style="text-align:right;">
+        ${renderPredictionError(p.error)}
+        <div class="participant-alpha">error</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Format a round ID (YYYY-MM-DD) as "16 Oct 2026"
+   */
+  function formatRoundDate(dateKey) {
+    return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-IN', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      timeZone: 'UTC'
+    });
+  }
+
+  /**
+   * Render round selector options
+   * @param {Array} rounds - Rounds, newest first
+   * @param {string} currentRoundId - Round that is currently running
+   * @param {string} selectedRoundId - Round shown in the leaderboard
+   */
+  function renderRoundOptions(rounds, currentRoundId, selectedRoundId) {
+    elements.roundSelect.innerHTML = '';
+
+    const ids = rounds.map(round => round.id);
+    if (!ids.includes(currentRoundId)) {
+      rounds = [{ id: currentRoundId, status: 'open' }, ...rounds];
+    }
+
+    rounds.forEach(round => {
+      const option = document.createElement('option');
+      option.value = round.id;
+
+      if (round.id === currentRoundId) {
+        option.textContent = `This week (${formatRoundDate(round.id)})`;
+      } else if (Ranking.getRoundWinners(round).length > 0) {
+        const names = Ranking.getRoundWinners(round).map(winner => winner.name).join(' & ');
+        option.textContent = `Week of ${formatRoundDate(round.id)} · 🏆 ${names}`;
+      } else {
+        option.textContent = `Week of ${formatRoundDate(round.id)}`;
+      }
+
+      option.selected = round.id === selectedRoundId;
+      elements.roundSelect.appendChild(option);
+    });
+  }
+
+  /**
+   * Switch between the live round and an archived round
+   * @param {Object|null} round - Archived round, or null for the live round
+   */
+  function setArchiveView(round) {
+    const isArchive = !!round;
+
+    elements.refreshBtn.style.display = isArchive ? 'none' : '';
+    elements.toggleEntryBtn.style.display = isArchive ? 'none' : '';
+    if (isArchive) {
+      hideEntryForm();
+    }
+
+    if (!isArchive) {
+      elements.roundBanner.style.display = 'none';
+      elements.roundBanner.innerHTML = '';
+      return;
+    }
+
+    const winners = Ranking.getRoundWinners(round);
+    const status = round.status === 'closed' ? '🏁 Final results' : '⏳ Awaiting final results';
+    const winnerText = winners
+      .map(winner => `<strong>${escapeHtml(winner.name)}</strong> (${escapeHtml(Portfolio.describe(winner))} ${formatChange(winner.change)})`)
+      .join(' & ');
+    elements.roundBanner.innerHTML = `
+      <strong>${status}</strong> · Week of ${escapeHtml(formatRoundDate(round.id))}
+      ${winners.length > 0 ? ` · ${winners.length > 1 ? 'Shared win' : 'Winner'}: ${winnerText}` : ''}
+    `;
+    elements.roundBanner.style.display = 'block';
+  }
+
+  /**
+   * Render the league selector and the active league's actions
+   * @param {Array} leagues - Leagues the user is a member of
+   * @param {Object|null} activeLeague - League being played, or null for everyone
+   * @param {string|null} uid - Signed-in user's UID
+   */
+  function renderLeagues(leagues, activeLeague, uid) {
+    elements.leagueSelect.innerHTML = '';
+
+    const everyone = document.createElement('option');
+    everyone.value = '';
+    everyone.textContent = '🌍 Everyone';
+    elements.leagueSelect.appendChild(everyone);
+
+    leagues.forEach(league => {
+      const option = document.createElement('option');
+      option.value = league.id;
+      option.textContent = `🏟️ ${league.name}`;
+      elements.leagueSelect.appendChild(option);
+    });
+    elements.leagueSelect.value = activeLeague ? activeLeague.id : '';
+
+    const isOwner = !!activeLeague && activeLeague.ownerUid === uid;
+    elements.inviteLeagueBtn.style.display = activeLeague ? '' : 'none';
+    elements.leaveLeagueBtn.style.display = activeLeague && !isOwner ? '' : 'none';
+    elements.leagueSettingsBtn.style.display = isOwner ? '' : 'none';
+    elements.leagueDeadline.textContent = `Deadline ${EntryWindow.describeDeadline()}` +
+      (ChallengeMode.getActiveMode() === 'prediction' ? ' · Prediction challenge' : '');
+  }
+
+  /**
+   * Switch the leaderboard card between the weekly and season tabs
+   * @param {string} tab - 'weekly' or 'season'
+   */
+  function setLeaderboardTab(tab) {
+    const isSeason = tab === 'season';
+
+    elements.tabWeekly.classList.toggle('active', !isSeason);
+    elements.tabWeekly.setAttribute('aria-selected', !isSeason);
+    elements.tabSeason.classList.toggle('active', isSeason);
+    elements.tabSeason.setAttribute('aria-selected', isSeason);
+
+    elements.weeklyView.style.display = isSeason ? 'none' : '';
+    elements.weeklyControls.style.display = isSeason ? 'none' : '';
+    elements.seasonView.style.display = isSeason ? '' : 'none';
+    elements.seasonControls.style.display = isSeason ? '' : 'none';
+  }
+
+  /**
+   * Render season selector options
+   * @param {Array} seasons - Season IDs, newest first
+   * @param {string} selectedSeason - Season shown in the standings
+   */
+  function renderSeasonOptions(seasons, selectedSeason) {
+    elements.seasonSelect.innerHTML = '';
+
+    seasons.forEach(season => {
+      const option = document.createElement('option');
+      option.value = season;
+      option.textContent = `${season} season`;
+      option.selected = season === selectedSeason;
+      elements.seasonSelect.appendChild(option);
+    });
+  }
+
+  /**
+   * Render season standings
+   * @param {Array} standings - Result of Season.computeStandings()
+   * @param {Object} info - { roundsCount, scheme, myPlayerId }
+   */
+  function renderSeasonStandings(standings, info) {
+    const { roundsCount, scheme, myPlayerId } = info;
+
+    elements.seasonRoundsCount.textContent = roundsCount === 1 ? '1 Round' : `${roundsCount} Rounds`;
+    elements.seasonPoints.textContent = `Points per weekly finish: ${scheme.join(' / ')}`;
+    elements.seasonBody.innerHTML = '';
+
+    if (standings.length === 0) {
+      elements.seasonBody.innerHTML = `
+        <tr>
+          <td colspan="8" class="empty-state">
+            <div class="empty-state-icon">🏁</div>
+            <div>No finished rounds this season yet.</div>
+          </td>
+        </tr>
+      `;
+      return;
+    }
+
+    standings.forEach(player => {
+      const tr = document.createElement('tr');
+      if (player.position === 1) tr.className = 'winner-row';
+      if (player.id === myPlayerId) tr.classList.add('season-me');
+
+      tr.innerHTML = `
+        <td style="font-weight:700;">${player.position === 1 ? '🏆' : `#${player.position}`}</td>
+        <td style="font-weight:700;">${escapeHtml(player.name)}${player.id === myPlayerId ? ' <span style="color:#6b7280;font-weight:500;">(you)</span>' : ''}</td>
+        <td style="text-align:right;font-weight:700;">${player.points}</td>
+        <td style="text-align:right;">${player.wins}</td>
+        <td style="text-align:right;">${player.podiums}</td>
+        <td style="text-align:right;" class="hide-mobile">${player.rounds}</td>
+        <td style="text-align:right;">
+          <span class="${changeClassFor(player.avgReturn)}">${formatChange(player.avgReturn)}</span>
+        </td>
+        <td style="text-align:right;" class="hide-mobile" title="Best: ${player.bestStreak} in a row in the points">
+          ${player.currentStreak > 1 ? '🔥 ' : ''}${player.currentStreak} (best ${player.bestStreak})
+        </td>
+      `;
+      elements.seasonBody.appendChild(tr);
+    });
+  }
+
+  /**
+   * Show the admin button to admins (and hide the console from everyone else)
+   */
+  function setAdminVisible(isAdmin) {
+    elements.adminToggle.style.display = isAdmin ? '' : 'none';
+    if (!isAdmin) {
+      elements.adminCard.style.display = 'none';
+    }
+  }
+
+  /**
+   * Show or hide the admin console
+   * @returns {boolean} Whether the console is now visible
+   */
+  function toggleAdminPanel() {
+    const isVisible = elements.adminCard.style.display === 'none';
+    elements.adminCard.style.display = isVisible ? 'block' : 'none';
+    return isVisible;
+  }
+
+  /**
+   * Check if the admin console is visible
+   */
+  function isAdminPanelVisible() {
+    return elements.adminCard.style.display !== 'none';
+  }
+
+  /**
+   * Render the admin console for the current round
+   * @param {Object} round - Current round document
+   * @param {Array} participants - Participants of the round
+   */
+  function renderAdminPanel(round, participants) {
+    const isClosed = round.status === 'closed';
+
+    elements.adminRound.textContent = `Week of ${formatRoundDate(round.id)} · ` +
+      (isClosed ? 'closed' : (round.entriesLocked ? 'entries locked' : 'open'));
+    elements.adminLockBtn.textContent = round.entriesLocked ? 'Unlock entries' : 'Lock entries';
+    elements.adminLockBtn.disabled = isClosed;
+    elements.adminRerankBtn.disabled = isClosed || participants.length === 0;
+    elements.adminCloseBtn.disabled = isClosed;
+    elements.adminImportBtn.disabled = isClosed;
+
+    elements.adminParticipants.innerHTML = '';
+    if (participants.length === 0) {
+      elements.adminParticipants.innerHTML = `
+        <tr><td colspan="6" class="empty-state">No participants in this round.</td></tr>
+      `;
+      return;
+    }
+
+    participants.slice().sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity)).forEach(p => {
+      const tr = document.createElement('tr');
+      const override = p.priceOverride;
+      const isPortfolio = Portfolio.isPortfolio(p);
+
+      tr.innerHTML = `
+        <td>
+          <div style="font-weight:700;">${escapeHtml(p.name)}</div>
+          ${override ? `<div class="admin-override" title="${escapeHtml(override.reason)}">✎ Price overridden: ${escapeHtml(override.reason)}</div>` : ''}
+        </td>
+        <td>${escapeHtml(isPortfolio ? Portfolio.describe(p) : `${p.symbol} · ${p.exchange}`)}</td>
+        <td style="text-align:right;">${isPortfolio ? '—' : formatPrice(p.lastFridayPrice, p)}</td>
+        <td style="text-align:right;">${isPortfolio ? '—' : formatPrice(p.cmp, p)}</td>
+        <td style="text-align:right;" class="${changeClassFor(p.change)}">${formatChange(p.change)}</td>
+        <td>
+          <div class="admin-row-actions" data-id="${escapeHtml(p.id)}">
+            <button class="btn-link" type="button" data-action="rename">Rename</button>
+            ${isPortfolio ? '' : '<button class="btn-link" type="button" data-action="override">Fix price</button>'}
+            ${override && override.cmp !== undefined ? '<button class="btn-link" type="button" data-action="clear-override">Clear fix</button>' : ''}
+            <button class="btn-link" type="button" data-action="delete" style="color:#dc2626;">Delete</button>
+          </div>
+        </td>
+      `;
+      elements.adminParticipants.appendChild(tr);
+    });
+  }
+
+  /**
+   * Render the latest admin actions
+   * @param {Array} entries - Audit log entries, newest first
+   */
+  function renderAuditLog(entries) {
+    elements.adminAudit.innerHTML = '';
+
+    if (entries.length === 0) {
+      elements.adminAudit.innerHTML = '<li>No admin actions yet.</li>';
+      return;
+    }
+
+    entries.forEach(entry => {
+      const li = document.createElement('li');
+      const at = entry.at ? EntryWindow.formatIST(entry.at.toDate()) : 'just now';
+      const target = entry.participantName ? ` · ${entry.participantName}` : '';
+      const scope = entry.leagueId ? ` · league ${entry.leagueId}` : '';
+
+      li.innerHTML = `
+        <time>${escapeHtml(at)}</time>
+        <strong>${escapeHtml(entry.action)}</strong>${escapeHtml(target)}
+        by ${escapeHtml(entry.adminName)} (round ${escapeHtml(entry.roundId || '-')}${escapeHtml(scope)})
+        ${entry.reason ? `<div style="color:#6b7280;">“${escapeHtml(entry.reason)}”</div>` : ''}
+      `;
+      elements.adminAudit.appendChild(li);
+    });
+  }
+
+  /**
+   * Show or hide the notifications card
+   */
+  function setNotificationsVisible(visible) {
+    elements.notifyCard.style.display = visible ? 'block' : 'none';
+    elements.notifyToggle.setAttribute('aria-expanded', String(visible));
+  }
+
+  function isNotificationsVisible() {
+    return elements.notifyCard.style.display !== 'none';
+  }
+
+  /**
+   * Fill the notification preferences form
+   * @param {Object} prefs - { browser, rankChanges, firstPlace, moveThreshold }
+   * @param {string} permission - Browser permission ('unsupported' disables the option)
+   */
+  function renderNotificationPrefs(prefs, permission) {
+    elements.notifyRank.checked = prefs.rankChanges;
+    elements.notifyFirst.checked = prefs.firstPlace;
+    elements.notifyThreshold.value = prefs.moveThreshold || '';
+    elements.notifyBrowser.checked = prefs.browser && permission === 'granted';
+    elements.notifyBrowser.disabled = permission === 'unsupported';
+    elements.notifyBrowser.parentElement.title = permission === 'denied'
+      ? 'Blocked in your browser settings'
+      : (permission === 'unsupported' ? 'Not supported by this browser' : '');
+  }
+
+  /**
+   * Read the notification preferences form
+   */
+  function getNotificationPrefs() {
+    const threshold = parseFloat(elements.notifyThreshold.value);
+    return {
+      rankChanges: elements.notifyRank.checked,
+      firstPlace: elements.notifyFirst.checked,
+      moveThreshold: threshold > 0 ? threshold : null,
+      browser: elements.notifyBrowser.checked
+    };
+  }
+
+  /**
+   * Render recent notifications and the unread count on the 🔔 button
+   * @param {Array} history - Newest first
+   * @param {number} unread - Notifications since the card was last opened
+   */
+  function renderNotificationHistory(history, unread) {
+    elements.notifyCount.textContent = unread > 9 ? '9+' : String(unread);
+    elements.notifyCount.style.display = unread > 0 ? 'inline-block' : 'none';
+
+    if (history.length === 0) {
+      elements.notifyHistory.innerHTML = '<li>Nothing yet - changes to your rank show up here.</li>';
+      return;
+    }
+
+    elements.notifyHistory.innerHTML = history.map(item => `
+      <li>
+        <time>${escapeHtml(EntryWindow.formatIST(item.at))}</time>
+        <strong>${escapeHtml(item.title)}</strong>
+        <div style="color:#6b7280;">${escapeHtml(item.body)}</div>
+      </li>
+    `).join('');
+  }
+
+  /**
+   * Show a notification as a toast for a few seconds
+   */
+  function showToast(event) {
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.innerHTML = `<strong>${escapeHtml(event.title)}</strong><div>${escapeHtml(event.body)}</div>`;
+    elements.toastStack.appendChild(toast);
+
+    setTimeout(() => toast.remove(), 6000);
+  }
+
   /**
    * Show entry form (new or edit)
    */
@@ -305,22 +1291,148 @@ const UIManager = (function() {
       
       elements.nameInput.value = participantData.name || '';
       elements.symbolInput.value = participantData.symbol || '';
-      elements.exchangeInput.value = participantData.exchange || 'NSE';
+      elements.exchangeInput.value = participantData.exchange || Exchanges.list()[0].code;
+      elements.entryForm.elements.direction.value = Portfolio.getDirection(participantData);
+      elements.predictionInput.value = participantData.prediction || '';
+
+      // Holdings after the first get their own rows
+      clearHoldingRows();
+      const [first, ...rest] = Portfolio.getHoldings(participantData);
+      elements.weightInput.value = first.weight;
+      rest.forEach(holding => addHoldingRow(holding));
     } else {
       elements.formTitle.textContent = 'Enter Challenge';
       elements.submitBtn.textContent = 'Submit Entry';
       elements.deleteBtn.style.display = 'none';
       
       elements.entryForm.reset();
+      clearHoldingRows();
+      elements.weightInput.value = 100;
     }
     
+    updateWeightTotal();
+    updatePredictionLabel();
     elements.entryCard.style.display = 'block';
   }
 
+  /**
+   * Enable or disable portfolio entries in the form
+   * @param {boolean} enabled - Whether entries may hold several weighted stocks
+   * @param {number} limit - Maximum stocks per entry
+   */
+  function setPortfolioMode(enabled, limit) {
+    portfolioMode = enabled;
+    maxHoldings = enabled ? limit : 1;
+    elements.entryForm.classList.toggle('portfolio-mode', enabled);
+    updateWeightTotal();
+  }
+
+  /**
+   * Switch the entry form between picking a stock and predicting its close
+   * @param {boolean} enabled - Whether the current round is a prediction round
+   * @param {string} endDate - Date the predicted close is for (YYYY-MM-DD)
+   */
+  function setPredictionMode(enabled, endDate) {
+    predictionEndDate = enabled ? endDate : null;
+    elements.entryForm.classList.toggle('prediction-mode', enabled);
+    elements.predictionInput.required = enabled;
+    updatePredictionLabel();
+  }
+
+  /**
+   * Label the prediction field with the selected exchange's currency
+   */
+  function updatePredictionLabel() {
+    const currency = Exchanges.getCurrency(elements.exchangeInput.value);
+    elements.predictionLabel.textContent = predictionEndDate
+      ? `Predicted Close on ${formatRoundDate(predictionEndDate)} (${currency})`
+      : `Predicted Closing Price (${currency})`;
+  }
+
+  /**
+   * Show or hide the long/short choice
+   */
+  function setShortsAllowed(enabled) {
+    elements.directionField.style.display = enabled ? '' : 'none';
+  }
+
+  /**
+   * Add a holding row (symbol, exchange, weight) below the first stock
+   * @param {Object} holding - Optional { symbol, exchange, weight } to prefill
+   */
+  function addHoldingRow(holding = {}) {
+    const rowCount = elements.entryForm.querySelectorAll('.holding-row').length;
+    if (rowCount >= maxHoldings) return;
+
+    const row = document.createElement('div');
+    row.className = 'grid holding-row';
+    row.innerHTML = `
+      <div class="holding-label">
+        Stock ${rowCount + 1}
+        <button class="btn-link remove-holding" type="button" aria-label="Remove stock">Remove</button>
+      </div>
+      <div class="stock-input-wrapper">
+        <input class="holding-symbol" type="text" placeholder="Symbol" maxlength="20" required
+          autocomplete="off" role="combobox" aria-autocomplete="list" aria-expanded="false"
+          aria-controls="stock-suggestions" value="${escapeHtml(holding.symbol || '')}" />
+      </div>
+      <div>
+        <select class="holding-exchange" aria-label="Exchange">
+          ${renderExchangeOptions()}
+        </select>
+      </div>
+      <div>
+        <input class="holding-weight" type="number" min="0.01" max="100" step="0.01"
+          aria-label="Weight %" value="${holding.weight !== undefined ? holding.weight : ''}" />
+      </div>
+    `;
+    row.querySelector('.holding-exchange').value = holding.exchange || Exchanges.list()[0].code;
+    elements.extraHoldings.appendChild(row);
+    updateWeightTotal();
+  }
+
+  /**
+   * Remove a holding row and renumber the rest
+   */
+  function removeHoldingRow(row) {
+    if (row.contains(elements.stockSuggestions)) {
+      attachSuggestions(elements.symbolInput);
+    }
+    row.remove();
+
+    elements.extraHoldings.querySelectorAll('.holding-label').forEach((label, i) => {
+      label.firstChild.textContent = `Stock ${i + 2} `;
+    });
+    updateWeightTotal();
+  }
+
+  /**
+   * Remove all holding rows except the first stock
+   */
+  function clearHoldingRows() {
+    attachSuggestions(elements.symbolInput);
+    elements.extraHoldings.innerHTML = '';
+  }
+
+  /**
+   * Show the weight total and whether more stocks can be added
+   */
+  function updateWeightTotal() {
+    const weights = Array.from(elements.entryForm.querySelectorAll('.holding-weight'))
+      .map(input => parseFloat(input.value) || 0);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    elements.weightTotal.textContent = `Total: ${+total.toFixed(2)}%`;
+    elements.weightTotal.classList.toggle('invalid', Math.abs(total - 100) > 0.01);
+    elements.addHoldingBtn.disabled = weights.length >= maxHoldings;
+  }
+
   /**
    * Hide entry form
    */
   function hideEntryForm() {
+    hideSuggestions();
+    clearHoldingRows();
     elements.entryCard.style.display = 'none';
     elements.entryForm.reset();
     elements.deleteBtn.style.display = 'none';
@@ -330,26 +1442,106 @@ const UIManager = (function() {
   /**
    * Update header button based on user entry status
    */
-  function updateHeaderButton(hasEntry) {
+  function updateHeaderButton(entryExists) {
+    hasEntry = entryExists;
+
     if (hasEntry) {
       elements.toggleText.textContent = 'Edit';
-      elements.toggleIcon.textContent = '✎';
+      elements.toggleIcon.textContent = entriesLocked ? '🔒' : '✎';
     } else {
       elements.toggleText.textContent = 'Join';
-      elements.toggleIcon.textContent = '+';
+      elements.toggleIcon.textContent = entriesLocked ? '🔒' : '+';
+    }
+  }
+
+  /**
+   * Render the signed-in account
+   * Anonymous users are offered an upgrade so their entry follows them across devices
+   */
+  function renderAccount(user) {
+    const isGuest = !user || user.isAnonymous;
+
+    elements.accountName.textContent = isGuest
+      ? '👤 Guest'
+      : `👤 ${user.displayName || user.email || 'Signed in'}`;
+    elements.accountName.title = isGuest
+      ? 'Sign in to keep your entry across devices'
+      : (user.email || '');
+
+    elements.googleSignInBtn.style.display = isGuest ? '' : 'none';
+    elements.emailSignInBtn.style.display = isGuest ? '' : 'none';
+    elements.signOutBtn.style.display = isGuest ? 'none' : '';
+  }
+
+  /**
+   * Lock or unlock a form button for the entry window
+   * Buttons that are mid-request keep their loading state
+   */
+  function setButtonLocked(button, isLocked) {
+    button.dataset.locked = isLocked ? 'true' : 'false';
+    if (button.dataset.loading !== 'true') {
+      button.disabled = isLocked;
     }
   }
 
+  /**
+   * Render entry window countdown and lock state
+   * @param {Object} entryWindow - Result of EntryWindow.getWindow(), plus isLocked when an admin locked entries
+   */
+  function renderEntryWindow(entryWindow) {
+    const now = Date.now();
+    let text;
+
+    if (entryWindow.isLocked) {
+      text = '🔒 Entries locked by the organisers';
+      elements.windowStatus.title = '';
+    } else if (entryWindow.isOpen) {
+      const remaining = EntryWindow.formatDuration(entryWindow.closesAt.getTime() - now);
+      text = `⏳ Entries close in ${remaining}`;
+      elements.windowStatus.title = `Deadline: ${EntryWindow.formatIST(entryWindow.closesAt)}`;
+    } else {
+      const remaining = EntryWindow.formatDuration(entryWindow.nextOpensAt.getTime() - now);
+      text = `🔒 Entries closed · opens in ${remaining}`;
+      elements.windowStatus.title = `Next window: ${EntryWindow.formatIST(entryWindow.nextOpensAt)}`;
+    }
+
+    elements.windowStatus.textContent = text;
+    const isClosed = !entryWindow.isOpen || !!entryWindow.isLocked;
+    elements.windowStatus.classList.toggle('window-closed', isClosed);
+    elements.formCountdown.textContent = text;
+    elements.formCountdown.classList.toggle('window-closed', isClosed);
+
+    entriesLocked = isClosed;
+    setButtonLocked(elements.submitBtn, entriesLocked);
+    setButtonLocked(elements.deleteBtn, entriesLocked);
+    updateHeaderButton(hasEntry);
+  }
+
+  /**
+   * Render the market status pill, e.g. "Market open · closes in 2h 10m"
+   * @param {Object} status - From MarketCalendar.getStatus()
+   */
+  function renderMarketStatus(status) {
+    const icons = { 'pre-open': '🌅', open: '🟢', closing: '🔔', closed: '🌙' };
+    elements.marketStatus.textContent = `${icons[status.session]} ${MarketCalendar.describeStatus(status)}`;
+    elements.marketStatus.title = status.session === 'closed'
+      ? `Last close: ${status.lastCloseDate} · next session ${EntryWindow.formatIST(status.opensAt)}`
+      : `Until ${EntryWindow.formatIST(status.endsAt)}`;
+    elements.marketStatus.classList.toggle('market-closed', status.session === 'closed');
+  }
+
   /**
    * Set button loading state
    */
   function setButtonLoading(button, isLoading, loadingText = 'Processing...') {
     if (isLoading) {
       button.disabled = true;
+      button.dataset.loading = 'true';
       button.dataset.originalText = button.textContent;
       button.textContent = loadingText;
     } else {
-      button.disabled = false;
+      button.disabled = button.dataset.locked === 'true';
+      button.dataset.loading = 'false';
       button.textContent = button.dataset.originalText || button.textContent;
     }
   }
@@ -369,14 +1561,139 @@ const UIManager = (function() {
     }
   }
 
+  /**
+   * Show refresh progress on the refresh button, e.g. "23/60 updated"
+   */
+  function setRefreshProgress(done, total) {
+    elements.refreshBtn.textContent = ` ${done}/${total} updated`;
+    elements.refreshIcon.textContent = '⏳';
+  }
+
+  /**
+   * Render last refresh info, e.g. "Last refreshed 14:05 IST by scheduler"
+   * @param {Object|null} status - Refresh status document
+   */
+  function renderRefreshStatus(status) {
+    if (!status || !status.lastRefreshedAt) {
+      elements.refreshStatus.textContent = '';
+      return;
+    }
+
+    const refreshedAt = status.lastRefreshedAt.toDate();
+    const time = EntryWindow.formatIST(refreshedAt).split(' ').slice(1).join(' ');
+    const by = status.source === 'client' ? 'a player' : status.source;
+    const failed = status.failed > 0 ? ` · ${status.failed} failed` : '';
+
+    elements.refreshStatus.textContent = `Last refreshed ${time} by ${by}${failed}`;
+    elements.refreshStatus.title = refreshedAt.toLocaleString();
+  }
+
+  /**
+   * Show the offline banner with the time of the last server sync
+   * @param {Object} status - { isOnline, lastSyncAt (Date|null), hasPendingEntry }
+   */
+  function renderConnectionStatus({ isOnline, lastSyncAt, hasPendingEntry }) {
+    if (isOnline) {
+      elements.offlineBanner.style.display = 'none';
+      return;
+    }
+
+    const synced = lastSyncAt
+      ? `Showing the leaderboard as of ${EntryWindow.formatIST(lastSyncAt)}`
+      : 'Showing the leaderboard saved on this device';
+    const pending = hasPendingEntry ? ' · Your entry will be submitted when you reconnect' : '';
+
+    elements.offlineBanner.innerHTML = `<strong>📴 You're offline</strong> · ${synced}${pending}`;
+    elements.offlineBanner.title = lastSyncAt ? lastSyncAt.toLocaleString() : '';
+    elements.offlineBanner.style.display = 'block';
+  }
+
+  /**
+   * Render symbol suggestions below the symbol input
+   * @param {Array} matches - Securities from SymbolMaster.search()
+   * @param {number} activeIndex - Keyboard-highlighted suggestion (-1 for none)
+   */
+  function renderSuggestions(matches, activeIndex = -1) {
+    const list = elements.stockSuggestions;
+    list.innerHTML = '';
+
+    if (matches.length === 0) {
+      list.innerHTML = `
+        <div class="stock-suggestions-empty">
+          No matching stocks
+          <small>You can still submit any symbol listed on the selected exchange</small>
+        </div>
+      `;
+    }
+
+    matches.forEach((security, index) => {
+      const item = document.createElement('div');
+      item.className = 'stock-suggestion-item' + (index === activeIndex ? ' active' : '');
+      item.id = `stock-suggestion-${index}`;
+      item.dataset.index = index;
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', index === activeIndex ? 'true' : 'false');
+      item.innerHTML = `
+        <div class="stock-suggestion-header">
+          <div>
+            <span class="stock-symbol">${escapeHtml(security.symbol)}</span>
+            <span class="stock-exchange">${escapeHtml(security.exchange)}</span>
+          </div>
+        </div>
+        <span class="stock-name">${escapeHtml(security.name)}</span>
+        <span class="stock-industry">${escapeHtml(security.isin)}</span>
+      `;
+      list.appendChild(item);
+    });
+
+    list.classList.add('show');
+    suggestionInput.setAttribute('aria-expanded', 'true');
+    suggestionInput.setAttribute('aria-activedescendant', activeIndex >= 0 ? `stock-suggestion-${activeIndex}` : '');
+
+    const active = list.querySelector('.stock-suggestion-item.active');
+    if (active) {
+      active.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Hide symbol suggestions
+   */
+  function hideSuggestions() {
+    elements.stockSuggestions.classList.remove('show');
+    elements.stockSuggestions.innerHTML = '';
+    suggestionInput.setAttribute('aria-expanded', 'false');
+    suggestionInput.removeAttribute('aria-activedescendant');
+  }
+
+  /**
+   * Move the suggestion list under another holding's symbol input
+   */
+  function attachSuggestions(input) {
+    if (input === suggestionInput) return;
+
+    hideSuggestions();
+    input.parentElement.appendChild(elements.stockSuggestions);
+    suggestionInput = input;
+  }
+
   /**
    * Get form values
    */
   function getFormValues() {
+    const holdings = Array.from(elements.entryForm.querySelectorAll('.holding-row')).map(row => ({
+      symbol: row.querySelector('.holding-symbol').value.trim().toUpperCase(),
+      exchange: row.querySelector('.holding-exchange').value,
+      weight: portfolioMode ? parseFloat(row.querySelector('.holding-weight').value) : 100
+    }));
+
     return {
       name: elements.nameInput.value.trim(),
       symbol: elements.symbolInput.value.trim().toUpperCase(),
-      exchange: elements.exchangeInput.value
+      exchange: elements.exchangeInput.value,
+      direction: elements.entryForm.elements.direction.value || 'long',
+      prediction: parseFloat(elements.predictionInput.value) || null,
+      holdings
     };
   }
 
@@ -393,9 +1710,45 @@ const UIManager = (function() {
     showEntryForm,
     hideEntryForm,
     updateHeaderButton,
+    renderAccount,
+    renderEntryWindow,
+    renderMarketStatus,
+    renderRoundOptions,
+    setArchiveView,
+    setLeaderboardTab,
+    renderLeagues,
+    setAdminVisible,
+    toggleAdminPanel,
+    isAdminPanelVisible,
+    renderAdminPanel,
+    renderAuditLog,
+    setNotificationsVisible,
+    isNotificationsVisible,
+    renderNotificationPrefs,
+    getNotificationPrefs,
+    renderNotificationHistory,
+    showToast,
+    showHistoryPopover,
+    hideHistoryPopover,
+    renderSeasonOptions,
+    renderSeasonStandings,
     setButtonLoading,
     setRefreshLoading,
+    setRefreshProgress,
+    renderRefreshStatus,
+    renderConnectionStatus,
     getFormValues,
+    setPortfolioMode,
+    setShortsAllowed,
+    setPredictionMode,
+    updatePredictionLabel,
+    addHoldingRow,
+    removeHoldingRow,
+    updateWeightTotal,
+    toggleHoldings,
+    renderSuggestions,
+    hideSuggestions,
+    attachSuggestions,
     elements
   };
 })();
\ No newline at end of file
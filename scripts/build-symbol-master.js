@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Build data/equity-master.json from the exchanges' equity lists
+ *
+ * Usage:
+ *   node scripts/build-symbol-master.js EQUITY_L.csv [bse-equity.csv]
+ *
+ * EQUITY_L.csv - NSE "Securities available for Equity segment" list
+ * bse-equity.csv - BSE "List of Scrips" export (Equity, Active); companies
+ *   already listed on NSE are skipped so NSE stays the default exchange
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT = path.join(__dirname, '..', 'data', 'equity-master.json');
+
+/**
+ * Parse a CSV file into objects keyed by trimmed header names
+ */
+function readCsv(file) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim());
+  const parseLine = line => {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (const char of line) {
+      if (char === '"') quoted = !quoted;
+      else if (char === ',' && !quoted) {
+        cells.push(cell.trim());
+        cell = '';
+      } else cell += char;
+    }
+    cells.push(cell.trim());
+    return cells;
+  };
+
+  const headers = parseLine(lines[0]);
+  return lines.slice(1).map(line => {
+    const cells = parseLine(line);
+    const row = {};
+    headers.forEach((header, i) => {
+      row[header] = cells[i] || '';
+    });
+    return row;
+  });
+}
+
+function main() {
+  const [nseFile, bseFile] = process.argv.slice(2);
+  if (!nseFile) {
+    console.error('Usage: node scripts/build-symbol-master.js EQUITY_L.csv [bse-equity.csv]');
+    process.exit(1);
+  }
+
+  const rows = [];
+  const isins = new Set();
+
+  readCsv(nseFile)
+    .filter(row => row.SERIES === 'EQ')
+    .forEach(row => {
+      rows.push([row.SYMBOL, row['NAME OF COMPANY'], row['ISIN NUMBER'], 'NSE']);
+      isins.add(row['ISIN NUMBER']);
+    });
+
+  if (bseFile) {
+    readCsv(bseFile)
+      .filter(row => row.Status === 'Active' && row.Instrument === 'Equity' && !isins.has(row['ISIN No']))
+      .forEach(row => {
+        rows.push([row['Security Id'], row['Issuer Name'] || row['Security Name'], row['ISIN No'], 'BSE']);
+      });
+  }
+
+  rows.sort((a, b) => a[0].localeCompare(b[0]));
+
+  const json = [
+    '{',
+    '  "fields": ["symbol", "name", "isin", "exchange"],',
+    '  "rows": [',
+    rows.map(row => '    ' + JSON.stringify(row)).join(',\n'),
+    '  ]',
+    '}'
+  ].join('\n');
+
+  fs.writeFileSync(OUTPUT, json + '\n');
+  console.log(`✅ Wrote ${rows.length} symbols to ${path.relative(process.cwd(), OUTPUT)}`);
+}
+
+main();
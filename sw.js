@@ -0,0 +1,127 @@
+/**
+ * Service Worker
+ * Caches the app shell (HTML, CSS, JS, symbol list, Firebase SDK) so the app
+ * opens on a flaky or missing connection. Leaderboard data comes from
+ * Firestore's own offline cache (see FirebaseService.init), and quotes are
+ * never cached here.
+ *
+ * Bump CACHE_VERSION on each deploy (and whenever the shell list changes).
+ * Shell files are fetched past the browser's HTTP cache, so a new version
+ * never caches the previous deploy's files.
+ */
+
+const CACHE_VERSION = 'v4';
+const CACHE_NAME = `stock-challenge-${CACHE_VERSION}`;
+const FIREBASE_SDK_VERSION = '10.7.1';
+
+// Relative to the service worker, so it works under a GitHub Pages subpath
+// (SheetJS in js/vendor/ is left out: it is cached on the first XLSX export)
+const APP_SHELL = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'css/styles.css',
+  'data/equity-master.json',
+  'js/config.js',
+  'js/entry-window.js',
+  'js/market-calendar.js',
+  'js/exchanges.js',
+  'js/price-providers.js',
+  'js/stock-api.js',
+  'js/fx-rates.js',
+  'js/symbol-master.js',
+  'js/corporate-actions.js',
+  'js/scoring.js',
+  'js/portfolio.js',
+  'js/ranking.js',
+  'js/challenge-mode.js',
+  'js/benchmarks.js',
+  'js/season.js',
+  'js/notifications.js',
+  'js/export-service.js',
+  'js/firebase-service.js',
+  'js/auth-service.js',
+  'js/round-manager.js',
+  'js/admin-service.js',
+  'js/ui-manager.js',
+  'js/app.js',
+  ...['app', 'auth', 'firestore'].map(name =>
+    `https://www.gstatic.com/firebasejs/${FIREBASE_SDK_VERSION}/firebase-${name}-compat.js`)
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop caches from older versions
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('stock-challenge-') && key !== CACHE_NAME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Serve from the cache right away and refresh the cached copy in the background
+ */
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+
+  const network = fetch(request, { cache: 'no-cache' }) // Revalidate with the server
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+
+  return cached || network;
+}
+
+/**
+ * Pages: try the network first so deploys show up, fall back to the cached shell
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put('index.html', response.clone());
+    return response;
+  } catch (error) {
+    return (await cache.match('index.html')) || Response.error();
+  }
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const isSameOrigin = url.origin === self.location.origin;
+  const isFirebaseSdk = url.origin === 'https://www.gstatic.com' && url.pathname.startsWith('/firebasejs/');
+
+  if (request.mode === 'navigate' && isSameOrigin) {
+    event.respondWith(networkFirst(request));
+  } else if (isSameOrigin || isFirebaseSdk) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+  // Everything else (Firestore, quotes, CORS proxy) goes straight to the network
+});
+
+// Rank alerts (js/notifications.js): clicking one brings the app back
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) return windows[0].focus();
+    return self.clients.openWindow('./');
+  })());
+});
@@ -0,0 +1,331 @@
+/**
+ * Tests for the scoring engine (js/scoring.js)
+ * Run with: node --test test/
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const Scoring = require('../js/scoring.js');
+
+/**
+ * Single-stock entry
+ */
+function single(id, symbol, basePrice, extra = {}) {
+  return {
+    id,
+    name: id,
+    direction: extra.direction,
+    enteredAt: extra.enteredAt,
+    holdings: [{ symbol, exchange: 'NSE', weight: 100, basePrice, cmp: extra.cmp, adjustment: extra.adjustment, fx: extra.fx }]
+  };
+}
+
+describe('computeReturn', () => {
+  test('simple percentage change', () => {
+    assert.equal(Scoring.computeReturn(100, 110), 10);
+    assert.equal(Scoring.computeReturn(200, 150), -25);
+  });
+
+  test('zero, missing or negative baseline has no return', () => {
+    assert.equal(Scoring.computeReturn(0, 110), null);
+    assert.equal(Scoring.computeReturn(undefined, 110), null);
+    assert.equal(Scoring.computeReturn(-5, 110), null);
+  });
+
+  test('split-adjusts the base and adds dividends back', () => {
+    // 2:1 split: base 2000 -> 1000; price 1000 + 10 dividend = +1%
+    const adjustment = { splitFactor: 2, dividends: 10 };
+    assert.equal(+Scoring.computeReturn(2000, 1000, { adjustment }).toFixed(6), 1);
+  });
+
+  test('converts with exchange rates', () => {
+    // +10% in USD while USDINR goes 80 -> 84 (+5%): 1.1 x 1.05 = +15.5%
+    assert.equal(+Scoring.computeReturn(100, 110, { fx: { base: 80, rate: 84 } }).toFixed(6), 15.5);
+  });
+});
+
+describe('strategies', () => {
+  test('log return', () => {
+    const { results } = Scoring.score([single('a', 'TCS', 100)], { 'TCS-NSE': 110 }, { strategy: 'log' });
+    assert.equal(results[0].score, 9.53);
+    assert.equal(results[0].change, 10);
+  });
+
+  test('strategies rank on the score and keep change as the simple return', () => {
+    // +10% on a volatile stock scores below +6% on a calm one
+    const { results } = Scoring.score(
+      [single('a', 'TCS', 100), single('b', 'INFY', 100)],
+      { 'TCS-NSE': { price: 110, volatility: 5 }, 'INFY-NSE': { price: 106, volatility: 1 } },
+      { strategy: 'volatilityAdjusted', benchmarks: [{ exchange: 'NSE', change: 1 }] }
+    );
+    assert.deepEqual(results.map(r => [r.id, r.rank, r.score, r.change, r.alpha]), [['b', 1, 6, 6, 5], ['a', 2, 2, 10, 9]]);
+  });
+
+  test('simple scores equal the change', () => {
+    const entry = Scoring.scoreEntry(single('a', 'TCS', 300, { direction: 'short' }), { 'TCS-NSE': 301 });
+    assert.equal(entry.score, entry.change);
+  });
+
+  test('log return of a total loss cannot be scored', () => {
+    assert.equal(Scoring.STRATEGIES.log({ basePrice: 100, price: 0 }), null);
+    assert.equal(Scoring.STRATEGIES.log({ basePrice: 0, price: 100 }), null);
+  });
+
+  test('volatility-adjusted return uses the quote volatility', () => {
+    const entry = Scoring.scoreEntry(single('a', 'TCS', 100), { 'TCS-NSE': { price: 110, volatility: 2 } }, 'volatilityAdjusted');
+    assert.equal(entry.score, 5);
+    assert.equal(entry.change, 10);
+  });
+
+  test('volatility-adjusted return computes volatility from closes', () => {
+    const closes = [100, 102, 100, 102, 100];
+    const entry = Scoring.scoreEntry(single('a', 'TCS', 100), { 'TCS-NSE': { price: 110, closes } }, 'volatilityAdjusted');
+    assert.equal(entry.score, +(10 / Scoring.volatility(closes)).toFixed(2));
+    assert.equal(entry.exactChange, 10);
+    assert.equal(entry.valid, true);
+  });
+
+  test('volatility-adjusted return without volatility is not ranked', () => {
+    const { results, winners } = Scoring.score(
+      [single('a', 'TCS', 100), single('b', 'INFY', 100)],
+      { 'TCS-NSE': { price: 110, volatility: 0 }, 'INFY-NSE': { price: 101, volatility: 1 } },
+      { strategy: 'volatilityAdjusted' }
+    );
+    assert.deepEqual(results.map(r => [r.id, r.rank]), [['b', 1], ['a', 0]]);
+    assert.deepEqual(winners.map(w => w.id), ['b']);
+  });
+
+  test('custom strategies can be registered', () => {
+    Scoring.registerStrategy('priceDiff', ({ basePrice, price }) => price - basePrice);
+    try {
+      const entry = Scoring.scoreEntry(single('a', 'TCS', 200), { 'TCS-NSE': 203 }, 'priceDiff');
+      assert.equal(entry.score, 3);
+      assert.equal(entry.change, 1.5);
+    } finally {
+      delete Scoring.STRATEGIES.priceDiff; // Don't leak into the other tests
+    }
+    assert.throws(() => Scoring.registerStrategy('broken', 42), /must be a function/);
+  });
+
+  test('unknown strategies are rejected', () => {
+    assert.throws(() => Scoring.score([single('a', 'TCS', 100)], {}, { strategy: 'magic' }), /Unknown scoring strategy "magic"/);
+  });
+});
+
+describe('volatility', () => {
+  test('sample standard deviation of daily returns', () => {
+    // Returns +10%, -10%: mean 0, sample variance 200
+    assert.equal(+Scoring.volatility([100, 110, 99]).toFixed(6), +Math.sqrt(200).toFixed(6));
+  });
+
+  test('needs at least two returns', () => {
+    assert.equal(Scoring.volatility([100, 110]), null);
+    assert.equal(Scoring.volatility([]), null);
+    assert.equal(Scoring.volatility(undefined), null);
+  });
+});
+
+describe('scoreEntry', () => {
+  test('zero baseline is invalid and scores 0', () => {
+    const entry = Scoring.scoreEntry(single('a', 'TCS', 0), { 'TCS-NSE': 110 });
+    assert.equal(entry.valid, false);
+    assert.equal(entry.change, 0);
+    assert.equal(entry.exactChange, null);
+    assert.equal(entry.refreshed, 1);
+  });
+
+  test('missing quote keeps the previous price without counting as refreshed', () => {
+    const entry = Scoring.scoreEntry(single('a', 'TCS', 100, { cmp: 105 }), new Map());
+    assert.equal(entry.valid, true);
+    assert.equal(entry.change, 5);
+    assert.equal(entry.refreshed, 0);
+    assert.equal(entry.holdings[0].quote, null);
+  });
+
+  test('missing quote without a previous price is invalid', () => {
+    const entry = Scoring.scoreEntry(single('a', 'TCS', 100), {});
+    assert.equal(entry.valid, false);
+    assert.equal(entry.holdings[0].cmp, null);
+  });
+
+  test('failed and non-positive quotes count as missing', () => {
+    const quotes = new Map([['TCS-NSE', { error: new Error('timeout') }], ['INFY-NSE', { price: 0 }]]);
+    assert.equal(Scoring.scoreEntry(single('a', 'TCS', 100), quotes).valid, false);
+    assert.equal(Scoring.scoreEntry(single('b', 'INFY', 100), quotes).valid, false);
+  });
+
+  test('shorts gain when the stock falls', () => {
+    const entry = Scoring.scoreEntry(single('a', 'TCS', 100, { direction: 'short' }), { 'TCS-NSE': 90 });
+    assert.equal(entry.change, 10);
+    assert.equal(entry.holdings[0].change, -10);
+  });
+
+  test('portfolios weight the rounded holding returns', () => {
+    const entry = Scoring.scoreEntry({
+      id: 'p',
+      name: 'P',
+      holdings: [
+        { symbol: 'TCS', exchange: 'NSE', weight: 60, basePrice: 300 },
+        { symbol: 'INFY', exchange: 'NSE', weight: 40, basePrice: 300 }
+      ]
+    }, { 'TCS-NSE': 301, 'INFY-NSE': 299 });
+
+    // Holdings: +0.33% and -0.33% (rounded); 0.6 x 0.33 - 0.4 x 0.33 = 0.066
+    assert.deepEqual(entry.holdings.map(h => h.change), [0.33, -0.33]);
+    assert.equal(entry.change, 0.07);
+    assert.ok(Math.abs(entry.exactChange - (0.6 - 0.4) * (100 / 300)) < 1e-9);
+  });
+
+  test('a portfolio with one missing baseline is invalid', () => {
+    const entry = Scoring.scoreEntry({
+      id: 'p',
+      name: 'P',
+      holdings: [
+        { symbol: 'TCS', exchange: 'NSE', weight: 50, basePrice: 100 },
+        { symbol: 'INFY', exchange: 'NSE', weight: 50, basePrice: 0 }
+      ]
+    }, { 'TCS-NSE': 110, 'INFY-NSE': 110 });
+    assert.equal(entry.valid, false);
+    assert.equal(entry.change, 0);
+  });
+});
+
+describe('rank', () => {
+  const entries = [
+    { id: 'a', name: 'Asha', change: 5, exactChange: 5.001, enteredAt: 3 },
+    { id: 'b', name: 'Bala', change: 5, exactChange: 5.004, enteredAt: 2 },
+    { id: 'c', name: 'Chen', change: 5, exactChange: 5.004, enteredAt: 1 },
+    { id: 'd', name: 'Dev', change: 2 }
+  ];
+
+  test('ties share a rank (competition)', () => {
+    const ranked = Scoring.rank(entries);
+    assert.deepEqual(ranked.map(e => [e.id, e.rank]), [['a', 1], ['b', 1], ['c', 1], ['d', 4]]);
+  });
+
+  test('ties share a rank (dense)', () => {
+    const ranked = Scoring.rank(entries, { mode: 'dense' });
+    assert.deepEqual(ranked.map(e => e.rank), [1, 1, 1, 2]);
+  });
+
+  test('tiebreakers apply in order', () => {
+    assert.deepEqual(Scoring.rank(entries, { tiebreakers: ['exactReturn'] }).map(e => [e.id, e.rank]),
+      [['b', 1], ['c', 1], ['a', 3], ['d', 4]]);
+    assert.deepEqual(Scoring.rank(entries, { tiebreakers: ['exactReturn', 'entryTime'] }).map(e => [e.id, e.rank]),
+      [['c', 1], ['b', 2], ['a', 3], ['d', 4]]);
+  });
+
+  test('invalid entries and missing metrics are unranked and listed last', () => {
+    const ranked = Scoring.rank([
+      { id: 'x', name: 'X', change: 50, valid: false },
+      { id: 'y', name: 'Y', change: 1, alpha: 0.5 },
+      { id: 'z', name: 'Z', change: 2, alpha: null }
+    ], { rankBy: 'alpha' });
+    assert.deepEqual(ranked.map(e => [e.id, e.rank]), [['y', 1], ['x', 0], ['z', 0]]);
+  });
+
+  test('error ranks lowest first', () => {
+    const ranked = Scoring.rank([
+      { id: 'a', name: 'A', change: 0, error: 3 },
+      { id: 'b', name: 'B', change: 0, error: 0.5 }
+    ], { rankBy: 'error' });
+    assert.deepEqual(ranked.map(e => e.id), ['b', 'a']);
+  });
+
+  test('rejects unknown options', () => {
+    assert.throws(() => Scoring.rank([], { mode: 'olympic' }), /Unknown ranking mode/);
+    assert.throws(() => Scoring.rank([], { rankBy: 'volume' }), /Unknown ranking metric/);
+    assert.throws(() => Scoring.rank([], { tiebreakers: ['coinFlip'] }), /Unknown ranking tiebreaker/);
+  });
+
+  test('empty input', () => {
+    assert.deepEqual(Scoring.rank([]), []);
+    assert.deepEqual(Scoring.score([], {}), { results: [], winners: [] });
+  });
+});
+
+describe('score', () => {
+  test('ranks entries and finds the winner', () => {
+    const { results, winners } = Scoring.score(
+      [single('a', 'TCS', 100), single('b', 'INFY', 100), single('c', 'WIPRO', 100)],
+      { 'TCS-NSE': 103, 'INFY-NSE': 108, 'WIPRO-NSE': 95 }
+    );
+    assert.deepEqual(results.map(r => [r.id, r.change, r.rank]), [['b', 8, 1], ['a', 3, 2], ['c', -5, 3]]);
+    assert.deepEqual(winners.map(w => w.id), ['b']);
+  });
+
+  test('tied leaders share the win', () => {
+    const { results, winners } = Scoring.score(
+      [single('a', 'TCS', 100), single('b', 'INFY', 200), single('c', 'WIPRO', 100)],
+      { 'TCS-NSE': 110, 'INFY-NSE': 220, 'WIPRO-NSE': 90 }
+    );
+    assert.deepEqual(results.map(r => r.rank), [1, 1, 3]);
+    assert.deepEqual(winners.map(w => w.id), ['a', 'b']);
+  });
+
+  test('exact returns break rounded ties when asked', () => {
+    const { winners } = Scoring.score(
+      [single('a', 'TCS', 1000), single('b', 'INFY', 1000)],
+      { 'TCS-NSE': 1100.001, 'INFY-NSE': 1100.004 },
+      { tiebreakers: ['exactReturn'] }
+    );
+    assert.deepEqual(winners.map(w => w.id), ['b']);
+  });
+
+  test('entries missing quotes are left unranked', () => {
+    const { results, winners } = Scoring.score(
+      [single('a', 'TCS', 100), single('b', 'INFY', 100)],
+      new Map([['TCS-NSE', { price: 99 }]])
+    );
+    assert.deepEqual(results.map(r => [r.id, r.rank]), [['a', 1], ['b', 0]]);
+    assert.deepEqual(winners.map(w => w.id), ['a']);
+  });
+
+  test('nobody wins when no entry can be scored', () => {
+    const { results, winners } = Scoring.score([single('a', 'TCS', 0)], { 'TCS-NSE': 100 });
+    assert.equal(results[0].rank, 0);
+    assert.deepEqual(winners, []);
+  });
+});
+
+describe('scoreParticipants', () => {
+  /**
+   * Stored two-stock portfolio (TCS and INFY, 50% each)
+   */
+  function portfolio(id, holdingPrices) {
+    return {
+      id,
+      name: id,
+      holdings: [
+        { symbol: 'TCS', exchange: 'NSE', weight: 50, basePrice: 100 },
+        { symbol: 'INFY', exchange: 'NSE', weight: 50, basePrice: 200 }
+      ],
+      holdingPrices
+    };
+  }
+
+  test('partly refreshed portfolios keep the previous price of the other stocks', () => {
+    const { updates } = Scoring.scoreParticipants(
+      [portfolio('a', { 'INFY-NSE': { cmp: 210 } })],
+      { 'TCS-NSE': { price: 110, provider: 'yahoo' } }
+    );
+    assert.deepEqual([updates[0].change, updates[0].rank, updates[0].valid], [7.5, 1, true]);
+    assert.equal(updates[0].holdingPrices['INFY-NSE'].cmp, 210);
+  });
+
+  test('portfolios with a stock that was never priced are unranked, like on the leaderboard', () => {
+    const stored = portfolio('a', {});
+    const { updates } = Scoring.scoreParticipants([stored], { 'TCS-NSE': { price: 110, provider: 'yahoo' } });
+    assert.deepEqual([updates[0].success, updates[0].valid, updates[0].rank, updates[0].exactChange], [true, false, 0, null]);
+
+    // Scoring the stored result again (as Ranking does) agrees
+    const saved = { ...stored, holdingPrices: updates[0].holdingPrices };
+    assert.equal(Scoring.scoreEntry(Scoring.toEntry(saved), {}).valid, false);
+  });
+
+  test('single entries use an admin override instead of the quote', () => {
+    const stored = { id: 'a', name: 'a', symbol: 'TCS', exchange: 'NSE', lastFridayPrice: 100, cmp: 100, priceOverride: { cmp: 120 } };
+    const { updates } = Scoring.scoreParticipants([stored], { 'TCS-NSE': { price: 110, provider: 'yahoo' } });
+    assert.deepEqual([updates[0].cmp, updates[0].change, updates[0].priceSource], [120, 20, 'manual']);
+  });
+});